@@ -0,0 +1,154 @@
+import { createAnimationController } from '../colorSequence';
+
+/**
+ * Installs a stand-in for requestAnimationFrame driven by the test
+ * @returns {Object} - Fake display { refresh(timestamp), pending() }
+ */
+function installFakeDisplay() {
+    let callbacks = new Map();
+    let nextId = 1;
+
+    globalThis.requestAnimationFrame = callback => {
+        callbacks.set(nextId, callback);
+        return nextId++;
+    };
+    globalThis.cancelAnimationFrame = id => {
+        callbacks.delete(id);
+    };
+
+    return {
+        refresh(timestamp) {
+            const due = callbacks;
+            callbacks = new Map();
+            due.forEach(callback => callback(timestamp));
+        },
+        pending() {
+            return callbacks.size;
+        }
+    };
+}
+
+/**
+ * Records the frame shown on each refresh
+ * @param {Object} animator - Animation controller
+ * @param {Object} display - Fake display
+ * @param {number[]} timestamps - Refresh times in ms
+ * @param {Object} element - Animated element
+ * @returns {string[]} - Color shown after each refresh
+ */
+function playRefreshes(animator, display, timestamps, element) {
+    return timestamps.map(timestamp => {
+        display.refresh(timestamp);
+        return element.style.backgroundColor;
+    });
+}
+
+describe('colorSequence', () => {
+    const colors = ['#ff0000', '#00ff00', '#0000ff', '#ffffff', '#000000'];
+    let display;
+    let element;
+
+    beforeEach(() => {
+        display = installFakeDisplay();
+        element = { style: {} };
+    });
+
+    afterEach(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+
+    it('should show each frame for a whole number of refreshes and report it once', () => {
+        const refresh = 1000 / 60;
+        const animator = createAnimationController(element).setSequence(colors).setFrameDuration(50);
+        const progress = [];
+        let completed = false;
+        animator.onProgress(event => progress.push(event));
+        animator.onComplete(() => {
+            completed = true;
+        });
+
+        animator.start();
+        const timestamps = Array.from({ length: 16 }, (_, i) => 1000 + i * refresh);
+        const shown = playRefreshes(animator, display, timestamps, element);
+
+        // 50 ms at 60 Hz is three refreshes per frame
+        expect(shown.slice(0, 15)).toEqual(colors.flatMap(color => [color, color, color]));
+        expect(progress.map(event => event.current)).toEqual([0, 1, 2, 3, 4]);
+        expect(progress[1].timestamp).toBeCloseTo(1000 + 3 * refresh);
+        expect(progress[1].frameDuration).toBeCloseTo(50);
+        expect(completed).toBe(true);
+        expect(animator.getState().isRunning).toBe(false);
+        expect(display.pending()).toBe(0);
+    });
+
+    it('should neither skip nor repeat frames when refresh timestamps jitter', () => {
+        const refresh = 1000 / 60;
+        const animator = createAnimationController(element).setSequence(colors).setFrameDuration(50);
+        const progress = [];
+        animator.onProgress(event => progress.push(event.current));
+
+        animator.start();
+        const jitter = [0, 2, -1.5, 2.5, -2.5, 1, -2, 1.5];
+        const timestamps = Array.from({ length: 16 }, (_, i) => 1000 + i * refresh + jitter[i % jitter.length]);
+        const shown = playRefreshes(animator, display, timestamps, element);
+
+        expect(shown.slice(0, 15)).toEqual(colors.flatMap(color => [color, color, color]));
+        expect(progress).toEqual([0, 1, 2, 3, 4]);
+        expect(animator.getState().lateFrames).toBe(0);
+    });
+
+    it('should re-anchor after a stall instead of skipping frames', () => {
+        const refresh = 1000 / 60;
+        const animator = createAnimationController(element, { refreshInterval: refresh })
+            .setSequence(colors)
+            .setFrameDuration(50);
+        const progress = [];
+        animator.onProgress(event => progress.push(event.current));
+
+        animator.start();
+        playRefreshes(animator, display, [0, refresh, 2 * refresh], element);
+
+        // The main thread stalls for 200 ms (several frames)
+        display.refresh(200);
+        expect(progress).toEqual([0, 1]);
+        expect(animator.getState().lateFrames).toBe(1);
+
+        // Frame 1 gets its full three refreshes from the stall on
+        const shown = playRefreshes(animator, display, [1, 2, 3].map(i => 200 + i * refresh), element);
+        expect(shown).toEqual(['#00ff00', '#00ff00', '#0000ff']);
+        expect(progress).toEqual([0, 1, 2]);
+    });
+
+    it('should measure the refresh interval and time frames in refreshes', () => {
+        const refresh = 1000 / 120;
+        const animator = createAnimationController(element).setSequence(colors).setFrameDuration(50);
+
+        animator.start();
+        const timestamps = Array.from({ length: 12 }, (_, i) => i * refresh);
+        const shown = playRefreshes(animator, display, timestamps, element);
+
+        const state = animator.getState();
+        expect(state.refreshInterval).toBeCloseTo(refresh);
+        expect(state.vsyncsPerFrame).toBe(6);
+        expect(shown.slice(6)).toEqual(Array(6).fill('#00ff00'));
+    });
+
+    it('should resume from the paused frame', () => {
+        const refresh = 1000 / 60;
+        const animator = createAnimationController(element, { refreshInterval: refresh })
+            .setSequence(colors)
+            .setFrameDuration(50);
+
+        animator.start();
+        playRefreshes(animator, display, [0, 1, 2, 3].map(i => i * refresh), element);
+        expect(animator.getState().currentIndex).toBe(1);
+
+        animator.pause();
+        expect(display.pending()).toBe(0);
+
+        animator.resume();
+        const shown = playRefreshes(animator, display, [0, 1, 2, 3].map(i => 1000 + i * refresh), element);
+        expect(shown).toEqual(['#00ff00', '#00ff00', '#00ff00', '#0000ff']);
+    });
+});
\ No newline at end of file
@@ -1,6 +1,7 @@
 /**
  * DialUp Color Sequence Animator
- * Handles animation of color sequences for visual data transmission
+ * Handles animation of color sequences for visual data transmission. Frames are changed on display
+ * refreshes (requestAnimationFrame), each shown for a whole number of refreshes.
  */
 
 /**
@@ -8,36 +9,87 @@
  * @typedef {Object} AnimationState
  * @property {boolean} isRunning - Whether animation is currently running
  * @property {number} currentIndex - Current position in the sequence
- * @property {number|null} intervalId - ID of the running interval (or null if not running)
+ * @property {Object|null} frameRequest - Pending tick { id, animationFrame } (or null if not running)
+ * @property {number|null} anchorTime - Time the anchor frame was shown (or null until the first refresh)
+ * @property {number} anchorIndex - Frame the schedule is anchored to
+ * @property {number|null} lastTick - Time of the previous tick
+ * @property {number} lateFrames - Times the schedule fell behind and was re-anchored
  * @property {function|null} onComplete - Callback for animation completion
  * @property {function|null} onProgress - Callback for animation progress updates
  */
 
+/**
+ * Animation options
+ * @typedef {Object} AnimationOptions
+ * @property {number|null} refreshInterval - Display refresh interval in ms, or null to measure it
+ */
+
+/**
+ * Default animation options
+ * @type {AnimationOptions}
+ */
+const DEFAULT_OPTIONS = {
+    refreshInterval: null
+};
+
+// Largest grid a frame can be laid out in (matches the frame header)
+const MAX_GRID_SIZE = 8;
+
+// Refresh interval assumed until one has been measured (60 Hz)
+const DEFAULT_REFRESH_INTERVAL = 1000 / 60;
+
+// Recent refresh intervals the estimate is taken from
+const REFRESH_SAMPLES = 30;
+
+// Gaps between ticks longer than this (in ms) are stalls, not refreshes
+const MAX_REFRESH_INTERVAL = 100;
+
+/**
+ * Gets the current time on the clock requestAnimationFrame timestamps use
+ * @returns {number} - Time in ms
+ * @private
+ */
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
 /**
  * Creates an animation controller for a specific element
  * @param {HTMLElement} element - The element to animate
+ * @param {AnimationOptions} [options] - Configuration options
  * @returns {Object} - Animation controller object
  */
-function createAnimationController(element) {
+function createAnimationController(element, options = {}) {
     if (!element) {
         throw new Error('No element provided for animation');
     }
 
+    // Merge default options with provided options
+    const animationOptions = { ...DEFAULT_OPTIONS, ...options };
+
     /** @type {AnimationState} */
     const state = {
         isRunning: false,
         currentIndex: 0,
-        intervalId: null,
+        frameRequest: null,
+        anchorTime: null,
+        anchorIndex: 0,
+        lastTick: null,
+        lateFrames: 0,
         onComplete: null,
         onProgress: null
     };
 
     let sequence = [];
     let frameDuration = 200; // Default frame duration in ms
+    let grid = { columns: 1, rows: 1 };
+    let cells = [];
+    let refreshSamples = [];
 
     /**
      * Sets the color sequence to animate
-     * @param {string[]} colorSequence - Array of color hex codes
+     * @param {Array<string|string[]>} colorSequence - Array of color hex codes, or of grid frames
+     *                                                 (one color hex code per cell, in row-major order)
      * @returns {Object} - The controller (for chaining)
      */
     function setSequence(colorSequence) {
@@ -58,6 +110,7 @@ function createAnimationController(element) {
 
     /**
      * Sets the duration of each frame in the animation
+     * Frames are shown for the nearest whole number of display refreshes (at least one).
      * @param {number} duration - Duration in milliseconds
      * @returns {Object} - The controller (for chaining)
      */
@@ -70,6 +123,43 @@ function createAnimationController(element) {
         return controller; // Return for chaining
     }
 
+    /**
+     * Lays the element out as a grid of cells, each painted with its own color
+     * @param {Object} dimensions - Grid dimensions { columns, rows } (1-8 each; 1x1 paints the element itself)
+     * @returns {Object} - The controller (for chaining)
+     */
+    function setGrid({ columns, rows }) {
+        const isValid = size => Number.isInteger(size) && size >= 1 && size <= MAX_GRID_SIZE;
+        if (!isValid(columns) || !isValid(rows)) {
+            throw new Error('Invalid grid dimensions');
+        }
+
+        // Remove the previous cells
+        cells.forEach(cell => cell.remove());
+        cells = [];
+        grid = { columns, rows };
+
+        if (columns * rows === 1) {
+            element.style.display = '';
+            element.style.gridTemplateColumns = '';
+            element.style.gridTemplateRows = '';
+            return controller; // Return for chaining
+        }
+
+        element.style.display = 'grid';
+        element.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+        element.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+
+        for (let i = 0; i < columns * rows; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'transmission-cell';
+            element.appendChild(cell);
+            cells.push(cell);
+        }
+
+        return controller; // Return for chaining
+    }
+
     /**
      * Sets callback for animation completion
      * @param {function} callback - Function to call when animation completes
@@ -99,39 +189,138 @@ function createAnimationController(element) {
     }
 
     /**
-     * Starts the animation
-     * @returns {Object} - The controller (for chaining)
+     * Gets the refresh interval frames are timed against
+     * @returns {number} - Refresh interval in ms (pinned, measured, or 60 Hz until measured)
+     * @private
      */
-    function start() {
-        if (state.isRunning) {
-            return controller; // Already running
+    function getRefreshInterval() {
+        if (animationOptions.refreshInterval) {
+            return animationOptions.refreshInterval;
+        }
+        if (refreshSamples.length === 0) {
+            return DEFAULT_REFRESH_INTERVAL;
         }
 
-        if (sequence.length === 0) {
-            throw new Error('No sequence set for animation');
+        // Divide the time measured by the refreshes it spans: a gap of about twice the median interval
+        // is two refreshes (one was skipped), and the jitter of consecutive timestamps cancels out
+        const sorted = [...refreshSamples].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        const refreshes = refreshSamples.reduce((total, delta) => total + Math.max(1, Math.round(delta / median)), 0);
+        return refreshSamples.reduce((total, delta) => total + delta, 0) / refreshes;
+    }
+
+    /**
+     * Gets the number of display refreshes each frame is shown for
+     * @returns {number} - Refreshes per frame (at least 1)
+     * @private
+     */
+    function getVsyncsPerFrame() {
+        return Math.max(1, Math.round(frameDuration / getRefreshInterval()));
+    }
+
+    /**
+     * Requests the next tick, on the next display refresh where requestAnimationFrame exists
+     * @private
+     */
+    function scheduleTick() {
+        if (typeof requestAnimationFrame === 'function') {
+            state.frameRequest = { id: requestAnimationFrame(tick), animationFrame: true };
+        } else {
+            state.frameRequest = {
+                id: setTimeout(() => tick(now()), getRefreshInterval()),
+                animationFrame: false
+            };
         }
+    }
 
-        state.isRunning = true;
-        state.currentIndex = 0;
+    /**
+     * Cancels the pending tick, if any
+     * @private
+     */
+    function cancelTick() {
+        if (state.frameRequest === null) {
+            return;
+        }
+
+        if (state.frameRequest.animationFrame) {
+            cancelAnimationFrame(state.frameRequest.id);
+        } else {
+            clearTimeout(state.frameRequest.id);
+        }
+        state.frameRequest = null;
+    }
 
-        // Show the first color immediately
+    /**
+     * Shows the current frame and reports progress
+     * @param {number} timestamp - Time the frame is shown at, in ms
+     * @private
+     */
+    function showFrame(timestamp) {
         updateColor(sequence[state.currentIndex]);
 
-        // Report initial progress
         if (state.onProgress) {
             state.onProgress({
                 current: state.currentIndex,
                 total: sequence.length,
-                progress: 0,
-                color: sequence[state.currentIndex]
+                progress: state.currentIndex / sequence.length,
+                color: sequence[state.currentIndex],
+                timestamp,
+                frameDuration: getVsyncsPerFrame() * getRefreshInterval()
             });
         }
+    }
+
+    /**
+     * Advances the animation on a display refresh
+     * Frames are due at whole numbers of refreshes after the anchor (the time the anchor frame was
+     * shown), so timer jitter never accumulates. At most one frame is shown per tick: after a stall
+     * (a busy main thread, a hidden tab) the schedule is re-anchored rather than skipping frames.
+     * @param {number} timestamp - Time of the refresh, in ms
+     * @private
+     */
+    function tick(timestamp) {
+        state.frameRequest = null;
+        if (!state.isRunning) {
+            return;
+        }
 
-        // Start interval for subsequent colors
-        state.intervalId = setInterval(() => {
+        // Measure the refresh interval from the ticks themselves
+        if (state.lastTick !== null) {
+            const delta = timestamp - state.lastTick;
+            if (delta > 0 && delta < MAX_REFRESH_INTERVAL) {
+                refreshSamples.push(delta);
+                if (refreshSamples.length > REFRESH_SAMPLES) {
+                    refreshSamples.shift();
+                }
+            }
+        }
+        state.lastTick = timestamp;
+
+        if (state.anchorTime === null) {
+            // First refresh after starting: the current frame goes on screen now
+            state.anchorTime = timestamp;
+            state.anchorIndex = state.currentIndex;
+            showFrame(timestamp);
+            scheduleTick();
+            return;
+        }
+
+        // Half a refresh of slack absorbs jitter in the refresh timestamps
+        const refreshInterval = getRefreshInterval();
+        const frameTime = getVsyncsPerFrame() * refreshInterval;
+        const due = state.anchorIndex +
+            Math.floor((timestamp - state.anchorTime + refreshInterval / 2) / frameTime);
+
+        if (due > state.currentIndex) {
             state.currentIndex++;
 
-            // Check if we've reached the end
+            // Behind by more than a frame: give the remaining frames their full duration from now
+            if (due > state.currentIndex) {
+                state.lateFrames++;
+                state.anchorTime = timestamp;
+                state.anchorIndex = state.currentIndex;
+            }
+
             if (state.currentIndex >= sequence.length) {
                 stop();
 
@@ -143,63 +332,72 @@ function createAnimationController(element) {
                 return;
             }
 
-            // Update color
-            updateColor(sequence[state.currentIndex]);
-
-            // Report progress
-            if (state.onProgress) {
-                state.onProgress({
-                    current: state.currentIndex,
-                    total: sequence.length,
-                    progress: state.currentIndex / sequence.length,
-                    color: sequence[state.currentIndex]
-                });
-            }
-        }, frameDuration);
+            showFrame(timestamp);
+        }
 
-        return controller; // Return for chaining
+        scheduleTick();
     }
 
     /**
-     * Stops the animation
+     * Runs the animation from the current frame
+     * @private
+     */
+    function run() {
+        state.isRunning = true;
+        state.anchorTime = null;
+        state.lastTick = null;
+
+        // Show the current color immediately; it is timed from the next refresh
+        updateColor(sequence[state.currentIndex]);
+        scheduleTick();
+    }
+
+    /**
+     * Starts the animation
      * @returns {Object} - The controller (for chaining)
      */
-    function stop() {
-        if (!state.isRunning) {
-            return controller; // Not running
+    function start() {
+        if (state.isRunning) {
+            return controller; // Already running
         }
 
-        if (state.intervalId !== null) {
-            clearInterval(state.intervalId);
-            state.intervalId = null;
+        if (sequence.length === 0) {
+            throw new Error('No sequence set for animation');
         }
 
-        state.isRunning = false;
+        state.currentIndex = 0;
+        state.lateFrames = 0;
+        run();
 
         return controller; // Return for chaining
     }
 
     /**
-     * Pauses the animation
+     * Stops the animation
      * @returns {Object} - The controller (for chaining)
      */
-    function pause() {
+    function stop() {
         if (!state.isRunning) {
             return controller; // Not running
         }
 
-        if (state.intervalId !== null) {
-            clearInterval(state.intervalId);
-            state.intervalId = null;
-        }
-
+        cancelTick();
         state.isRunning = false;
 
         return controller; // Return for chaining
     }
 
+    /**
+     * Pauses the animation
+     * @returns {Object} - The controller (for chaining)
+     */
+    function pause() {
+        return stop();
+    }
+
     /**
      * Resumes a paused animation
+     * The current frame is shown again for its full duration.
      * @returns {Object} - The controller (for chaining)
      */
     function resume() {
@@ -215,40 +413,7 @@ function createAnimationController(element) {
             state.currentIndex = 0; // Reset to beginning if at end
         }
 
-        state.isRunning = true;
-
-        // Show the current color immediately
-        updateColor(sequence[state.currentIndex]);
-
-        // Start interval for subsequent colors
-        state.intervalId = setInterval(() => {
-            state.currentIndex++;
-
-            // Check if we've reached the end
-            if (state.currentIndex >= sequence.length) {
-                stop();
-
-                // Call completion callback if set
-                if (state.onComplete) {
-                    state.onComplete();
-                }
-
-                return;
-            }
-
-            // Update color
-            updateColor(sequence[state.currentIndex]);
-
-            // Report progress
-            if (state.onProgress) {
-                state.onProgress({
-                    current: state.currentIndex,
-                    total: sequence.length,
-                    progress: state.currentIndex / sequence.length,
-                    color: sequence[state.currentIndex]
-                });
-            }
-        }, frameDuration);
+        run();
 
         return controller; // Return for chaining
     }
@@ -263,13 +428,16 @@ function createAnimationController(element) {
 
         // Reset element to its original color
         element.style.backgroundColor = '';
+        cells.forEach(cell => {
+            cell.style.backgroundColor = '';
+        });
 
         return controller; // Return for chaining
     }
 
     /**
      * Gets current animation state
-     * @returns {Object} - Animation state information
+     * @returns {Object} - Animation state information; frames last vsyncsPerFrame refreshes of refreshInterval ms
      */
     function getState() {
         return {
@@ -277,23 +445,36 @@ function createAnimationController(element) {
             currentIndex: state.currentIndex,
             totalFrames: sequence.length,
             progress: sequence.length ? state.currentIndex / sequence.length : 0,
-            frameDuration
+            frameDuration,
+            refreshInterval: getRefreshInterval(),
+            vsyncsPerFrame: getVsyncsPerFrame(),
+            lateFrames: state.lateFrames,
+            grid: { ...grid }
         };
     }
 
     /**
      * Updates the element's color
-     * @param {string} color - The color to display
+     * @param {string|string[]} color - The color to display, or one color per grid cell
      * @private
      */
     function updateColor(color) {
-        element.style.backgroundColor = color;
+        if (cells.length === 0) {
+            element.style.backgroundColor = Array.isArray(color) ? color[0] : color;
+            return;
+        }
+
+        // A single color fills every cell
+        cells.forEach((cell, index) => {
+            cell.style.backgroundColor = Array.isArray(color) ? color[index] : color;
+        });
     }
 
     // Build and return the controller object
     const controller = {
         setSequence,
         setFrameDuration,
+        setGrid,
         onComplete,
         onProgress,
         start,
@@ -0,0 +1,151 @@
+import { createAudioDecoder } from '../audioDecoder';
+import { encodeText } from '../audioEncoder';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Creates a stand-in for the browser audio input that plays a signal into an analyser,
+ * with the audio clock moved on by each animation frame
+ * @param {number} frameRate - Animation frames per second
+ * @returns {Object} - { play(signal), runFrames(duration) }
+ */
+function fakeAnalyserInput(frameRate) {
+    let clock = 0;
+    let signal = new Float32Array(0);
+    let pendingFrame = null;
+
+    class FakeAudioContext {
+        constructor() {
+            this.sampleRate = SAMPLE_RATE;
+            this.state = 'running';
+        }
+
+        get currentTime() {
+            return clock;
+        }
+
+        createBuffer(channels, length) {
+            const data = new Float32Array(length);
+            return { duration: length / SAMPLE_RATE, getChannelData: () => data };
+        }
+
+        createMediaStreamSource() {
+            return { connect: () => {}, disconnect: () => {} };
+        }
+
+        createAnalyser() {
+            return {
+                fftSize: 2048,
+                getFloatTimeDomainData: (samples) => {
+                    const end = Math.floor(clock * SAMPLE_RATE);
+                    for (let i = 0; i < samples.length; i++) {
+                        const index = end - samples.length + i;
+                        samples[i] = index >= 0 && index < signal.length ? signal[index] : 0;
+                    }
+                }
+            };
+        }
+
+        close() {
+            this.state = 'closed';
+            return Promise.resolve();
+        }
+    }
+
+    window.AudioContext = FakeAudioContext;
+    window.requestAnimationFrame = (callback) => {
+        pendingFrame = callback;
+        return 1;
+    };
+    Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+            getUserMedia: () => Promise.resolve({ getTracks: () => [{ stop: () => {} }] })
+        }
+    });
+
+    return {
+        play(samples) {
+            signal = samples;
+        },
+
+        runFrames(duration) {
+            while (clock < duration) {
+                clock += 1 / frameRate;
+                const callback = pendingFrame;
+                pendingFrame = null;
+                if (callback) {
+                    callback();
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Plays a message to a decoder polling an analyser
+ * @param {string} text - Message to send
+ * @param {Object} options - { pulseShape }
+ * @returns {Promise<Object>} - { messages, symbols } heard by the decoder
+ */
+async function receiveThroughAnalyser(text, options = {}) {
+    const input = fakeAnalyserInput(60);
+    const data = (await encodeText(text, options)).getChannelData(0);
+    const lead = Math.floor(0.3 * SAMPLE_RATE);
+    const signal = new Float32Array(lead + data.length);
+    signal.set(data, lead);
+    input.play(signal);
+
+    const decoder = createAudioDecoder({ receiverMode: 'analyser' });
+    const messages = [];
+    const symbols = [];
+    decoder.onMessage(message => messages.push(message.text));
+    decoder.onStatusChange(({ status, data: detail }) => {
+        if (status === 'symbol') {
+            symbols.push(detail.index);
+        }
+    });
+
+    await decoder.startListening();
+    input.runFrames(signal.length / SAMPLE_RATE + 0.5);
+    decoder.stopListening();
+
+    return { messages, symbols };
+}
+
+describe('analyser receiver', () => {
+    let original;
+
+    beforeEach(() => {
+        original = {
+            AudioContext: window.AudioContext,
+            mediaDevices: Object.getOwnPropertyDescriptor(navigator, 'mediaDevices'),
+            requestAnimationFrame: window.requestAnimationFrame
+        };
+    });
+
+    afterEach(() => {
+        window.AudioContext = original.AudioContext;
+        if (original.mediaDevices) {
+            Object.defineProperty(navigator, 'mediaDevices', original.mediaDevices);
+        } else {
+            delete navigator.mediaDevices;
+        }
+        window.requestAnimationFrame = original.requestAnimationFrame;
+    });
+
+    it.each(['raised-cosine', 'hann'])('should decode 8-FSK symbols sent on the sync and end marker tones (%s pulses)', async (pulseShape) => {
+        const { messages, symbols } = await receiveThroughAnalyser('Hi!', { pulseShape });
+
+        // Symbol 4 shares its tone with the sync marker and symbol 6 with the end marker
+        expect(symbols).toContain(4);
+        expect(symbols).toContain(6);
+        expect(messages).toEqual(['Hi!']);
+    });
+
+    it('should decode repeated symbols on a marker tone', async () => {
+        const { messages } = await receiveThroughAnalyser('\u0006\u0006\u0006fff');
+
+        expect(messages).toEqual(['\u0006\u0006\u0006fff']);
+    });
+});
\ No newline at end of file
@@ -43,29 +43,6 @@ describe('audioEncoder', () => {
         });
     });
 
-    describe('calculateChecksum', () => {
-        it('should calculate correct checksum for odd number of 1s', () => {
-            const symbolIndexes = [0, 1, 0, 1, 1];
-            const result = audioEncoder.calculateChecksum(symbolIndexes);
-            // 3 ones -> odd -> checksum = 1
-            expect(result).toBe(1);
-        });
-
-        it('should calculate correct checksum for even number of 1s', () => {
-            const symbolIndexes = [0, 1, 0, 1];
-            const result = audioEncoder.calculateChecksum(symbolIndexes);
-            // 2 ones -> even -> checksum = 0
-            expect(result).toBe(0);
-        });
-
-        it('should handle empty array', () => {
-            const symbolIndexes = [];
-            const result = audioEncoder.calculateChecksum(symbolIndexes);
-            // 0 ones -> even -> checksum = 0
-            expect(result).toBe(0);
-        });
-    });
-
     describe('createMetadataHeader', () => {
         it('should create correct metadata header', () => {
             const text = 'Hello';
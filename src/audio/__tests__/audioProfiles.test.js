@@ -0,0 +1,59 @@
+import {
+    AUDIO_PROFILES,
+    PROFILE_ID_FREQUENCIES,
+    getAudioProfile,
+    getProfileFrequencies,
+    getProfileMarkers,
+    getProfileBand,
+    getBitsPerSymbol,
+    generateSymbolSequence,
+    binaryToSymbolIndexes
+} from '../audioEncoder';
+
+describe('audio profiles', () => {
+    it('should look up profiles by name or id', () => {
+        expect(getAudioProfile('mfsk32').id).toBe(2);
+        expect(getAudioProfile(3).name).toBe('ofdm');
+    });
+
+    it('should give each profile its own id tone', () => {
+        Object.values(AUDIO_PROFILES).forEach(profile => {
+            expect(PROFILE_ID_FREQUENCIES[profile.id]).toBeDefined();
+        });
+    });
+
+    it('should keep MFSK tones clear of the marker and id tones', () => {
+        ['mfsk16', 'mfsk32'].map(getAudioProfile).forEach(profile => {
+            const signals = [...Object.values(getProfileMarkers(profile)), ...PROFILE_ID_FREQUENCIES];
+            getProfileFrequencies(profile).forEach(frequency => {
+                signals.forEach(signal => {
+                    expect(Math.abs(frequency - signal)).toBeGreaterThanOrEqual(profile.freqShift);
+                });
+            });
+        });
+    });
+
+    it('should reject unknown profiles', () => {
+        expect(() => getAudioProfile('qam64')).toThrow('Unsupported audio profile');
+    });
+
+    it('should carry one bit per OFDM subcarrier', () => {
+        expect(getBitsPerSymbol(getAudioProfile('mfsk16'))).toBe(4);
+        expect(getBitsPerSymbol(getAudioProfile('ofdm'))).toBe(16);
+    });
+
+    it('should pack wider symbols', () => {
+        expect(binaryToSymbolIndexes('1111000011', 4)).toEqual([15, 0, 12]);
+    });
+
+    it('should keep the ultrasonic profile between 17 and 20 kHz', () => {
+        const band = getProfileBand(getAudioProfile('ultrasonic'));
+        expect(band.low).toBeGreaterThanOrEqual(17000);
+        expect(band.high).toBeLessThanOrEqual(20000);
+    });
+
+    it('should refuse a sample rate too low for the profile', () => {
+        const audioContext = { sampleRate: 32000, createBuffer: () => null };
+        expect(() => generateSymbolSequence(audioContext, [0], getAudioProfile('ultrasonic'))).toThrow('too low');
+    });
+});
\ No newline at end of file
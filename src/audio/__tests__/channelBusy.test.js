@@ -0,0 +1,85 @@
+import { isChannelBusy } from '../audioEncoder';
+
+/**
+ * Installs a microphone whose analyser hears silence on its first read and a steady level after
+ * @param {number} level - Byte level of every frequency bin once audio flows
+ * @returns {Object} - { stoppedTracks, contexts }, filled in as the check uses them
+ */
+function fakeMicrophone(level) {
+    const input = { stoppedTracks: 0, contexts: [] };
+    let reads = 0;
+
+    class FakeAudioContext {
+        constructor() {
+            this.sampleRate = 44100;
+            this.state = 'running';
+            input.contexts.push(this);
+        }
+
+        createAnalyser() {
+            return {
+                fftSize: 256,
+                get frequencyBinCount() {
+                    return this.fftSize / 2;
+                },
+                getByteFrequencyData: data => data.fill(reads++ === 0 ? 0 : level)
+            };
+        }
+
+        createMediaStreamSource() {
+            return { connect: () => {} };
+        }
+
+        close() {
+            this.state = 'closed';
+            return Promise.resolve();
+        }
+    }
+
+    window.AudioContext = FakeAudioContext;
+    Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+            getUserMedia: () => Promise.resolve({
+                getTracks: () => [{ stop: () => { input.stoppedTracks++; } }]
+            })
+        }
+    });
+    return input;
+}
+
+describe('isChannelBusy', () => {
+    let original;
+
+    beforeEach(() => {
+        original = {
+            AudioContext: window.AudioContext,
+            mediaDevices: Object.getOwnPropertyDescriptor(navigator, 'mediaDevices')
+        };
+    });
+
+    afterEach(() => {
+        window.AudioContext = original.AudioContext;
+        if (original.mediaDevices) {
+            Object.defineProperty(navigator, 'mediaDevices', original.mediaDevices);
+        } else {
+            delete navigator.mediaDevices;
+        }
+    });
+
+    it('should hear a sender that only shows up once audio flows', async () => {
+        const input = fakeMicrophone(200);
+
+        expect(await isChannelBusy()).toBe(true);
+        expect(input.stoppedTracks).toBe(1);
+        expect(input.contexts[0].state).toBe('closed');
+    });
+
+    it('should find a quiet channel free and release the microphone', async () => {
+        const input = fakeMicrophone(10);
+
+        expect(await isChannelBusy()).toBe(false);
+        expect(input.stoppedTracks).toBe(1);
+        expect(input.contexts[0].state).toBe('closed');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { createAudioDecoder } from '../audioDecoder';
+
+/**
+ * Creates a stand-in for the browser audio input whose worklet fails to load
+ * @returns {Object} - { stoppedTracks, contexts }, filled in as the decoder uses them
+ */
+function fakeAudioInput() {
+    const input = { stoppedTracks: 0, contexts: [] };
+
+    class FakeAudioContext {
+        constructor() {
+            this.sampleRate = 44100;
+            this.state = 'running';
+            this.audioWorklet = {
+                addModule: () => Promise.reject(new Error('Failed to load worklet module'))
+            };
+            input.contexts.push(this);
+        }
+
+        createMediaStreamSource() {
+            return { connect: () => {}, disconnect: () => {} };
+        }
+
+        createAnalyser() {
+            return { fftSize: 0, frequencyBinCount: 512, getFloatFrequencyData: () => {} };
+        }
+
+        close() {
+            this.state = 'closed';
+            return Promise.resolve();
+        }
+    }
+
+    window.AudioContext = FakeAudioContext;
+    Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+            getUserMedia: () => Promise.resolve({
+                getTracks: () => [{ stop: () => { input.stoppedTracks++; } }]
+            })
+        }
+    });
+    return input;
+}
+
+describe('audio decoder startup', () => {
+    let original;
+
+    beforeEach(() => {
+        original = {
+            AudioContext: window.AudioContext,
+            mediaDevices: Object.getOwnPropertyDescriptor(navigator, 'mediaDevices'),
+            requestAnimationFrame: window.requestAnimationFrame,
+            consoleError: console.error,
+            consoleWarn: console.warn
+        };
+        window.requestAnimationFrame = () => 0;
+        console.error = () => {};
+        console.warn = () => {};
+    });
+
+    afterEach(() => {
+        window.AudioContext = original.AudioContext;
+        if (original.mediaDevices) {
+            Object.defineProperty(navigator, 'mediaDevices', original.mediaDevices);
+        } else {
+            delete navigator.mediaDevices;
+        }
+        window.requestAnimationFrame = original.requestAnimationFrame;
+        console.error = original.consoleError;
+        console.warn = original.consoleWarn;
+    });
+
+    it('should poll an analyser when the worklet fails to load in auto mode', async () => {
+        const input = fakeAudioInput();
+        const decoder = createAudioDecoder({ receiverMode: 'auto' });
+
+        await decoder.startListening();
+
+        expect(decoder.getState()).toMatchObject({ isListening: true, receiverMode: 'analyser' });
+        decoder.stopListening();
+        expect(input.stoppedTracks).toBe(1);
+        expect(input.contexts[0].state).toBe('closed');
+    });
+
+    it('should release the microphone and audio context when starting fails', async () => {
+        const input = fakeAudioInput();
+        const decoder = createAudioDecoder({ receiverMode: 'worklet' });
+        const statuses = [];
+        decoder.onStatusChange(({ status }) => statuses.push(status));
+
+        await expect(decoder.startListening()).rejects.toThrow('Failed to load worklet module');
+
+        expect(statuses).toEqual(['error']);
+        expect(input.stoppedTracks).toBe(1);
+        expect(input.contexts[0].state).toBe('closed');
+        expect(decoder.getState()).toMatchObject({ isListening: false, receiverMode: null });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+import { createSymbolReceiver } from '../receiverWorklet';
+import { AUDIO_CONFIG, generateSymbolSequence, getAudioProfile } from '../audioEncoder';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Appends a tone (or silence) to a list of samples
+ * @param {number[]} samples - Samples to append to
+ * @param {number|null} frequency - Frequency in Hz, or null for silence
+ * @param {number} duration - Duration in seconds
+ */
+function appendTone(samples, frequency, duration) {
+    const count = Math.floor(SAMPLE_RATE * duration);
+    for (let i = 0; i < count; i++) {
+        samples.push(frequency === null ? 0 : 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+    }
+}
+
+/**
+ * Generates a transmission laid out like the audio encoder's, after some silence
+ * @param {number[]} symbols - Symbol indexes
+ * @param {number} leadIn - Seconds of silence before the start marker
+ * @returns {Float32Array} - Samples
+ */
+function transmission(symbols, leadIn) {
+    const samples = [];
+    appendTone(samples, null, leadIn);
+    appendTone(samples, AUDIO_CONFIG.startMarkerFreq, AUDIO_CONFIG.startMarkerDuration);
+    appendTone(samples, AUDIO_CONFIG.syncFreq, AUDIO_CONFIG.syncDuration);
+    symbols.forEach(symbol => {
+        appendTone(samples, AUDIO_CONFIG.baseFrequency + symbol * AUDIO_CONFIG.freqShift, AUDIO_CONFIG.symbolDuration);
+        appendTone(samples, null, AUDIO_CONFIG.pauseDuration);
+    });
+    appendTone(samples, AUDIO_CONFIG.syncFreq, AUDIO_CONFIG.syncDuration);
+    appendTone(samples, AUDIO_CONFIG.endMarkerFreq, AUDIO_CONFIG.endMarkerDuration);
+    appendTone(samples, null, 0.1);
+
+    // A little noise, as a microphone would add
+    let seed = 7;
+    return Float32Array.from(samples, sample => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return sample + 0.01 * (2 * seed / 2147483648 - 1);
+    });
+}
+
+/**
+ * Renders a transmission with the audio encoder, after some silence
+ * @param {number[]} symbols - Symbol indexes
+ * @param {string} profileName - Audio profile name
+ * @param {number} leadIn - Seconds of silence before the start marker
+ * @param {string} [pulseShape] - Symbol envelope
+ * @returns {Float32Array} - Samples
+ */
+function encodedTransmission(symbols, profileName, leadIn, pulseShape) {
+    const audioContext = {
+        sampleRate: SAMPLE_RATE,
+        createBuffer: (channels, length) => {
+            const data = new Float32Array(length);
+            return { getChannelData: () => data };
+        }
+    };
+    const data = generateSymbolSequence(audioContext, symbols, getAudioProfile(profileName), { pulseShape })
+        .getChannelData(0);
+
+    const samples = new Float32Array(Math.floor(SAMPLE_RATE * (leadIn + 0.1)) + data.length);
+    samples.set(data, Math.floor(SAMPLE_RATE * leadIn));
+    return samples;
+}
+
+/**
+ * Feeds samples to a receiver in render quanta, as the audio thread does
+ * @param {Object} receiver - Symbol receiver
+ * @param {Float32Array} samples - Samples
+ */
+function play(receiver, samples) {
+    for (let i = 0; i < samples.length; i += 128) {
+        receiver.process(samples.subarray(i, i + 128), 10 + i / SAMPLE_RATE);
+    }
+}
+
+describe('receiverWorklet', () => {
+    it('should read every symbol of a transmission in step with it', () => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        // Symbols 4-6 share frequencies with the markers, and repeats have no transition but the pause
+        const symbols = [0, 1, 2, 3, 4, 5, 6, 7, 7, 7, 4, 4, 5, 6, 0];
+        play(receiver, transmission(symbols, 0.0371));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames).toHaveLength(1);
+        expect(frames[0].symbols).toEqual(symbols);
+        expect(frames[0].confidences.every(confidence => confidence > 0.8)).toBe(true);
+
+        const statuses = messages.filter(message => message.type === 'status').map(message => message.status);
+        expect(statuses[0]).toBe('started');
+        expect(statuses.filter(status => status === 'symbol')).toHaveLength(symbols.length);
+        expect(statuses).not.toContain('timeout');
+
+        // Times are on the audio clock passed in with the samples
+        const first = messages.find(message => message.status === 'symbol');
+        const expected = 10 + 0.0371 + AUDIO_CONFIG.startMarkerDuration + AUDIO_CONFIG.syncDuration;
+        expect(Math.abs(first.data.timestamp - expected)).toBeLessThan(0.005);
+
+        expect(receiver.getState().mode).toBe('idle');
+    });
+
+    it('should receive one transmission after another', () => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        play(receiver, transmission([1, 2, 3], 0.01));
+        play(receiver, transmission([3, 2, 1, 0], 0.2));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames.map(frame => frame.symbols)).toEqual([[1, 2, 3], [3, 2, 1, 0]]);
+    });
+
+    it('should give up on a transmission that breaks off', () => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        const samples = transmission([1, 2, 3, 4, 5, 6], 0.01);
+        const breakOff = Math.floor(SAMPLE_RATE * (0.01 + 0.2 + 0.1 + 0.12));
+        samples.fill(0, breakOff);
+        play(receiver, samples);
+
+        expect(messages.filter(message => message.type === 'frame')).toHaveLength(0);
+        expect(messages.map(message => message.status)).toContain('timeout');
+        expect(receiver.getState().mode).toBe('idle');
+    });
+
+    it.each([
+        ['mfsk16', [0, 15, 7, 8, 8, 3, 12]],
+        ['mfsk32', [0, 31, 16, 10, 10, 25, 1]],
+        ['ofdm', [0, 65535, 43690, 21845, 21845, 4660, 1]],
+        ['ultrasonic', [0, 7, 3, 4, 4, 6, 1]]
+    ])('should detect the %s profile from the start marker and demodulate it', (profileName, symbols) => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        play(receiver, encodedTransmission(symbols, profileName, 0.0213));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames).toHaveLength(1);
+        expect(frames[0].profile).toBe(profileName);
+        expect(frames[0].symbols).toEqual(symbols);
+        expect(frames[0].confidences.every(confidence => confidence > 0.5)).toBe(true);
+    });
+
+    it.each([
+        // Indexes that sat on the sync, start and end tones, and for 32-MFSK the profile id tones
+        ['mfsk16', [8, 10, 12, 10, 10, 8, 12]],
+        ['mfsk32', [10, 12, 14, 18, 20, 22, 22, 18]]
+    ])('should round-trip %s symbols that once shared marker frequencies', (profileName, symbols) => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        play(receiver, encodedTransmission(symbols, profileName, 0.0117));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames.map(frame => [frame.profile, frame.symbols])).toEqual([[profileName, symbols]]);
+    });
+
+    it.each([
+        ['mfsk16', [0, 10, 10, 10, 10, 8, 8, 3, 4, 5]],
+        ['mfsk32', [0, 12, 12, 12, 12, 18, 18, 10, 10, 3]]
+    ])('should not take %s symbols for a start marker when joining mid-message', (profileName, symbols) => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        // Starts listening after the markers, during the first symbol
+        const samples = encodedTransmission(symbols, profileName, 0);
+        play(receiver, samples.subarray(Math.floor(SAMPLE_RATE * 0.35)));
+
+        expect(messages.map(message => message.status)).not.toContain('started');
+    });
+
+    it('should read the default profile from an unmarked start tone', () => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        play(receiver, encodedTransmission([5, 0, 7], 'fsk8', 0.01));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames.map(frame => [frame.profile, frame.symbols])).toEqual([['fsk8', [5, 0, 7]]]);
+    });
+
+    it('should not listen for profiles above what the sample rate carries', () => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: 32000 });
+
+        const samples = new Float32Array(32000);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = 0.5 * Math.sin(2 * Math.PI * 17600 * i / 32000);
+        }
+        receiver.process(samples);
+
+        expect(messages).toHaveLength(0);
+    });
+
+    it.each(['none', 'hann'])('should demodulate symbols with the %s pulse shape', pulseShape => {
+        const messages = [];
+        const receiver = createSymbolReceiver(message => messages.push(message), { sampleRate: SAMPLE_RATE });
+
+        play(receiver, encodedTransmission([2, 6, 6, 0], 'fsk8', 0.01, pulseShape));
+        play(receiver, encodedTransmission([4660, 1, 65535], 'ofdm', 0.01, pulseShape));
+
+        const frames = messages.filter(message => message.type === 'frame');
+        expect(frames.map(frame => frame.symbols)).toEqual([[2, 6, 6, 0], [4660, 1, 65535]]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+import {
+    AUDIO_CONFIG,
+    PROFILE_ID_FREQUENCIES,
+    generateSymbolSequence,
+    getAudioProfile,
+    getProfileFrequencies,
+    getProfileMarkers
+} from '../audioEncoder';
+import { goertzel } from '../toneDetector';
+
+const SAMPLE_RATE = 44100;
+const SYMBOLS = [0, 7, 3, 5, 1, 6];
+
+const audioContext = {
+    sampleRate: SAMPLE_RATE,
+    createBuffer: (channels, length) => {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+};
+
+/**
+ * Synthesizes the test symbols
+ * @param {string} pulseShape - Symbol envelope
+ * @param {Object|string} [profile='fsk8'] - Profile or profile name
+ * @returns {Float32Array} - Samples
+ */
+function render(pulseShape, profile = 'fsk8') {
+    const resolved = typeof profile === 'string' ? getAudioProfile(profile) : profile;
+    return generateSymbolSequence(audioContext, SYMBOLS, resolved, { pulseShape }).getChannelData(0);
+}
+
+/**
+ * Measures power well away from every tone sent, over each symbol slot (symbol and pause) in turn
+ * @param {Float32Array} samples - Synthesized samples
+ * @param {string} profileName - Profile the samples were synthesized with
+ * @returns {number} - Total power
+ */
+function splatter(samples, profileName) {
+    const profile = getAudioProfile(profileName);
+    const first = Math.floor(AUDIO_CONFIG.startMarkerDuration * SAMPLE_RATE) + Math.floor(AUDIO_CONFIG.syncDuration * SAMPLE_RATE);
+    const slot = Math.floor(profile.symbolDuration * SAMPLE_RATE) + Math.floor(profile.pauseDuration * SAMPLE_RATE);
+    const frequencies = Array.from({ length: 40 }, (_, index) => 4000 + index * 123.7);
+
+    let total = 0;
+    SYMBOLS.forEach((_, index) => {
+        const segment = samples.subarray(first + index * slot, first + (index + 1) * slot);
+        frequencies.forEach(frequency => {
+            total += goertzel(segment, frequency, SAMPLE_RATE);
+        });
+    });
+    return total;
+}
+
+describe('generateSymbolSequence', () => {
+    it('should spread far less energy outside the band with shaped pulses', () => {
+        ['fsk8', 'ofdm'].forEach(profileName => {
+            const keyed = splatter(render('none', profileName), profileName);
+            expect(splatter(render('raised-cosine', profileName), profileName)).toBeLessThan(keyed / 1000);
+            expect(splatter(render('hann', profileName), profileName)).toBeLessThan(keyed / 1000);
+        });
+    });
+
+    it('should keep the phase continuous from one symbol to the next', () => {
+        // Symbols that run into each other and don't last a whole number of cycles
+        const profile = { ...getAudioProfile('fsk8'), symbolDuration: 0.0503, pauseDuration: 0 };
+        const samples = render('none', profile);
+        const highest = Math.max(...getProfileFrequencies(profile));
+
+        // No step larger than the steepest a sine at the highest frequency takes
+        const maxStep = 2 * Math.PI * highest / SAMPLE_RATE * AUDIO_CONFIG.volume;
+        const first = Math.floor(AUDIO_CONFIG.startMarkerDuration * SAMPLE_RATE) + Math.floor(AUDIO_CONFIG.syncDuration * SAMPLE_RATE);
+        const end = first + SYMBOLS.length * Math.floor(profile.symbolDuration * SAMPLE_RATE);
+        for (let i = first + 1; i < end; i++) {
+            expect(Math.abs(samples[i] - samples[i - 1])).toBeLessThanOrEqual(maxStep);
+        }
+    });
+
+    it('should carry the phase through the pause between symbols', () => {
+        // Neither the symbols nor the pauses last a whole number of cycles
+        const profile = { ...getAudioProfile('fsk8'), symbolDuration: 0.0503, pauseDuration: 0.0107 };
+        const samples = render('none', profile);
+        const frequencies = getProfileFrequencies(profile);
+        const maxStep = 2 * Math.PI * Math.max(...frequencies) / SAMPLE_RATE * AUDIO_CONFIG.volume;
+        const first = Math.floor(AUDIO_CONFIG.startMarkerDuration * SAMPLE_RATE) + Math.floor(AUDIO_CONFIG.syncDuration * SAMPLE_RATE);
+        const slot = Math.floor(profile.symbolDuration * SAMPLE_RATE) + Math.floor(profile.pauseDuration * SAMPLE_RATE);
+
+        SYMBOLS.slice(1).forEach((symbol, index) => {
+            // Phase the previous symbol started at, from its first two samples
+            const start = first + index * slot;
+            const step = 2 * Math.PI * frequencies[SYMBOLS[index]] / SAMPLE_RATE;
+            const sine = samples[start] / AUDIO_CONFIG.volume;
+            const cosine = (samples[start + 1] / AUDIO_CONFIG.volume - sine * Math.cos(step)) / Math.sin(step);
+            const phase = Math.atan2(sine, cosine);
+
+            // Played on through the pause, it would join the next symbol without a step
+            const carriedOn = AUDIO_CONFIG.volume * Math.sin(phase + step * (slot - 1));
+            expect(Math.abs(samples[start + slot] - carriedOn)).toBeLessThanOrEqual(maxStep);
+        });
+    });
+
+    it('should join the marker tones without a step', () => {
+        // Markers that don't last a whole number of cycles, running into the id tone, the sync tone and the first symbol
+        const profile = { ...getAudioProfile('mfsk16'), markers: { start: 2003.7, end: 2203.3, sync: 1801.9 } };
+        const samples = render('none', profile);
+        const highest = Math.max(
+            ...getProfileFrequencies(profile),
+            ...Object.values(getProfileMarkers(profile)),
+            PROFILE_ID_FREQUENCIES[profile.id]
+        );
+
+        // No step larger than the steepest a sine at the highest frequency takes
+        const maxStep = 2 * Math.PI * highest / SAMPLE_RATE * AUDIO_CONFIG.volume;
+        const end = Math.floor(AUDIO_CONFIG.startMarkerDuration / 2 * SAMPLE_RATE) * 2 +
+            Math.floor(AUDIO_CONFIG.syncDuration * SAMPLE_RATE) + Math.floor(profile.symbolDuration * SAMPLE_RATE);
+        for (let i = 1; i < end; i++) {
+            expect(Math.abs(samples[i] - samples[i - 1])).toBeLessThanOrEqual(maxStep);
+        }
+    });
+
+    it('should fade in from and out to silence', () => {
+        const samples = render('raised-cosine');
+        expect(Math.abs(samples[0])).toBeLessThan(0.01);
+        expect(Math.abs(samples[samples.length - 1])).toBeLessThan(0.01);
+    });
+
+    it('should reject unknown pulse shapes', () => {
+        expect(() => render('gaussian')).toThrow('Unsupported pulse shape');
+    });
+});
\ No newline at end of file
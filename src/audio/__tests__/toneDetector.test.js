@@ -0,0 +1,104 @@
+import { createToneDetector, goertzel } from '../toneDetector';
+import { AUDIO_CONFIG } from '../audioEncoder';
+
+const SAMPLE_RATE = 44100;
+const BLOCK = 1024;
+
+/**
+ * Generates a block of a sine tone
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} amplitude - Peak amplitude
+ * @returns {Float32Array} - Samples
+ */
+function tone(frequency, amplitude = 0.5) {
+    return Float32Array.from({ length: BLOCK }, (_, i) =>
+        amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE + 0.3)
+    );
+}
+
+/**
+ * Generates a block of uniform white noise (deterministic)
+ * @param {number} amplitude - Peak amplitude
+ * @returns {Float32Array} - Samples
+ */
+function noise(amplitude) {
+    let seed = 12345;
+    return Float32Array.from({ length: BLOCK }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return amplitude * (2 * seed / 2147483648 - 1);
+    });
+}
+
+/**
+ * Adds blocks of samples together
+ * @param {...Float32Array} blocks - Sample blocks
+ * @returns {Float32Array} - Sum
+ */
+function mix(...blocks) {
+    return Float32Array.from({ length: BLOCK }, (_, i) => blocks.reduce((total, block) => total + block[i], 0));
+}
+
+describe('toneDetector', () => {
+    describe('goertzel', () => {
+        it('should measure the power of a tone between FFT bins', () => {
+            // 1000 Hz is not a multiple of 44100 / 1024
+            const power = goertzel(tone(1000, 0.5), 1000, SAMPLE_RATE);
+            expect(power).toBeCloseTo(0.25, 2);
+            expect(goertzel(tone(1000, 0.5), 1400, SAMPLE_RATE)).toBeLessThan(0.01);
+        });
+    });
+
+    describe('createToneDetector', () => {
+        it('should detect every symbol tone', () => {
+            const detector = createToneDetector({ sampleRate: SAMPLE_RATE });
+
+            for (let index = 0; index < 8; index++) {
+                const frequency = AUDIO_CONFIG.baseFrequency + index * AUDIO_CONFIG.freqShift;
+                const detection = detector.detect(tone(frequency));
+
+                expect(detection.tone.symbol).toBe(index);
+                expect(detection.tone.frequency).toBe(frequency);
+                expect(detection.snr).toBeGreaterThan(30);
+                expect(detection.confidence).toBeGreaterThan(0.9);
+                expect(detection.energies.symbols[index]).toBeCloseTo(0.25, 1);
+            }
+        });
+
+        it('should name the markers', () => {
+            const detector = createToneDetector({ sampleRate: SAMPLE_RATE });
+
+            expect(detector.detect(tone(AUDIO_CONFIG.startMarkerFreq)).tone.marker).toBe('start');
+            expect(detector.detect(tone(AUDIO_CONFIG.endMarkerFreq)).tone.marker).toBe('end');
+            expect(detector.detect(tone(AUDIO_CONFIG.syncFreq)).tone.marker).toBe('sync');
+
+            const detection = detector.detect(tone(AUDIO_CONFIG.endMarkerFreq));
+            expect(detection.energies.end).toBeGreaterThan(100 * detection.energies.start);
+        });
+
+        it('should detect nothing in silence or noise', () => {
+            const detector = createToneDetector({ sampleRate: SAMPLE_RATE });
+
+            expect(detector.detect(new Float32Array(BLOCK)).tone).toBeNull();
+
+            const detection = detector.detect(noise(0.8));
+            expect(detection.tone).toBeNull();
+            expect(detection.snr).toBeLessThan(10);
+        });
+
+        it('should pick a weak symbol tone over a louder sound away from the tones', () => {
+            const detector = createToneDetector({ sampleRate: SAMPLE_RATE });
+
+            const detection = detector.detect(mix(tone(1400, 0.1), tone(3100, 0.8), noise(0.02)));
+            expect(detection.tone.symbol).toBe(2);
+            expect(detection.snr).toBeGreaterThan(10);
+        });
+
+        it('should list the tones it listens for', () => {
+            const tones = createToneDetector().getTones();
+
+            // Markers share frequencies with symbols
+            expect(tones).toHaveLength(8);
+            expect(tones.find(({ marker }) => marker === 'sync')).toEqual({ frequency: 1800, symbol: 4, marker: 'sync' });
+        });
+    });
+});
\ No newline at end of file
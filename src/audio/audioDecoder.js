@@ -3,28 +3,63 @@
  * Handles decoding of audio signals back to text data
  */
 
-import { AUDIO_CONFIG } from './audioEncoder.js';
+import {
+    AUDIO_CONFIG,
+    DEFAULT_AUDIO_PROFILE,
+    MICROPHONE_CONSTRAINTS,
+    getAudioProfile,
+    getProfileFrequencies,
+    getProfileMarkers,
+    getBitsPerSymbol
+} from './audioEncoder.js';
+import { createToneDetector } from './toneDetector.js';
+import { RECEIVER_PROCESSOR } from './receiverWorklet.js';
+import receiverWorkletUrl from './receiverWorklet.js?worker&url';
+import { MAX_HEADER_BITS, parseHeaderBinary, encodePayload } from '../core/encoder.js';
+import { decodePayload, verifyPayload } from '../core/decoder.js';
+import { bytesToText } from '../core/binaryHexConverter.js';
+import { CRC_BITS } from '../core/crc.js';
 
 // Decoding configuration
 const DECODE_CONFIG = {
-    fftSize: 1024,              // FFT size for frequency analysis
-    minSignalStrength: 0.1,     // Minimum signal strength to detect a tone
-    frequencyTolerance: 30,     // Frequency tolerance in Hz
+    fftSize: 1024,              // Samples analysed per frame (about half a symbol at 44.1 kHz)
+    minSnr: 10,                 // Minimum signal-to-noise ratio (dB) to detect a tone
     startMarkerThreshold: 0.7,  // Threshold for detecting start marker
     endMarkerThreshold: 0.7,    // Threshold for detecting end marker
     symbolThreshold: 0.5,       // Threshold for detecting symbols
     minSymbolDuration: 0.03,    // Minimum duration to consider a symbol valid
     maxSymbolGap: 0.02,         // Maximum gap between symbols
-    symbolCount: 8              // Number of possible symbols (same as encoder)
+    maxPauseRatio: 0.5,         // A tone falling below this share of its peak power has paused
+    markerRunSlots: {           // A tone shared by a symbol and a marker is the marker once it outlasts this many slots
+        sync: 1,
+        end: 2.5                // Well short of the end marker, but past two symbols run together
+    }
 };
 
+// How microphone audio is demodulated: on the audio thread, by polling an analyser, or the first available
+const RECEIVER_MODES = ['auto', 'worklet', 'analyser'];
+
 /**
  * Creates an audio decoder for processing audio input
+ * @param {Object} [options] - Decoder options
+ * @param {string} [options.receiverMode='auto'] - 'worklet' demodulates raw samples symbol by symbol on the
+ *                                                 audio thread, 'analyser' polls an AnalyserNode on display
+ *                                                 frames, 'auto' uses the worklet where AudioWorklet exists
+ * @param {string} [options.audioProfile='fsk8'] - MFSK profile the analyser listens for; the worklet reads
+ *                                                 the profile of each message from its start marker
  * @returns {Object} - Audio decoder object
  */
-function createAudioDecoder() {
+function createAudioDecoder(options = {}) {
+    const receiverMode = options.receiverMode || 'auto';
+    if (!RECEIVER_MODES.includes(receiverMode)) {
+        throw new Error(`Unsupported receiver mode: ${receiverMode}`);
+    }
+    const analyserProfile = getAudioProfile(options.audioProfile || DEFAULT_AUDIO_PROFILE);
+
     let audioContext = null;
     let analyser = null;
+    let receiverNode = null;
+    let toneDetector = null;
     let microphone = null;
     let stream = null;
     let isListening = false;
@@ -35,8 +70,11 @@ function createAudioDecoder() {
     const state = {
         isDecoding: false,
         symbolBuffer: [],
+        confidenceBuffer: [],
         lastSymbolTime: 0,
         detectedFrequencies: [],
+        lastDetection: null,
+        toneRun: null,
         messageBuffer: [],
         currentMessage: null
     };
@@ -64,39 +102,90 @@ function createAudioDecoder() {
 
         try {
             // Request microphone access
-            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream = await navigator.mediaDevices.getUserMedia({ audio: MICROPHONE_CONSTRAINTS });
 
-            // Create audio context and analyzer
+            // Create audio context
             audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            analyser = audioContext.createAnalyser();
             microphone = audioContext.createMediaStreamSource(stream);
 
-            // Configure analyzer
-            analyser.fftSize = DECODE_CONFIG.fftSize;
-            microphone.connect(analyser);
+            if (receiverMode !== 'analyser') {
+                try {
+                    await connectReceiverWorklet();
+                } catch (error) {
+                    if (receiverMode === 'worklet') {
+                        throw error;
+                    }
+                    console.warn('Audio worklet receiver unavailable, polling an analyser instead:', error);
+                }
+            }
+            if (!receiverNode) {
+                connectAnalyser();
+            }
 
             // Start processing audio frames
             isListening = true;
             updateStatus('listening', { timestamp: Date.now() });
 
             // Start processing loop
-            requestAnimationFrame(processAudioFrame);
+            if (analyser) {
+                requestAnimationFrame(processAudioFrame);
+            }
 
         } catch (error) {
             console.error('Failed to start audio listening:', error);
+            releaseAudio();
             updateStatus('error', { message: error.message });
             throw error;
         }
     }
 
     /**
-     * Stops listening for audio input
+     * Demodulates on the audio thread, which hands over every sample
+     * @private
      */
-    function stopListening() {
-        if (!isListening) {
-            return; // Not listening
+    async function connectReceiverWorklet() {
+        if (!audioContext.audioWorklet) {
+            throw new Error('AudioWorklet is not supported');
+        }
+
+        await audioContext.audioWorklet.addModule(receiverWorkletUrl);
+        const node = new AudioWorkletNode(audioContext, RECEIVER_PROCESSOR, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            processorOptions: {
+                minSnr: DECODE_CONFIG.minSnr
+            }
+        });
+        node.port.onmessage = handleReceiverMessage;
+        microphone.connect(node);
+        receiverNode = node;
+    }
+
+    /**
+     * Polls an analyser on display frames, following a single MFSK profile
+     * @private
+     */
+    function connectAnalyser() {
+        if (analyserProfile.modulation !== 'mfsk') {
+            throw new Error(`The analyser receiver can't demodulate the ${analyserProfile.name} audio profile`);
         }
 
+        analyser = audioContext.createAnalyser();
+        analyser.fftSize = DECODE_CONFIG.fftSize;
+        microphone.connect(analyser);
+        toneDetector = createToneDetector({
+            sampleRate: audioContext.sampleRate,
+            frequencies: getProfileFrequencies(analyserProfile),
+            markers: getProfileMarkers(analyserProfile),
+            minSnr: DECODE_CONFIG.minSnr
+        });
+    }
+
+    /**
+     * Stops the microphone, disconnects the receiver and closes the audio context
+     * @private
+     */
+    function releaseAudio() {
         // Stop all tracks in the stream
         if (stream) {
             stream.getTracks().forEach(track => track.stop());
@@ -106,9 +195,15 @@ function createAudioDecoder() {
         // Disconnect and clean up audio nodes
         if (microphone && analyser) {
             microphone.disconnect(analyser);
-            microphone = null;
-            analyser = null;
         }
+        if (microphone && receiverNode) {
+            receiverNode.port.onmessage = null;
+            microphone.disconnect(receiverNode);
+        }
+        microphone = null;
+        analyser = null;
+        receiverNode = null;
+        toneDetector = null;
 
         // Close audio context
         if (audioContext) {
@@ -117,7 +212,17 @@ function createAudioDecoder() {
             }
             audioContext = null;
         }
+    }
 
+    /**
+     * Stops listening for audio input
+     */
+    function stopListening() {
+        if (!isListening) {
+            return; // Not listening
+        }
+
+        releaseAudio();
         isListening = false;
         updateStatus('stopped');
 
@@ -130,190 +235,337 @@ function createAudioDecoder() {
      * @private
      */
     function resetDecodingState() {
+        if (receiverNode) {
+            receiverNode.port.postMessage({ type: 'reset' });
+        }
+
         state.isDecoding = false;
         state.symbolBuffer = [];
+        state.confidenceBuffer = [];
         state.lastSymbolTime = 0;
         state.detectedFrequencies = [];
+        state.lastDetection = null;
+        state.toneRun = null;
         state.messageBuffer = [];
         state.currentMessage = null;
     }
 
     /**
-     * Processes a single audio frame for decoding
+     * Decodes the collected symbols and notifies the message, then waits for the next one
+     * @param {Object} [profile] - Audio profile the symbols were sent with
      * @private
      */
-    function processAudioFrame() {
-        if (!isListening || !analyser) {
-            return;
+    function finishMessage(profile = getAudioProfile(DEFAULT_AUDIO_PROFILE)) {
+        // Process the collected symbols
+        if (state.symbolBuffer.length > 0) {
+            try {
+                const decodedMessage = decodeSymbols(state.symbolBuffer, state.confidenceBuffer, profile);
+
+                if (decodedMessage) {
+                    state.currentMessage = decodedMessage;
+
+                    // Notify via callback
+                    if (onMessageCallback) {
+                        onMessageCallback(decodedMessage);
+                    }
+
+                    updateStatus('decoded', { message: decodedMessage });
+                }
+            } catch (error) {
+                updateStatus('error', { message: error.message });
+            }
         }
 
-        // Get frequency data
-        const bufferLength = analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        analyser.getByteFrequencyData(dataArray);
+        // Reset for next message
+        state.isDecoding = false;
+        state.symbolBuffer = [];
+        state.confidenceBuffer = [];
+    }
 
-        // Process frequency data
-        const dominantFrequency = findDominantFrequency(dataArray, audioContext.sampleRate);
+    /**
+     * Handles a message from the receiver worklet
+     * @param {MessageEvent} event - Message event with { type: 'status', status, data } or
+     *                              { type: 'frame', profile, symbols, confidences, timestamp } data
+     * @private
+     */
+    function handleReceiverMessage(event) {
+        const message = event.data;
+
+        switch (message.type) {
+            case 'status':
+                if (message.status === 'started') {
+                    state.isDecoding = true;
+                    state.lastSymbolTime = message.data.timestamp;
+                    state.symbolBuffer = [];
+                    state.confidenceBuffer = [];
+                } else if (message.status === 'symbol') {
+                    state.symbolBuffer.push(message.data.index);
+                    state.confidenceBuffer.push(message.data.confidence);
+                    state.lastSymbolTime = message.data.timestamp;
+                } else if (message.status === 'timeout') {
+                    state.isDecoding = false;
+                    state.symbolBuffer = [];
+                    state.confidenceBuffer = [];
+                }
+                updateStatus(message.status, message.data);
+                break;
+
+            case 'frame':
+                state.symbolBuffer = message.symbols;
+                state.confidenceBuffer = message.confidences;
+                state.lastSymbolTime = message.timestamp;
+                finishMessage(getAudioProfile(message.profile));
+                break;
+
+            default:
+                break;
+        }
+    }
 
-        if (dominantFrequency) {
-            const now = audioContext.currentTime;
+    /**
+     * Adds a symbol heard by the analyser to the message
+     * @param {Object} heard - Symbol { index, frequency, confidence, snr }
+     * @param {number} time - Audio clock time in seconds
+     * @private
+     */
+    function addSymbol(heard, time) {
+        state.symbolBuffer.push(heard.index);
+        state.confidenceBuffer.push(heard.confidence);
+        state.lastSymbolTime = time;
+
+        updateStatus('symbol', {
+            index: heard.index,
+            frequency: heard.frequency,
+            confidence: heard.confidence,
+            snr: heard.snr,
+            count: state.symbolBuffer.length
+        });
+    }
 
-            // Check for start marker
-            if (!state.isDecoding &&
-                Math.abs(dominantFrequency - AUDIO_CONFIG.startMarkerFreq) < DECODE_CONFIG.frequencyTolerance) {
+    /**
+     * Adds the symbol a run held back, once for each slot the run lasted
+     * @param {Object} run - Tone run
+     * @param {number} time - Audio clock time in seconds
+     * @private
+     */
+    function releaseHeldSymbol(run, time) {
+        if (run.heldSymbol && state.isDecoding) {
+            const slotDuration = analyserProfile.symbolDuration + analyserProfile.pauseDuration;
+            const count = Math.max(1, Math.round((time - run.start) / slotDuration));
+            for (let i = 0; i < count; i++) {
+                addSymbol(run.heldSymbol, time);
+            }
+        }
+        run.heldSymbol = null;
+    }
 
-                state.isDecoding = true;
-                state.lastSymbolTime = now;
-                state.symbolBuffer = [];
-                updateStatus('started', { timestamp: now });
+    /**
+     * Ends the run of the tone heard last, adding the symbol it held back
+     * @param {number} time - Audio clock time in seconds
+     * @private
+     */
+    function endToneRun(time) {
+        const run = state.toneRun;
+        state.toneRun = null;
 
-                // Check for end marker
-            } else if (state.isDecoding &&
-                Math.abs(dominantFrequency - AUDIO_CONFIG.endMarkerFreq) < DECODE_CONFIG.frequencyTolerance) {
+        if (run) {
+            releaseHeldSymbol(run, time);
+        }
+    }
 
-                // Process the collected symbols
-                if (state.symbolBuffer.length > 0) {
-                    try {
-                        const decodedMessage = decodeSymbols(state.symbolBuffer);
+    /**
+     * Follows a tone from one analyser frame to the next; a change of tone, or a dip in its power
+     * (the pause between symbols), ends the run it was part of
+     * @param {Object} tone - Detected tone { frequency, symbol, marker }
+     * @param {number} power - Power of the tone
+     * @param {number} time - Audio clock time in seconds
+     * @returns {Object|null} - Run { frequency, start, peak, added, lastAdded, heldSymbol, markerHandled, paused, isNew },
+     *                          or null while the tone dips
+     * @private
+     */
+    function followTone(tone, power, time) {
+        const run = state.toneRun;
+        if (run && run.frequency === tone.frequency) {
+            if (power < run.peak * DECODE_CONFIG.maxPauseRatio) {
+                // Stay on the run through the pause, so the tail of the tone doesn't start another
+                if (!run.paused) {
+                    releaseHeldSymbol(run, time);
+                    run.paused = true;
+                }
+                return null;
+            }
+            if (!run.paused) {
+                run.peak = Math.max(run.peak, power);
+                run.isNew = false;
+                return run;
+            }
+        }
 
-                        if (decodedMessage) {
-                            state.currentMessage = decodedMessage;
+        endToneRun(time);
+        state.toneRun = {
+            frequency: tone.frequency,
+            start: time,
+            peak: power,
+            added: false,
+            lastAdded: 0,
+            heldSymbol: null,
+            markerHandled: false,
+            paused: false,
+            isNew: true
+        };
+        return state.toneRun;
+    }
 
-                            // Notify via callback
-                            if (onMessageCallback) {
-                                onMessageCallback(decodedMessage);
-                            }
+    /**
+     * Processes a single audio frame for decoding
+     * Symbols are told apart by the pause between them, so each run of a tone is one symbol; a run
+     * longer than a slot repeats it. A tone sent both as a symbol and as a marker (8-FSK sends its
+     * markers on symbol tones) is held back until its run ends, and is the marker once it outlasts
+     * the slots DECODE_CONFIG.markerRunSlots allows that marker.
+     * @private
+     */
+    function processAudioFrame() {
+        if (!isListening || !analyser) {
+            return;
+        }
 
-                            updateStatus('decoded', { message: decodedMessage });
-                        }
-                    } catch (error) {
-                        updateStatus('error', { message: error.message });
-                    }
-                }
+        // Measure the tones in the latest samples
+        const samples = new Float32Array(analyser.fftSize);
+        analyser.getFloatTimeDomainData(samples);
+        const detection = toneDetector.detect(samples);
+        const { tone } = detection;
+        state.lastDetection = detection;
+        const now = audioContext.currentTime;
+        const slotDuration = analyserProfile.symbolDuration + analyserProfile.pauseDuration;
 
-                // Reset for next message
-                state.isDecoding = false;
-                state.symbolBuffer = [];
+        const power = tone && (tone.symbol !== null ? detection.energies.symbols[tone.symbol] : detection.energies[tone.marker]);
+        const run = tone ? followTone(tone, power, now) : endToneRun(now);
 
-                // Check for sync marker
-            } else if (state.isDecoding &&
-                Math.abs(dominantFrequency - AUDIO_CONFIG.syncFreq) < DECODE_CONFIG.frequencyTolerance) {
+        // The start marker only opens a message; within one its tone is a symbol
+        const marker = tone && (state.isDecoding && tone.marker === 'start' ? null : tone.marker);
 
-                // Sync marker - just update the time
+        if (run && !state.isDecoding) {
+            // Check for start marker
+            if (marker === 'start' && run.isNew) {
+                run.markerHandled = true;
+                state.isDecoding = true;
                 state.lastSymbolTime = now;
+                state.symbolBuffer = [];
+                state.confidenceBuffer = [];
+                updateStatus('started', { timestamp: now });
+            }
+        } else if (run && (run.markerHandled ||
+            (marker && (tone.symbol === null || now - run.start > slotDuration * DECODE_CONFIG.markerRunSlots[marker])))) {
+            // A marker, or a tone it shares with a symbol that has lasted too long to be one
+            run.heldSymbol = null;
+            if (!run.markerHandled) {
+                run.markerHandled = true;
+                if (marker === 'end') {
+                    finishMessage(analyserProfile);
+                } else {
+                    state.lastSymbolTime = now;
+                }
+            }
+        } else if (run && tone.symbol !== null) {
+            const heard = { index: tone.symbol, frequency: tone.frequency, confidence: detection.confidence, snr: detection.snr };
 
-                // Process regular symbol
-            } else if (state.isDecoding) {
-                // Calculate which symbol this frequency represents
-                const symbolIndex = Math.round((dominantFrequency - AUDIO_CONFIG.baseFrequency) / AUDIO_CONFIG.freqShift);
-
-                // Check if it's a valid symbol
-                if (symbolIndex >= 0 && symbolIndex < DECODE_CONFIG.symbolCount) {
-                    // Check if this is a new symbol (based on time gap)
-                    const timeSinceLastSymbol = now - state.lastSymbolTime;
-
-                    if (timeSinceLastSymbol >= AUDIO_CONFIG.symbolDuration - 0.01) {
-                        state.symbolBuffer.push(symbolIndex);
-                        state.lastSymbolTime = now;
-
-                        updateStatus('symbol', {
-                            index: symbolIndex,
-                            frequency: dominantFrequency,
-                            count: state.symbolBuffer.length
-                        });
-                    }
+            if (marker) {
+                // Wait for the run to end to tell the symbol from the marker
+                if (run.isNew) {
+                    run.heldSymbol = heard;
                 }
+            } else if (!run.added || now - run.lastAdded >= slotDuration) {
+                // A new symbol, or the same one again if its pause went unheard
+                addSymbol(heard, now);
+                run.added = true;
+                run.lastAdded = now;
             }
         }
 
         // Check for timeout (no activity for too long)
-        const now = audioContext.currentTime;
-        if (state.isDecoding && (now - state.lastSymbolTime) > AUDIO_CONFIG.symbolDuration * 10) {
+        if (state.isDecoding && (now - state.lastSymbolTime) > analyserProfile.symbolDuration * 10) {
             updateStatus('timeout', { duration: now - state.lastSymbolTime });
             state.isDecoding = false;
             state.symbolBuffer = [];
+            state.confidenceBuffer = [];
         }
 
         // Continue processing loop
         requestAnimationFrame(processAudioFrame);
     }
 
-    /**
-     * Finds the dominant frequency in the audio spectrum
-     * @param {Uint8Array} frequencyData - Frequency data from analyzer
-     * @param {number} sampleRate - Audio sample rate
-     * @returns {number|null} - Dominant frequency or null if none detected
-     * @private
-     */
-    function findDominantFrequency(frequencyData, sampleRate) {
-        const bufferLength = frequencyData.length;
-
-        // Find the bin with maximum amplitude
-        let maxValue = 0;
-        let maxIndex = -1;
-
-        for (let i = 0; i < bufferLength; i++) {
-            if (frequencyData[i] > maxValue) {
-                maxValue = frequencyData[i];
-                maxIndex = i;
-            }
-        }
-
-        // Convert to actual frequency
-        if (maxValue > DECODE_CONFIG.minSignalStrength * 255) {
-            return maxIndex * sampleRate / (bufferLength * 2);
-        }
-
-        return null;
-    }
-
     /**
      * Decodes a sequence of symbol indexes back to text
      * @param {number[]} symbols - Array of symbol indexes
+     * @param {number[]} [confidences] - Per-symbol confidence (0-1) used for soft-decision decoding
+     * @param {Object} [profile] - Audio profile the symbols were sent with
      * @returns {Object} - Decoded message object
      * @private
      */
-    function decodeSymbols(symbols) {
+    function decodeSymbols(symbols, confidences = [], profile = getAudioProfile(DEFAULT_AUDIO_PROFILE)) {
         if (symbols.length < 3) {
             throw new Error('Symbol sequence too short');
         }
 
-        // Extract metadata (first few symbols)
-        const metadataLength = Math.ceil(8 / Math.log2(DECODE_CONFIG.symbolCount));
-        if (symbols.length <= metadataLength) {
+        const bitsPerSymbol = getBitsPerSymbol(profile);
+        const symbolToBinary = symbol => symbol.toString(2).padStart(bitsPerSymbol, '0');
+
+        // Parse header fields (first few symbols; the length field decides how many)
+        const headerSymbols = symbols.slice(0, Math.ceil(MAX_HEADER_BITS / bitsPerSymbol));
+        const header = parseHeaderBinary(headerSymbols.map(symbolToBinary).join(''));
+        if (!header) {
+            throw new Error('Malformed metadata header');
+        }
+        const { version, contentType, crcType, errorCorrection, interleaveDepth } = header;
+        const { mode, strength } = errorCorrection;
+
+        // The CRC symbols trail the payload
+        const metadataLength = Math.ceil(header.headerBits / bitsPerSymbol);
+        const crcLength = Math.ceil(CRC_BITS[crcType] / bitsPerSymbol);
+        if (symbols.length <= metadataLength + crcLength) {
             throw new Error('Symbol sequence too short for metadata');
         }
 
-        const metadataSymbols = symbols.slice(0, metadataLength);
-        const dataSymbols = symbols.slice(metadataLength, symbols.length - 1);
-        const checksumSymbol = symbols[symbols.length - 1];
+        const dataEnd = symbols.length - crcLength;
+        const dataSymbols = symbols.slice(metadataLength, dataEnd);
+        const dataConfidences = confidences.slice(metadataLength, dataEnd);
+        const crcSymbols = symbols.slice(dataEnd);
 
-        // Verify checksum
-        const calculatedChecksum = dataSymbols.reduce((sum, symbol) => sum + symbol, 0) % DECODE_CONFIG.symbolCount;
-        if (calculatedChecksum !== checksumSymbol) {
-            throw new Error('Checksum verification failed');
-        }
+        // Spread each symbol's confidence over its bits so it follows them through de-interleaving
+        const bitConfidences = dataConfidences.length === dataSymbols.length
+            ? dataConfidences.flatMap(confidence => new Array(bitsPerSymbol).fill(confidence))
+            : undefined;
 
-        // Convert symbols to binary
-        let binary = '';
-        const bitsPerSymbol = Math.log2(DECODE_CONFIG.symbolCount);
+        // Convert symbols to a bitstream, drop the padding filling out the last symbol (which can be
+        // longer than the interleaver expects with wide symbols), de-interleave and undo the error correction
+        const payloadBits = encodePayload(new Uint8Array(header.length), errorCorrection, interleaveDepth).length;
+        const binary = dataSymbols.map(symbolToBinary).join('').slice(0, payloadBits);
+        const corrected = decodePayload(binary, errorCorrection, interleaveDepth, {
+            confidence: bitConfidences && bitConfidences.slice(0, payloadBits)
+        });
 
-        for (const symbol of dataSymbols) {
-            binary += symbol.toString(2).padStart(bitsPerSymbol, '0');
-        }
+        // Check error correction, length and CRC in turn
+        const data = verifyPayload(corrected, header, crcSymbols.map(symbolToBinary).join(''));
 
-        // Convert binary to text (8 bits per character)
-        let text = '';
-        for (let i = 0; i < binary.length; i += 8) {
-            const byte = binary.slice(i, i + 8).padEnd(8, '0');
-            text += String.fromCharCode(parseInt(byte, 2));
-        }
+        // Text payloads are UTF-8; binary payloads are handed back untouched
+        const text = contentType === 'text' ? bytesToText(data) : null;
 
         return {
             text,
+            data,
             metadata: {
+                protocolVersion: version,
+                audioProfile: profile.name,
                 symbolCount: symbols.length,
-                checksumValid: true
+                crcType,
+                contentType,
+                interleaveDepth,
+                errorCorrection: {
+                    mode,
+                    strength,
+                    errors: corrected.errors,
+                    corrected: corrected.corrected
+                }
             }
         };
     }
@@ -349,9 +601,11 @@ function createAudioDecoder() {
     function getState() {
         return {
             isListening,
+            receiverMode: receiverNode ? 'worklet' : (analyser ? 'analyser' : null),
             isDecoding: state.isDecoding,
             symbolCount: state.symbolBuffer.length,
             lastActivity: state.lastSymbolTime,
+            lastDetection: state.lastDetection,
             currentMessage: state.currentMessage
         };
     }
@@ -369,5 +623,6 @@ function createAudioDecoder() {
 
 export {
     createAudioDecoder,
-    DECODE_CONFIG
+    DECODE_CONFIG,
+    RECEIVER_MODES
 }; 
\ No newline at end of file
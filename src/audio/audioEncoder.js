@@ -1,8 +1,19 @@
 /**
  * DialUp Audio Encoder Module
- * Handles encoding of text data into audio signals for transmission
+ * Handles encoding of text and binary data into audio signals for transmission
  */
 
+import {
+    createHeaderBinary,
+    createCrcBinary,
+    encodePayload,
+    resolvePayload,
+    resolveErrorCorrection,
+    resolveInterleaveDepth,
+    resolveCrcType
+} from '../core/encoder.js';
+import { textToBinary } from '../core/binaryHexConverter.js';
+
 // Audio configuration
 const AUDIO_CONFIG = {
     sampleRate: 44100,         // Sample rate in Hz
@@ -16,31 +27,169 @@ const AUDIO_CONFIG = {
     endMarkerFreq: 2200,       // End marker frequency in Hz
     syncFreq: 1800,            // Sync marker frequency in Hz
     syncDuration: 0.1,         // Sync marker duration in seconds
-    volume: 0.8                // Output volume (0-1)
+    pulseShape: 'raised-cosine', // Symbol envelope (see PULSE_SHAPES)
+    rampDuration: 0.004,       // Raised-cosine ramp at each symbol edge in seconds (within the receiver's guard)
+    volume: 0.8,               // Output volume (0-1)
+    channelCheckDuration: 0.2  // Time spent listening for other senders before transmitting in seconds
+};
+
+// Symbol envelopes: 'none' keys tones on and off abruptly, 'raised-cosine' ramps each edge over
+// rampDuration, 'hann' shapes the whole symbol
+const PULSE_SHAPES = ['none', 'raised-cosine', 'hann'];
+
+// Microphone audio as captured: echo cancellation, noise suppression and gain control treat the
+// steady tones as noise, and filter out the near-ultrasonic band altogether
+const MICROPHONE_CONSTRAINTS = {
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false
 };
 
 // Symbol mapping (similar to color mapping in visual encoder)
 const SYMBOL_COUNT = 8;  // 8 symbols (representing 3 bits each)
 
+// Modulation profiles. MFSK sends one of `tones` tones per symbol; OFDM sends all `tones` subcarriers
+// at once, each carrying one bit as a phase flip (DBPSK) against the same subcarrier in the previous
+// symbol, starting from a reference symbol. Tones are `freqShift` apart from `baseFrequency` up.
+// Profiles with their own `markers` { start, end, sync } send them instead of AUDIO_CONFIG's. MFSK
+// tones stay clear of the marker and profile id tones, so a receiver joining mid-message doesn't take
+// a symbol for a start marker; 8-FSK keeps the grid older receivers expect.
+const AUDIO_PROFILES = {
+    fsk8: {
+        id: 0,
+        modulation: 'mfsk',
+        tones: SYMBOL_COUNT,
+        baseFrequency: AUDIO_CONFIG.baseFrequency,
+        freqShift: AUDIO_CONFIG.freqShift,
+        symbolDuration: AUDIO_CONFIG.symbolDuration,
+        pauseDuration: AUDIO_CONFIG.pauseDuration
+    },
+    mfsk16: {
+        id: 1,
+        modulation: 'mfsk',
+        tones: 16,
+        baseFrequency: 3200,   // Above the 1800-3000 Hz marker and id tones
+        freqShift: 100,        // Twice the resolution of a 40 ms analysis window
+        symbolDuration: 0.05,
+        pauseDuration: 0.01
+    },
+    mfsk32: {
+        id: 2,
+        modulation: 'mfsk',
+        tones: 32,
+        baseFrequency: 3200,
+        freqShift: 100,
+        symbolDuration: 0.05,
+        pauseDuration: 0.01
+    },
+    ofdm: {
+        id: 3,
+        modulation: 'ofdm',
+        tones: 16,
+        baseFrequency: 1000,
+        freqShift: 100,        // Subcarriers stay orthogonal over the analysis window
+        symbolDuration: 0.05,
+        pauseDuration: 0.01
+    },
+    ultrasonic: {
+        id: 4,
+        modulation: 'mfsk',
+        tones: 8,
+        baseFrequency: 18000,  // Above what most adults hear, below where laptop speakers and mics give out
+        freqShift: 250,
+        symbolDuration: 0.05,
+        pauseDuration: 0.01,
+        markers: {
+            start: 17600,
+            end: 17800,
+            sync: 17400
+        }
+    }
+};
+
+// Profile used when none is chosen; its start marker is the plain start tone older receivers expect
+const DEFAULT_AUDIO_PROFILE = 'fsk8';
+
+// Tone filling the second half of the start marker, by profile id. A profile whose id tone is its
+// own start marker sends the start tone throughout.
+const PROFILE_ID_FREQUENCIES = [AUDIO_CONFIG.startMarkerFreq, 2600, 2800, 3000, 17600];
+
+/**
+ * Looks up a modulation profile
+ * @param {string|number} profile - Profile name or id
+ * @returns {Object} - Profile { name, id, modulation, tones, baseFrequency, freqShift, symbolDuration, pauseDuration,
+ *                     and markers if it has its own }
+ * @throws {Error} - If there is no such profile
+ */
+function getAudioProfile(profile) {
+    const name = typeof profile === 'number'
+        ? Object.keys(AUDIO_PROFILES).find(key => AUDIO_PROFILES[key].id === profile)
+        : profile;
+
+    if (!Object.prototype.hasOwnProperty.call(AUDIO_PROFILES, name)) {
+        throw new Error(`Unsupported audio profile: ${profile}`);
+    }
+
+    return { name, ...AUDIO_PROFILES[name] };
+}
+
 /**
- * Converts text to binary representation
- * @param {string} text - The text to convert
- * @returns {string} - Binary representation of the text
+ * Gets the tone or subcarrier frequencies of a profile
+ * @param {Object} profile - Profile (see getAudioProfile)
+ * @returns {number[]} - Frequencies in Hz, by symbol index (MFSK) or subcarrier (OFDM)
  */
-function textToBinary(text) {
-    return Array.from(text)
-        .map(char => char.charCodeAt(0).toString(2).padStart(8, '0'))
-        .join('');
+function getProfileFrequencies(profile) {
+    return Array.from({ length: profile.tones }, (_, index) => profile.baseFrequency + index * profile.freqShift);
+}
+
+/**
+ * Gets the marker frequencies a profile sends
+ * @param {Object} profile - Profile (see getAudioProfile)
+ * @returns {Object} - Marker frequencies in Hz { start, end, sync }
+ */
+function getProfileMarkers(profile) {
+    return profile.markers || {
+        start: AUDIO_CONFIG.startMarkerFreq,
+        end: AUDIO_CONFIG.endMarkerFreq,
+        sync: AUDIO_CONFIG.syncFreq
+    };
+}
+
+/**
+ * Gets the frequency band a profile occupies, including its markers and id tone
+ * @param {Object} profile - Profile (see getAudioProfile)
+ * @returns {Object} - Band { low, high } in Hz, half a tone spacing beyond the outermost tones
+ */
+function getProfileBand(profile) {
+    const frequencies = [
+        ...getProfileFrequencies(profile),
+        ...Object.values(getProfileMarkers(profile)),
+        PROFILE_ID_FREQUENCIES[profile.id]
+    ];
+
+    return {
+        low: Math.min(...frequencies) - profile.freqShift / 2,
+        high: Math.max(...frequencies) + profile.freqShift / 2
+    };
+}
+
+/**
+ * Gets the number of bits each symbol of a profile carries
+ * @param {Object} profile - Profile (see getAudioProfile)
+ * @returns {number} - Bits per symbol
+ */
+function getBitsPerSymbol(profile) {
+    return profile.modulation === 'ofdm' ? profile.tones : Math.log2(profile.tones);
 }
 
 /**
  * Converts binary data to a sequence of symbol indexes
  * @param {string} binary - Binary string
+ * @param {number} [bitsPerSymbol=3] - Bits per symbol (see getBitsPerSymbol)
  * @returns {number[]} - Array of symbol indexes
  */
-function binaryToSymbolIndexes(binary) {
+function binaryToSymbolIndexes(binary, bitsPerSymbol = Math.log2(SYMBOL_COUNT)) {
     const symbolIndexes = [];
-    const bitsPerSymbol = Math.log2(SYMBOL_COUNT);
 
     // Process binary data in chunks of bitsPerSymbol
     for (let i = 0; i < binary.length; i += bitsPerSymbol) {
@@ -52,27 +201,15 @@ function binaryToSymbolIndexes(binary) {
     return symbolIndexes;
 }
 
-/**
- * Calculates checksum for a sequence of symbol indexes
- * @param {number[]} symbolIndexes - Array of symbol indexes
- * @returns {number} - Checksum value (0-7)
- */
-function calculateChecksum(symbolIndexes) {
-    const sum = symbolIndexes.reduce((acc, index) => acc + index, 0);
-    return sum % SYMBOL_COUNT; // Keep in the range 0-7 for our 8 symbols
-}
-
 /**
  * Creates a metadata header with information about the message
- * @param {string} text - Original text message
+ * @param {Object} header - Header fields { length, contentType, crcType, errorCorrection, interleaveDepth }
+ * @param {number} [bitsPerSymbol=3] - Bits per symbol
  * @returns {number[]} - Symbol indexes for the metadata header
  */
-function createMetadataHeader(text) {
-    // Encode message length as 8-bit binary (supports up to 255 characters)
-    const lengthBinary = text.length.toString(2).padStart(8, '0');
-
-    // Convert to symbol indexes
-    return binaryToSymbolIndexes(lengthBinary);
+function createMetadataHeader(header, bitsPerSymbol = Math.log2(SYMBOL_COUNT)) {
+    // Same header layout as the visual channel, mapped onto the profile's symbols
+    return binaryToSymbolIndexes(createHeaderBinary(header), bitsPerSymbol);
 }
 
 /**
@@ -107,109 +244,208 @@ function generateTone(audioContext, frequency, duration) {
     return buffer;
 }
 
+/**
+ * Gets the gain of a raised-cosine ramped envelope at one sample
+ * @param {number} index - Sample index within the pulse
+ * @param {number} length - Pulse length in samples
+ * @param {number} rampIn - Samples ramping up at the start (0 for none)
+ * @param {number} rampOut - Samples ramping down at the end (0 for none)
+ * @returns {number} - Gain (0-1)
+ * @private
+ */
+function envelopeGain(index, length, rampIn, rampOut) {
+    if (index < rampIn) {
+        return 0.5 - 0.5 * Math.cos(Math.PI * (index + 0.5) / rampIn);
+    }
+
+    const fromEnd = length - 1 - index;
+    if (fromEnd < rampOut) {
+        return 0.5 - 0.5 * Math.cos(Math.PI * (fromEnd + 0.5) / rampOut);
+    }
+
+    return 1;
+}
+
 /**
  * Generates an audio buffer for a sequence of symbols
+ * The second half of the start marker is the profile's id tone (8-FSK keeps the start tone throughout),
+ * and OFDM symbols are preceded by a reference symbol their phases are compared against.
+ * Tones are phase-continuous (CPFSK): each starts at the phase the previous one ended on, and the phase
+ * runs on through the pause after a symbol as if its tone were still playing, so there is no phase jump
+ * at any tone boundary. Symbols are shaped by the pulse envelope, and the markers ramp where they meet
+ * symbols or silence.
  * @param {AudioContext} audioContext - Web Audio API context
  * @param {number[]} symbolIndexes - Array of symbol indexes
+ * @param {Object} [profile] - Modulation profile (see getAudioProfile), 8-FSK by default
+ * @param {Object} [options] - Synthesis options
+ * @param {string} [options.pulseShape='raised-cosine'] - Symbol envelope (see PULSE_SHAPES)
+ * @param {number} [options.rampDuration=0.004] - Raised-cosine ramp length in seconds
  * @returns {AudioBuffer} - Audio buffer containing the encoded message
+ * @throws {Error} - If the sample rate is too low for the profile's band, or the pulse shape is unknown
  */
-function generateSymbolSequence(audioContext, symbolIndexes) {
+function generateSymbolSequence(audioContext, symbolIndexes, profile = getAudioProfile(DEFAULT_AUDIO_PROFILE), options = {}) {
+    const { sampleRate } = audioContext;
+    const frequencies = getProfileFrequencies(profile);
+    const markers = getProfileMarkers(profile);
+    const ofdm = profile.modulation === 'ofdm';
+    const pulseShape = options.pulseShape || AUDIO_CONFIG.pulseShape;
+    const rampDuration = options.rampDuration || AUDIO_CONFIG.rampDuration;
+
+    if (getProfileBand(profile).high >= sampleRate / 2) {
+        throw new Error(`Sample rate ${sampleRate} Hz is too low for the ${profile.name} audio profile`);
+    }
+    if (!PULSE_SHAPES.includes(pulseShape)) {
+        throw new Error(`Unsupported pulse shape: ${pulseShape}`);
+    }
+
     // Calculate total duration
-    const symbolsWithPause = symbolIndexes.length * (AUDIO_CONFIG.symbolDuration + AUDIO_CONFIG.pauseDuration);
+    const symbolCount = symbolIndexes.length + (ofdm ? 1 : 0);
+    const symbolsWithPause = symbolCount * (profile.symbolDuration + profile.pauseDuration);
     const totalDuration = AUDIO_CONFIG.startMarkerDuration + AUDIO_CONFIG.syncDuration +
         symbolsWithPause + AUDIO_CONFIG.syncDuration + AUDIO_CONFIG.endMarkerDuration;
 
     // Create buffer for the entire sequence
-    const totalSamples = Math.floor(audioContext.sampleRate * totalDuration);
-    const buffer = audioContext.createBuffer(1, totalSamples, audioContext.sampleRate);
+    const totalSamples = Math.floor(sampleRate * totalDuration);
+    const buffer = audioContext.createBuffer(1, totalSamples, sampleRate);
     const data = buffer.getChannelData(0);
 
-    let currentTime = 0;
-    let currentSample = 0;
+    // Ramp lengths in samples; markers ramp like raised-cosine symbols unless shaping is off
+    const symbolSamples = Math.floor(sampleRate * profile.symbolDuration);
+    const rampSamples = pulseShape === 'none' ? 0 : Math.floor(sampleRate * rampDuration);
+    const symbolRamp = pulseShape === 'hann' ? symbolSamples / 2 : Math.min(rampSamples, symbolSamples / 2);
 
-    // Add start marker
-    const startMarkerSamples = Math.floor(audioContext.sampleRate * AUDIO_CONFIG.startMarkerDuration);
-    for (let i = 0; i < startMarkerSamples; i++) {
-        data[currentSample++] = Math.sin(2 * Math.PI * AUDIO_CONFIG.startMarkerFreq * i / audioContext.sampleRate) * AUDIO_CONFIG.volume;
+    let currentSample = 0;
+    let phase = 0; // Phase the next single tone starts at
+    let lastFrequency = 0; // Frequency the phase runs on at through a pause
+
+    // Adds sines { frequency, phase } played together, sharing the output volume, under an envelope
+    const addTones = (tones, duration, rampIn, rampOut) => {
+        const samples = Math.floor(sampleRate * duration);
+        const amplitude = AUDIO_CONFIG.volume / tones.length;
+        for (let i = 0; i < samples; i++) {
+            let sample = 0;
+            for (const tone of tones) {
+                sample += Math.sin(2 * Math.PI * tone.frequency * i / sampleRate + tone.phase);
+            }
+            data[currentSample++] = sample * amplitude * envelopeGain(i, samples, rampIn, rampOut);
+        }
+    };
+
+    // Adds a tone carrying on from the phase the previous one ended on
+    const addTone = (frequency, duration, rampIn = 0, rampOut = 0) => {
+        addTones([{ frequency, phase }], duration, rampIn, rampOut);
+        const samples = Math.floor(sampleRate * duration);
+        phase = (phase + 2 * Math.PI * frequency * samples / sampleRate) % (2 * Math.PI);
+        lastFrequency = frequency;
+    };
+
+    // The buffer starts out silent; the phase carries on at the last tone's frequency
+    const addPause = duration => {
+        const samples = Math.floor(sampleRate * duration);
+        currentSample += samples;
+        phase = (phase + 2 * Math.PI * lastFrequency * samples / sampleRate) % (2 * Math.PI);
+    };
+
+    // Add start marker, announcing the profile
+    const idFrequency = PROFILE_ID_FREQUENCIES[profile.id];
+    if (idFrequency === markers.start) {
+        addTone(markers.start, AUDIO_CONFIG.startMarkerDuration, rampSamples);
+    } else {
+        addTone(markers.start, AUDIO_CONFIG.startMarkerDuration / 2, rampSamples);
+        addTone(idFrequency, AUDIO_CONFIG.startMarkerDuration / 2);
     }
-    currentTime += AUDIO_CONFIG.startMarkerDuration;
 
-    // Add sync tone
-    const syncSamples = Math.floor(audioContext.sampleRate * AUDIO_CONFIG.syncDuration);
-    for (let i = 0; i < syncSamples; i++) {
-        data[currentSample++] = Math.sin(2 * Math.PI * AUDIO_CONFIG.syncFreq * i / audioContext.sampleRate) * AUDIO_CONFIG.volume;
-    }
-    currentTime += AUDIO_CONFIG.syncDuration;
+    // Add sync tone, ramping down into the first symbol
+    addTone(markers.sync, AUDIO_CONFIG.syncDuration, 0, rampSamples);
 
     // Add each symbol with pause
-    for (const symbolIndex of symbolIndexes) {
-        // Calculate frequency for this symbol
-        const frequency = AUDIO_CONFIG.baseFrequency + (symbolIndex * AUDIO_CONFIG.freqShift);
-
-        // Add symbol tone
-        const symbolSamples = Math.floor(audioContext.sampleRate * AUDIO_CONFIG.symbolDuration);
-        for (let i = 0; i < symbolSamples; i++) {
-            data[currentSample++] = Math.sin(2 * Math.PI * frequency * i / audioContext.sampleRate) * AUDIO_CONFIG.volume;
-        }
-        currentTime += AUDIO_CONFIG.symbolDuration;
+    if (ofdm) {
+        const phases = frequencies.map(() => 0);
+        const addSymbol = () => {
+            const tones = frequencies.map((frequency, index) => ({ frequency, phase: phases[index] }));
+            addTones(tones, profile.symbolDuration, symbolRamp, symbolRamp);
+            addPause(profile.pauseDuration);
+        };
 
-        // Add pause
-        const pauseSamples = Math.floor(audioContext.sampleRate * AUDIO_CONFIG.pauseDuration);
-        for (let i = 0; i < pauseSamples; i++) {
-            data[currentSample++] = 0; // Silence
+        addSymbol(); // Reference
+        for (const symbolIndex of symbolIndexes) {
+            // Subcarrier k carries bit k, most significant first; a 1 flips its phase
+            frequencies.forEach((_, index) => {
+                if ((symbolIndex >> (profile.tones - 1 - index)) & 1) {
+                    phases[index] += Math.PI;
+                }
+            });
+            addSymbol();
+        }
+    } else {
+        for (const symbolIndex of symbolIndexes) {
+            addTone(frequencies[symbolIndex], profile.symbolDuration, symbolRamp, symbolRamp);
+            addPause(profile.pauseDuration);
         }
-        currentTime += AUDIO_CONFIG.pauseDuration;
     }
 
-    // Add sync tone
-    for (let i = 0; i < syncSamples; i++) {
-        data[currentSample++] = Math.sin(2 * Math.PI * AUDIO_CONFIG.syncFreq * i / audioContext.sampleRate) * AUDIO_CONFIG.volume;
-    }
-    currentTime += AUDIO_CONFIG.syncDuration;
+    // Add sync tone, ramping up out of the last pause
+    addTone(markers.sync, AUDIO_CONFIG.syncDuration, rampSamples);
 
     // Add end marker
-    const endMarkerSamples = Math.floor(audioContext.sampleRate * AUDIO_CONFIG.endMarkerDuration);
-    for (let i = 0; i < endMarkerSamples; i++) {
-        data[currentSample++] = Math.sin(2 * Math.PI * AUDIO_CONFIG.endMarkerFreq * i / audioContext.sampleRate) * AUDIO_CONFIG.volume;
-    }
+    addTone(markers.end, AUDIO_CONFIG.endMarkerDuration, 0, rampSamples);
 
     return buffer;
 }
 
 /**
- * Encodes text into an audio buffer for transmission
- * @param {string} text - Text to encode
+ * Encodes a message into an audio buffer for transmission
+ * @param {string|Uint8Array|ArrayBuffer} text - Text (sent as UTF-8) or binary data to encode
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrectionMode='convolutional'] - Error correction mode
+ * @param {number} [options.errorCorrectionStrength=1] - Error correction strength (1-8)
+ * @param {number} [options.interleaveDepth=8] - Interleave depth (1-16, 1 disables interleaving)
+ * @param {string} [options.crcType='crc32'] - Payload CRC type ('crc16' or 'crc32')
+ * @param {string} [options.audioProfile='fsk8'] - Modulation profile (see AUDIO_PROFILES)
+ * @param {string} [options.pulseShape='raised-cosine'] - Symbol envelope (see PULSE_SHAPES)
  * @returns {Promise<AudioBuffer>} - Promise resolving to an audio buffer
  */
-async function encodeText(text) {
+async function encodeText(text, options = {}) {
     if (!text || text.length === 0) {
         throw new Error('Cannot encode empty message');
     }
 
+    // Convert the message to bytes and protect them against burst noise
+    const { bytes, contentType } = resolvePayload(text);
+    const errorCorrection = resolveErrorCorrection(options, 'convolutional');
+    const interleaveDepth = resolveInterleaveDepth(options);
+    const crcType = resolveCrcType(options);
+    const profile = getAudioProfile(options.audioProfile || DEFAULT_AUDIO_PROFILE);
+    const bitsPerSymbol = getBitsPerSymbol(profile);
+    const payloadBinary = encodePayload(bytes, errorCorrection, interleaveDepth);
+
     // Create audio context
     const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-    // Convert text to binary
-    const binary = textToBinary(text);
+    // Convert the protected bitstream to symbol indexes
+    const symbolIndexes = binaryToSymbolIndexes(payloadBinary, bitsPerSymbol);
 
-    // Convert binary to symbol indexes
-    const symbolIndexes = binaryToSymbolIndexes(binary);
-
-    // Calculate checksum
-    const checksum = calculateChecksum(symbolIndexes);
+    // Calculate the CRC over the original payload bytes
+    const crcSymbols = binaryToSymbolIndexes(createCrcBinary(bytes, crcType), bitsPerSymbol);
 
     // Create metadata header
-    const metadataHeader = createMetadataHeader(text);
+    const metadataHeader = createMetadataHeader({
+        length: bytes.length,
+        contentType,
+        crcType,
+        errorCorrection,
+        interleaveDepth
+    }, bitsPerSymbol);
 
     // Combine all parts
     const fullSequence = [
         ...metadataHeader,
         ...symbolIndexes,
-        checksum
+        ...crcSymbols
     ];
 
     // Generate audio buffer
-    return generateSymbolSequence(audioContext, fullSequence);
+    return generateSymbolSequence(audioContext, fullSequence, profile, { pulseShape: options.pulseShape });
 }
 
 /**
@@ -234,12 +470,16 @@ function playAudioBuffer(buffer) {
 
 /**
  * Checks if the audio channel is busy (has significant audio activity)
+ * @param {Object} [profile] - Profile (see getAudioProfile) whose band is checked, 8-FSK by default
  * @returns {Promise<boolean>} - Promise resolving to true if channel is busy
  */
-async function isChannelBusy() {
+async function isChannelBusy(profile = getAudioProfile(DEFAULT_AUDIO_PROFILE)) {
+    let stream = null;
+    let audioContext = null;
+
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        stream = await navigator.mediaDevices.getUserMedia({ audio: MICROPHONE_CONSTRAINTS });
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
         const analyser = audioContext.createAnalyser();
         const microphone = audioContext.createMediaStreamSource(stream);
 
@@ -249,36 +489,53 @@ async function isChannelBusy() {
         const bufferLength = analyser.frequencyBinCount;
         const dataArray = new Uint8Array(bufferLength);
 
-        analyser.getByteFrequencyData(dataArray);
-
-        // Calculate average volume
-        const average = dataArray.reduce((sum, value) => sum + value, 0) / bufferLength;
-
-        // Clean up
-        stream.getTracks().forEach(track => track.stop());
+        // Only the bins of the profile's band count, so sound outside it doesn't
+        const { low, high } = getProfileBand(profile);
+        const binWidth = audioContext.sampleRate / analyser.fftSize;
+        const firstBin = Math.min(bufferLength - 1, Math.floor(low / binWidth));
+        const lastBin = Math.min(bufferLength - 1, Math.ceil(high / binWidth));
+
+        // The analyser hears nothing until audio has flowed through it, so listen a while and average the volume
+        const reads = 5;
+        let total = 0;
+        for (let read = 0; read < reads; read++) {
+            await new Promise(resolve => setTimeout(resolve, AUDIO_CONFIG.channelCheckDuration * 1000 / reads));
+            analyser.getByteFrequencyData(dataArray);
+            const band = dataArray.subarray(firstBin, lastBin + 1);
+            total += band.reduce((sum, value) => sum + value, 0) / band.length;
+        }
 
         // If average is above threshold, channel is busy
-        return average > 30; // Threshold can be adjusted
+        return total / reads > 30; // Threshold can be adjusted
     } catch (error) {
         console.error('Error checking audio channel:', error);
         return false; // Assume not busy if we can't check
+    } finally {
+        // Clean up
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+        }
+        if (audioContext && audioContext.state !== 'closed') {
+            audioContext.close();
+        }
     }
 }
 
 /**
  * Encodes and transmits text as audio
- * @param {string} text - Text to transmit
+ * @param {string|Uint8Array|ArrayBuffer} text - Text or binary data to transmit
+ * @param {Object} [options] - Encoding options (see encodeText)
  * @returns {Promise<void>} - Promise that resolves when transmission completes
  */
-async function transmitAudio(text) {
+async function transmitAudio(text, options = {}) {
     // Check if channel is busy
-    const busy = await isChannelBusy();
+    const busy = await isChannelBusy(getAudioProfile(options.audioProfile || DEFAULT_AUDIO_PROFILE));
     if (busy) {
         throw new Error('Audio channel is busy');
     }
 
     // Encode text to audio buffer
-    const buffer = await encodeText(text);
+    const buffer = await encodeText(text, options);
 
     // Play the buffer
     await playAudioBuffer(buffer);
@@ -286,11 +543,21 @@ async function transmitAudio(text) {
 
 export {
     AUDIO_CONFIG,
+    AUDIO_PROFILES,
+    PULSE_SHAPES,
+    DEFAULT_AUDIO_PROFILE,
+    PROFILE_ID_FREQUENCIES,
+    MICROPHONE_CONSTRAINTS,
+    getAudioProfile,
+    getProfileFrequencies,
+    getProfileMarkers,
+    getProfileBand,
+    getBitsPerSymbol,
+    generateSymbolSequence,
     encodeText,
     transmitAudio,
     isChannelBusy,
     playAudioBuffer,
     textToBinary,
-    binaryToSymbolIndexes,
-    calculateChecksum
+    binaryToSymbolIndexes
 }; 
\ No newline at end of file
@@ -0,0 +1,446 @@
+/**
+ * DialUp Receiver Worklet Module
+ * Demodulates raw microphone samples on the audio rendering thread, one symbol slot at a time, so
+ * symbols are read at the sender's timing rather than whenever the page gets to it. The modulation
+ * profile is read from the start marker. Loaded with
+ * audioWorklet.addModule it registers the receiver processor, which posts what it hears to
+ * createAudioDecoder; createSymbolReceiver holds the logic.
+ */
+
+import {
+    AUDIO_CONFIG,
+    AUDIO_PROFILES,
+    PROFILE_ID_FREQUENCIES,
+    getAudioProfile,
+    getProfileFrequencies,
+    getProfileMarkers,
+    getProfileBand
+} from './audioEncoder.js';
+import { createToneDetector, goertzel, goertzelPhase } from './toneDetector.js';
+
+// Name the processor is registered under
+const RECEIVER_PROCESSOR = 'dialup-receiver';
+
+/**
+ * Symbol receiver options
+ * @typedef {Object} SymbolReceiverOptions
+ * @property {number} sampleRate - Sample rate of the microphone audio in Hz
+ * @property {number} minSnr - Smallest signal-to-noise ratio (dB) at which a tone is detected
+ * @property {number} searchWindow - Samples analysed per search for the start marker
+ * @property {number} searchHop - Samples between searches
+ * @property {number} edgeWindow - Samples per window when locating the end of the start marker
+ * @property {number} symbolGuard - Share of a symbol left out of its analysis at each end
+ * @property {number} maxPauseRatio - Largest power in the pause after a symbol, relative to the symbol
+ */
+
+/**
+ * Default symbol receiver options
+ * @type {SymbolReceiverOptions}
+ */
+const DEFAULT_OPTIONS = {
+    sampleRate: AUDIO_CONFIG.sampleRate,
+    minSnr: 10,
+    searchWindow: 1024, // Shorter blocks can't tell the tones from the noise between them
+    searchHop: 256,
+    edgeWindow: 256,    // Resolves the 200 Hz between the start and sync tones
+    symbolGuard: 0.1,   // Skips the transitions and some timing error
+    maxPauseRatio: 0.25 // A tone that carries on through the pause is a marker, not a symbol
+};
+
+// Seconds of audio kept for analysis; covers a symbol slot and a search with room to spare
+const HISTORY_DURATION = 0.25;
+
+/**
+ * Creates the demodulator run by the receiver processor
+ * Profiles sending their own markers are listened for side by side; within the profiles sharing a start
+ * marker, the tone ending it names the profile. Once it gives way to the sync tone, the symbol
+ * slots (symbol, then pause) follow at fixed offsets, and each is analysed once it has been received
+ * in full. Symbols are silent during their pause; the trailing sync tone is not, which ends the frame.
+ * Posts { type: 'status', status, data } ('started', 'symbol', 'timeout') and
+ * { type: 'frame', profile, symbols, confidences, timestamp } once a frame's symbols are complete.
+ * @param {function} post - Sends a message to the main thread
+ * @param {SymbolReceiverOptions} [options] - Configuration options
+ * @returns {Object} - Symbol receiver object
+ */
+function createSymbolReceiver(post, options = {}) {
+    // Merge default options with provided options
+    const receiverOptions = { ...DEFAULT_OPTIONS, ...options };
+    const { sampleRate } = receiverOptions;
+
+    // Profiles grouped by the markers they send, leaving out those above what the sample rate can carry
+    const markerSets = [];
+    Object.keys(AUDIO_PROFILES).map(getAudioProfile)
+        .filter(profile => getProfileBand(profile).high < sampleRate / 2)
+        .forEach(profile => {
+            const markers = getProfileMarkers(profile);
+            let markerSet = markerSets.find(set => set.markers.start === markers.start);
+            if (!markerSet) {
+                markerSet = { markers, profileIds: [] };
+                markerSets.push(markerSet);
+            }
+            markerSet.profileIds.push(profile.id);
+        });
+
+    // Each set listens for its start marker, its profiles' id tones and its sync tone
+    markerSets.forEach(markerSet => {
+        markerSet.detector = createToneDetector({
+            sampleRate,
+            frequencies: markerSet.profileIds.map(id => PROFILE_ID_FREQUENCIES[id]),
+            markers: { start: markerSet.markers.start, sync: markerSet.markers.sync },
+            minSnr: receiverOptions.minSnr
+        });
+    });
+    const syncSamples = Math.floor(AUDIO_CONFIG.syncDuration * sampleRate);
+
+    // Demodulators by profile id
+    const demodulators = new Map();
+
+    // Recent samples, by absolute sample position modulo the history length
+    const history = new Float32Array(Math.ceil(HISTORY_DURATION * sampleRate));
+    let position = 0;           // Position of the next sample
+    let blockPosition = 0;      // Position of the first sample of the last block
+    let blockTime = 0;          // Audio clock time of that sample in seconds
+
+    // Decoding state
+    let mode = 'idle';          // 'idle' (searching for a start marker), 'start' (in it) or 'symbols'
+    let nextSearch = receiverOptions.searchWindow;
+    let markerSet = null;       // Markers of the transmission being received
+    let profileId = 0;          // Profile named by the start marker
+    let markerHeard = 0;        // Position up to which the start marker was last heard
+    let demodulator = null;     // Demodulator of the frame being received
+    let slotStart = 0;          // Position of the next symbol slot
+    let referencePhases = null; // OFDM subcarrier phases of the previous symbol
+    let symbols = [];
+    let confidences = [];
+
+    /**
+     * Gets the demodulator settings for a profile
+     * @param {number} id - Profile id
+     * @returns {Object} - Demodulator { profile, frequencies, markers, detector, and slot timing in samples }
+     * @private
+     */
+    function getDemodulator(id) {
+        if (!demodulators.has(id)) {
+            const profile = getAudioProfile(id);
+            const frequencies = getProfileFrequencies(profile);
+            const markers = getProfileMarkers(profile);
+
+            // Timed like the encoder lays out its samples
+            const symbolSamples = Math.floor(profile.symbolDuration * sampleRate);
+            const pauseSamples = Math.floor(profile.pauseDuration * sampleRate);
+
+            demodulators.set(id, {
+                profile,
+                frequencies,
+                markers,
+                detector: createToneDetector({
+                    sampleRate,
+                    frequencies,
+                    markers: { sync: markers.sync },
+                    minSnr: receiverOptions.minSnr
+                }),
+                symbolSamples,
+                pauseSamples,
+                slotSamples: symbolSamples + pauseSamples,
+                symbolGuard: Math.round(symbolSamples * receiverOptions.symbolGuard),
+                pauseGuard: Math.round(pauseSamples * receiverOptions.symbolGuard)
+            });
+        }
+
+        return demodulators.get(id);
+    }
+
+    /**
+     * Reads samples from the history
+     * @param {number} start - Position of the first sample
+     * @param {number} length - Number of samples
+     * @returns {Float32Array} - Samples
+     * @private
+     */
+    function read(start, length) {
+        const samples = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            samples[i] = history[(start + i) % history.length];
+        }
+        return samples;
+    }
+
+    /**
+     * Converts a sample position to audio clock time
+     * @param {number} samplePosition - Sample position
+     * @returns {number} - Time in seconds
+     * @private
+     */
+    function timeAt(samplePosition) {
+        return blockTime + (samplePosition - blockPosition) / sampleRate;
+    }
+
+    /**
+     * Returns to searching for a start marker
+     * @private
+     */
+    function restartSearch() {
+        mode = 'idle';
+        nextSearch = Math.max(position, receiverOptions.searchWindow);
+        symbols = [];
+        confidences = [];
+    }
+
+    /**
+     * Finds where the start marker gives way to the sync tone
+     * @param {number} from - Position before the change
+     * @param {number} to - Position after the change
+     * @param {number} markerFrequency - Frequency of the tone ending the start marker
+     * @returns {number} - Position of the change
+     * @private
+     */
+    function locateSyncEdge(from, to, markerFrequency) {
+        const { edgeWindow } = receiverOptions;
+        const step = edgeWindow / 8;
+
+        for (let start = from; start + edgeWindow <= to; start += step) {
+            const samples = read(start, edgeWindow);
+            const sync = goertzel(samples, markerSet.markers.sync, sampleRate);
+            const startMarker = goertzel(samples, markerFrequency, sampleRate);
+            if (sync > startMarker) {
+                return start + edgeWindow / 2;
+            }
+        }
+
+        return to - edgeWindow / 2;
+    }
+
+    /**
+     * Looks for the start marker, and for its end once found
+     * @private
+     */
+    function search() {
+        const { searchWindow, searchHop } = receiverOptions;
+        const samples = read(nextSearch - searchWindow, searchWindow);
+
+        if (mode === 'idle') {
+            for (const candidate of markerSets) {
+                const { tone } = candidate.detector.detect(samples);
+                if (tone && tone.marker === 'start') {
+                    mode = 'start';
+                    markerSet = candidate;
+                    profileId = candidate.profileIds[tone.symbol === null ? 0 : tone.symbol];
+                    markerHeard = nextSearch;
+                    post({ type: 'status', status: 'started', data: { timestamp: timeAt(nextSearch) } });
+                    break;
+                }
+            }
+            nextSearch += searchHop;
+            return;
+        }
+
+        const { tone } = markerSet.detector.detect(samples);
+        if (tone && tone.marker === 'sync') {
+            // The sync tone began after the start marker was last heard
+            const edge = locateSyncEdge(markerHeard - searchWindow, nextSearch, PROFILE_ID_FREQUENCIES[profileId]);
+            mode = 'symbols';
+            demodulator = getDemodulator(profileId);
+            slotStart = Math.round(edge) + syncSamples;
+            referencePhases = null;
+            symbols = [];
+            confidences = [];
+        } else if (tone && tone.symbol !== null) {
+            // The start tone, or the id tone after it; the last one heard names the profile
+            profileId = markerSet.profileIds[tone.symbol];
+            markerHeard = nextSearch;
+        } else if (nextSearch - markerHeard < searchWindow) {
+            // A window spanning the change from one marker tone to the next can hear neither clearly
+        } else {
+            post({ type: 'status', status: 'timeout', data: { duration: searchWindow / sampleRate } });
+            restartSearch();
+            return;
+        }
+
+        nextSearch += searchHop;
+    }
+
+    /**
+     * Reads the bits of an OFDM symbol from the phase change of each subcarrier since the previous symbol
+     * @param {Float32Array} samples - Samples of the symbol
+     * @returns {Object} - { symbol (null for the reference symbol), confidence (0-1, of the least certain bit) }
+     * @private
+     */
+    function readOfdmSymbol(samples) {
+        const phases = demodulator.frequencies.map(frequency => goertzelPhase(samples, frequency, sampleRate));
+        const previous = referencePhases;
+        referencePhases = phases;
+
+        if (!previous) {
+            return { symbol: null, confidence: 1 };
+        }
+
+        // A flipped phase is a 1; subcarrier k carries bit k, most significant first
+        let symbol = 0;
+        let confidence = 1;
+        phases.forEach((phase, index) => {
+            const agreement = Math.cos(phase - previous[index]);
+            symbol = symbol * 2 + (agreement < 0 ? 1 : 0);
+            confidence = Math.min(confidence, Math.abs(agreement));
+        });
+
+        return { symbol, confidence };
+    }
+
+    /**
+     * Reads the symbol slot that has just been received in full
+     * @private
+     */
+    function readSlot() {
+        const { symbolSamples, pauseSamples, slotSamples, symbolGuard, pauseGuard } = demodulator;
+        const ofdm = demodulator.profile.modulation === 'ofdm';
+
+        const symbolWindow = read(slotStart + symbolGuard, symbolSamples - 2 * symbolGuard);
+        const detection = demodulator.detector.detect(symbolWindow);
+        const { tone } = detection;
+
+        if (!tone) {
+            post({ type: 'status', status: 'timeout', data: { duration: slotSamples / sampleRate } });
+            restartSearch();
+            return;
+        }
+
+        // A symbol's tones stop for the pause; the sync tone after the last symbol carries on
+        const endFrequency = ofdm ? demodulator.markers.sync : tone.frequency;
+        const pauseWindow = read(slotStart + symbolSamples + pauseGuard, pauseSamples - 2 * pauseGuard);
+        const pausePower = goertzel(pauseWindow, endFrequency, sampleRate);
+        const symbolPower = goertzel(symbolWindow, endFrequency, sampleRate);
+        const continuous = pausePower > symbolPower * receiverOptions.maxPauseRatio;
+
+        if (continuous || tone.symbol === null) {
+            if (symbols.length > 0) {
+                post({
+                    type: 'frame',
+                    profile: demodulator.profile.name,
+                    symbols,
+                    confidences,
+                    timestamp: timeAt(slotStart)
+                });
+            }
+            restartSearch();
+            return;
+        }
+
+        const { symbol, confidence } = ofdm
+            ? readOfdmSymbol(symbolWindow)
+            : { symbol: tone.symbol, confidence: detection.confidence };
+        const timestamp = timeAt(slotStart);
+        slotStart += slotSamples;
+
+        // The OFDM reference symbol carries no data
+        if (symbol === null) {
+            return;
+        }
+
+        symbols.push(symbol);
+        confidences.push(confidence);
+        post({
+            type: 'status',
+            status: 'symbol',
+            data: {
+                index: symbol,
+                frequency: ofdm ? null : tone.frequency,
+                confidence,
+                snr: detection.snr,
+                count: symbols.length,
+                timestamp
+            }
+        });
+    }
+
+    /**
+     * Adds a block of samples and analyses whatever it completes
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} [time] - Audio clock time of the first sample in seconds
+     */
+    function process(samples, time = timeAt(position)) {
+        blockPosition = position;
+        blockTime = time;
+
+        for (let i = 0; i < samples.length; i++) {
+            history[position % history.length] = samples[i];
+            position++;
+        }
+
+        for (;;) {
+            if (mode === 'symbols') {
+                if (position < slotStart + demodulator.slotSamples) {
+                    break;
+                }
+                readSlot();
+            } else {
+                if (position < nextSearch) {
+                    break;
+                }
+                search();
+            }
+        }
+    }
+
+    /**
+     * Drops any frame being received
+     */
+    function reset() {
+        restartSearch();
+    }
+
+    /**
+     * Gets the receiver state
+     * @returns {Object} - Current state information
+     */
+    function getState() {
+        return {
+            mode,
+            position,
+            profile: mode === 'symbols' ? demodulator.profile.name : null,
+            symbolCount: symbols.length
+        };
+    }
+
+    // Build and return the receiver object
+    return {
+        process,
+        reset,
+        getState
+    };
+}
+
+// Register the processor when loaded into an AudioWorkletGlobalScope
+if (typeof registerProcessor === 'function') {
+    /**
+     * Feeds the first input channel to a symbol receiver and posts its messages through the port
+     */
+    class ReceiverProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            this.receiver = createSymbolReceiver(message => this.port.postMessage(message), {
+                ...options.processorOptions,
+                sampleRate
+            });
+            this.port.onmessage = event => {
+                if (event.data.type === 'reset') {
+                    this.receiver.reset();
+                }
+            };
+        }
+
+        process(inputs) {
+            const channel = inputs[0] && inputs[0][0];
+            if (channel) {
+                this.receiver.process(channel, currentTime);
+            }
+            return true;
+        }
+    }
+
+    registerProcessor(RECEIVER_PROCESSOR, ReceiverProcessor);
+}
+
+export {
+    RECEIVER_PROCESSOR,
+    createSymbolReceiver
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * DialUp Tone Detector Module
+ * Measures the energy at exactly the frequencies the audio encoder sends, with a bank of Goertzel
+ * filters, and picks the tone that stands out most above the noise between them
+ */
+
+import {
+    AUDIO_CONFIG,
+    DEFAULT_AUDIO_PROFILE,
+    getAudioProfile,
+    getProfileFrequencies
+} from './audioEncoder.js';
+
+/**
+ * Tone detector options
+ * @typedef {Object} ToneDetectorOptions
+ * @property {number} sampleRate - Sample rate of the analysed audio in Hz
+ * @property {number[]|null} frequencies - Symbol tone frequencies by symbol index, or null for the 8-FSK tones
+ * @property {Object|null} markers - Marker frequencies by name, or null for the start, end and sync markers
+ * @property {number} minSnr - Smallest signal-to-noise ratio (dB) at which a tone is detected
+ */
+
+/**
+ * Default tone detector options
+ * @type {ToneDetectorOptions}
+ */
+const DEFAULT_OPTIONS = {
+    sampleRate: AUDIO_CONFIG.sampleRate,
+    frequencies: null,
+    markers: null,
+    minSnr: 10 // A tone must be ten times the noise power
+};
+
+// Noise power used when a block is digitally silent, so SNR stays finite
+const NOISE_FLOOR = 1e-12;
+
+/**
+ * Measures the power of one frequency in a block of samples (Goertzel algorithm)
+ * Unlike an FFT bin the frequency need not be a multiple of sampleRate / samples.length.
+ * @param {Float32Array|number[]} samples - Audio samples
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Float32Array|number[]} [window] - Window applied to the samples (same length), or none
+ * @returns {number} - Power, scaled so a sine of amplitude A measures A^2
+ */
+function goertzel(samples, frequency, sampleRate, window = null) {
+    const coefficient = 2 * Math.cos(2 * Math.PI * frequency / sampleRate);
+    let previous = 0;
+    let beforePrevious = 0;
+    let gain = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const weight = window ? window[i] : 1;
+        const current = samples[i] * weight + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+        gain += weight;
+    }
+
+    if (gain === 0) {
+        return 0;
+    }
+
+    const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+    return 4 * Math.max(0, power) / (gain * gain);
+}
+
+/**
+ * Measures the phase of one frequency in a block of samples (Goertzel algorithm)
+ * The phase is offset by an amount that depends only on the frequency and block length, so phases of
+ * equally long blocks can be compared.
+ * @param {Float32Array|number[]} samples - Audio samples
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Float32Array|number[]} [window] - Window applied to the samples (same length), or none
+ * @returns {number} - Phase in radians
+ */
+function goertzelPhase(samples, frequency, sampleRate, window = null) {
+    const omega = 2 * Math.PI * frequency / sampleRate;
+    const coefficient = 2 * Math.cos(omega);
+    let previous = 0;
+    let beforePrevious = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const current = samples[i] * (window ? window[i] : 1) + coefficient * previous - beforePrevious;
+        beforePrevious = previous;
+        previous = current;
+    }
+
+    return Math.atan2(beforePrevious * Math.sin(omega), previous - beforePrevious * Math.cos(omega));
+}
+
+/**
+ * Builds a Hann window
+ * @param {number} length - Window length in samples
+ * @returns {Float32Array} - Window weights
+ * @private
+ */
+function hannWindow(length) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, length - 1));
+    }
+    return window;
+}
+
+/**
+ * Converts a power ratio to decibels
+ * @param {number} ratio - Power ratio
+ * @returns {number} - Ratio in dB
+ * @private
+ */
+function toDecibels(ratio) {
+    return 10 * Math.log10(ratio);
+}
+
+/**
+ * Creates a tone detector for a set of symbol and marker frequencies (by default the encoder's 8-FSK ones)
+ * Tones sharing a frequency share a filter. Noise is measured halfway between neighbouring tones,
+ * where no tone is sent, so a loud broadband sound raises the noise as much as the tones and is
+ * never mistaken for a symbol.
+ * @param {ToneDetectorOptions} [options] - Configuration options
+ * @returns {Object} - Tone detector object
+ */
+function createToneDetector(options = {}) {
+    // Merge default options with provided options
+    const detectorOptions = { ...DEFAULT_OPTIONS, ...options };
+
+    // The tone sent at each frequency: a symbol, a marker or both
+    const symbolFrequencies = detectorOptions.frequencies ||
+        getProfileFrequencies(getAudioProfile(DEFAULT_AUDIO_PROFILE));
+    const markerFrequencies = detectorOptions.markers || {
+        start: AUDIO_CONFIG.startMarkerFreq,
+        end: AUDIO_CONFIG.endMarkerFreq,
+        sync: AUDIO_CONFIG.syncFreq
+    };
+    const toneMap = new Map();
+    const toneAt = frequency => {
+        if (!toneMap.has(frequency)) {
+            toneMap.set(frequency, { frequency, symbol: null, marker: null });
+        }
+        return toneMap.get(frequency);
+    };
+    symbolFrequencies.forEach((frequency, index) => {
+        toneAt(frequency).symbol = index;
+    });
+    Object.entries(markerFrequencies).forEach(([marker, frequency]) => {
+        toneAt(frequency).marker = marker;
+    });
+    const tones = [...toneMap.values()].sort((a, b) => a.frequency - b.frequency);
+
+    // Guard frequencies between the tones, and half the closest spacing beyond the outermost ones
+    const guardFrequencies = tones.slice(1).map((tone, index) => (tones[index].frequency + tone.frequency) / 2);
+    const halfSpacing = Math.min(...guardFrequencies.map((guard, index) => guard - tones[index].frequency));
+    guardFrequencies.push(tones[0].frequency - halfSpacing);
+    guardFrequencies.push(tones[tones.length - 1].frequency + halfSpacing);
+
+    // Windows by block length
+    const windows = new Map();
+
+    /**
+     * Measures every tone in a block of samples and decides which one, if any, is being sent
+     * @param {Float32Array|number[]} samples - Audio samples (a block no longer than a symbol)
+     * @returns {Object} - Detection { tone: { frequency, symbol, marker } or null, snr (dB, of the strongest
+     *                     tone), confidence (0-1: its margin over the next strongest tone), noise,
+     *                     energies: { symbols[], and one per marker } }
+     */
+    function detect(samples) {
+        if (!windows.has(samples.length)) {
+            windows.set(samples.length, hannWindow(samples.length));
+        }
+        const window = windows.get(samples.length);
+
+        const sampleRate = detectorOptions.sampleRate;
+        const powers = tones.map(tone => goertzel(samples, tone.frequency, sampleRate, window));
+        const guardPowers = guardFrequencies.map(frequency => goertzel(samples, frequency, sampleRate, window));
+        const noise = Math.max(NOISE_FLOOR, guardPowers.reduce((total, power) => total + power, 0) / guardPowers.length);
+
+        // Decide by comparing the tones with each other, not by a global maximum
+        let best = 0;
+        let runnerUp = -1;
+        for (let i = 1; i < tones.length; i++) {
+            if (powers[i] > powers[best]) {
+                runnerUp = best;
+                best = i;
+            } else if (runnerUp === -1 || powers[i] > powers[runnerUp]) {
+                runnerUp = i;
+            }
+        }
+
+        const snr = toDecibels(Math.max(powers[best], NOISE_FLOOR) / noise);
+        const bestAmplitude = Math.sqrt(powers[best]);
+        const runnerUpAmplitude = runnerUp === -1 ? 0 : Math.sqrt(powers[runnerUp]);
+        const confidence = bestAmplitude > 0 ? (bestAmplitude - runnerUpAmplitude) / bestAmplitude : 0;
+
+        const powerAt = frequency => powers[tones.findIndex(tone => tone.frequency === frequency)];
+
+        return {
+            tone: snr >= detectorOptions.minSnr ? { ...tones[best] } : null,
+            snr,
+            confidence,
+            noise,
+            energies: Object.entries(markerFrequencies).reduce(
+                (energies, [marker, frequency]) => ({ ...energies, [marker]: powerAt(frequency) }),
+                { symbols: symbolFrequencies.map(powerAt) }
+            )
+        };
+    }
+
+    /**
+     * Gets the tones the detector listens for
+     * @returns {Object[]} - Tones { frequency, symbol, marker }, lowest frequency first
+     */
+    function getTones() {
+        return tones.map(tone => ({ ...tone }));
+    }
+
+    // Build and return the detector object
+    return {
+        detect,
+        getTones
+    };
+}
+
+export {
+    createToneDetector,
+    goertzel,
+    goertzelPhase
+};
\ No newline at end of file
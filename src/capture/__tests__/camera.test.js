@@ -0,0 +1,251 @@
+import { createCameraController } from '../camera';
+
+/**
+ * Creates a stand-in for a camera MediaStream
+ * @returns {Object} - Fake stream { getTracks, getVideoTracks, stopped }
+ */
+function createFakeStream() {
+    const track = {
+        kind: 'video',
+        stop() {
+            stream.stopped = true;
+        }
+    };
+    const stream = {
+        stopped: false,
+        getTracks: () => [track],
+        getVideoTracks: () => [track]
+    };
+    return stream;
+}
+
+/**
+ * Creates a video element whose stream plays at once, with a fixed frame size
+ * @returns {HTMLVideoElement} - Video element
+ */
+function createVideoElement() {
+    const video = document.createElement('video');
+    Object.defineProperty(video, 'videoWidth', { value: 64 });
+    Object.defineProperty(video, 'videoHeight', { value: 48 });
+    video.play = () => Promise.resolve();
+    return video;
+}
+
+/**
+ * Creates a stand-in for MediaStreamTrackProcessor whose track yields the frames pushed to it
+ * @returns {Object} - { TrackProcessor (constructor), push(videoFrame), end() }
+ */
+function createFakeTrackProcessor() {
+    const queue = [];
+    let waiting = null;
+
+    const deliver = result => {
+        if (waiting) {
+            const resolve = waiting;
+            waiting = null;
+            resolve(result);
+        } else {
+            queue.push(result);
+        }
+    };
+
+    const reader = {
+        read: () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(resolve => {
+            waiting = resolve;
+        })),
+        cancel: () => {
+            deliver({ value: undefined, done: true });
+            return Promise.resolve();
+        }
+    };
+
+    function TrackProcessor() {
+        this.readable = { getReader: () => reader };
+    }
+
+    return {
+        TrackProcessor,
+        push: videoFrame => deliver({ value: videoFrame, done: false }),
+        end: () => deliver({ value: undefined, done: true })
+    };
+}
+
+/**
+ * Builds a stand-in for a VideoFrame
+ * @param {number} timestamp - Frame timestamp in microseconds, relative to the track
+ * @returns {Object} - Fake frame { timestamp, displayWidth, displayHeight, close, closed }
+ */
+function createVideoFrame(timestamp) {
+    const videoFrame = {
+        timestamp,
+        displayWidth: 64,
+        displayHeight: 48,
+        closed: false,
+        close() {
+            videoFrame.closed = true;
+        }
+    };
+    return videoFrame;
+}
+
+/**
+ * Lets pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Canvas stand-in; jsdom can't draw
+class FakeOffscreenCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getContext() {
+        return {
+            drawImage() {},
+            getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) })
+        };
+    }
+}
+
+describe('camera', () => {
+    const originals = {};
+
+    beforeEach(() => {
+        originals.mediaDevices = navigator.mediaDevices;
+        originals.OffscreenCanvas = globalThis.OffscreenCanvas;
+        originals.MediaStreamTrackProcessor = globalThis.MediaStreamTrackProcessor;
+        originals.createImageBitmap = globalThis.createImageBitmap;
+
+        Object.defineProperty(navigator, 'mediaDevices', {
+            value: { getUserMedia: () => Promise.resolve(createFakeStream()) },
+            configurable: true
+        });
+        globalThis.OffscreenCanvas = FakeOffscreenCanvas;
+    });
+
+    afterEach(() => {
+        Object.defineProperty(navigator, 'mediaDevices', { value: originals.mediaDevices, configurable: true });
+        globalThis.OffscreenCanvas = originals.OffscreenCanvas;
+        globalThis.MediaStreamTrackProcessor = originals.MediaStreamTrackProcessor;
+        globalThis.createImageBitmap = originals.createImageBitmap;
+    });
+
+    describe('track processor loop', () => {
+        it('should anchor frame timestamps to the wall clock on the first frame', async () => {
+            const processor = createFakeTrackProcessor();
+            globalThis.MediaStreamTrackProcessor = processor.TrackProcessor;
+
+            const camera = createCameraController(createVideoElement(), { detectRegion: false });
+            const timestamps = [];
+            camera.setFrameProcessor((frame, timestamp) => timestamps.push(timestamp));
+            await camera.start();
+            expect(camera.getState().captureMode).toBe('track-processor');
+
+            // Track timestamps start wherever the camera's clock was
+            const frames = [5000000, 5033333, 5066667].map(createVideoFrame);
+            const before = Date.now();
+            for (const videoFrame of frames) {
+                processor.push(videoFrame);
+                await flush();
+            }
+            camera.stop();
+
+            expect(timestamps).toHaveLength(3);
+            expect(Math.abs(timestamps[0] - before)).toBeLessThan(50);
+            expect(timestamps[1] - timestamps[0]).toBeCloseTo(33.333, 2);
+            expect(timestamps[2] - timestamps[0]).toBeCloseTo(66.667, 2);
+            expect(frames.every(videoFrame => videoFrame.closed)).toBe(true);
+        });
+
+        it('should skip frames that come sooner than the processing frequency allows', async () => {
+            const processor = createFakeTrackProcessor();
+            globalThis.MediaStreamTrackProcessor = processor.TrackProcessor;
+
+            const camera = createCameraController(createVideoElement(), { detectRegion: false });
+            const timestamps = [];
+            camera.setFrameProcessor((frame, timestamp) => timestamps.push(timestamp), 15);
+            await camera.start();
+
+            // A 30 fps camera whose frames arrive a little early now and then
+            const frames = [0, 33000, 64000, 97000, 128000, 161000].map(createVideoFrame);
+            for (const videoFrame of frames) {
+                processor.push(videoFrame);
+                await flush();
+            }
+            camera.stop();
+
+            // Every other frame, including the ones within the timing tolerance of the 66.7 ms interval
+            expect(timestamps.map(timestamp => Math.round(timestamp - timestamps[0]))).toEqual([0, 64, 128]);
+            expect(frames.every(videoFrame => videoFrame.closed)).toBe(true);
+        });
+    });
+
+    describe('video frame loop', () => {
+        it('should timestamp frames with their capture time on the wall clock', async () => {
+            globalThis.MediaStreamTrackProcessor = undefined;
+            const video = createVideoElement();
+            let callback = null;
+            let cancelled = null;
+            video.requestVideoFrameCallback = next => {
+                callback = next;
+                return 7;
+            };
+            video.cancelVideoFrameCallback = id => {
+                cancelled = id;
+            };
+
+            const camera = createCameraController(video, { detectRegion: false });
+            const timestamps = [];
+            camera.setFrameProcessor((frame, timestamp) => timestamps.push(timestamp));
+            await camera.start();
+            expect(camera.getState().captureMode).toBe('video-frame');
+
+            callback(1000, { captureTime: 950, expectedDisplayTime: 1016 });
+            callback(1033, { expectedDisplayTime: 1049 });
+            camera.stop();
+
+            expect(timestamps).toEqual([performance.timeOrigin + 950, performance.timeOrigin + 1049]);
+            expect(cancelled).toBe(7);
+        });
+
+        it('should close a bitmap that is ready only after capture stopped', async () => {
+            globalThis.MediaStreamTrackProcessor = undefined;
+            const video = createVideoElement();
+            let callback = null;
+            video.requestVideoFrameCallback = next => {
+                callback = next;
+                return 1;
+            };
+            video.cancelVideoFrameCallback = () => {};
+
+            let resolveBitmap = null;
+            globalThis.createImageBitmap = () => new Promise(resolve => {
+                resolveBitmap = resolve;
+            });
+
+            const camera = createCameraController(video, { frameFormat: 'bitmap' });
+            const processed = [];
+            camera.setFrameProcessor(frame => processed.push(frame));
+            await camera.start();
+
+            callback(1000, { captureTime: 990 });
+            camera.stop();
+
+            const bitmap = {
+                closed: false,
+                close() {
+                    bitmap.closed = true;
+                }
+            };
+            resolveBitmap(bitmap);
+            await flush();
+
+            expect(processed).toHaveLength(0);
+            expect(bitmap.closed).toBe(true);
+        });
+    });
+});
\ No newline at end of file
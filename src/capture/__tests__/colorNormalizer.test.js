@@ -0,0 +1,52 @@
+import { createColorNormalizer } from '../colorNormalizer';
+
+describe('colorNormalizer', () => {
+    it('should pass colors through until references are known', () => {
+        const normalizer = createColorNormalizer();
+        expect(normalizer.normalize([12, 200, 99])).toEqual([12, 200, 99]);
+    });
+
+    it('should stretch each channel between the black and white references', () => {
+        const normalizer = createColorNormalizer();
+        normalizer.addReference('white', [230, 200, 180]);
+        normalizer.addReference('black', [30, 40, 20]);
+
+        expect(normalizer.normalize([230, 200, 180])).toEqual([255, 255, 255]);
+        expect(normalizer.normalize([30, 40, 20])).toEqual([0, 0, 0]);
+        expect(normalizer.normalize([80, 80, 60])).toEqual([64, 64, 64]);
+        expect(normalizer.normalize([250, 10, 0])).toEqual([255, 0, 0]);
+
+        const { gain, offset } = normalizer.getCorrection();
+        expect(gain[0]).toBeCloseTo(255 / 200, 6);
+        expect(offset).toEqual([30, 40, 20]);
+    });
+
+    it('should blend repeated references', () => {
+        const normalizer = createColorNormalizer({ smoothing: 0.25 });
+        normalizer.addReference('white', [200, 200, 200]);
+        normalizer.addReference('white', [240, 240, 240]);
+
+        expect(normalizer.getState().white).toEqual([210, 210, 210]);
+    });
+
+    it('should not amplify channels with too little range', () => {
+        const normalizer = createColorNormalizer();
+        normalizer.addReference('white', [200, 50, 200]);
+        normalizer.addReference('black', [20, 40, 20]);
+
+        expect(normalizer.getCorrection().gain[1]).toBe(1);
+    });
+
+    it('should reject unknown reference types', () => {
+        const normalizer = createColorNormalizer();
+        expect(() => normalizer.addReference('gray', [128, 128, 128])).toThrow('Unknown reference type: gray');
+    });
+
+    it('should forget references on reset', () => {
+        const normalizer = createColorNormalizer();
+        normalizer.addReference('black', [10, 10, 10]);
+        normalizer.reset();
+
+        expect(normalizer.normalize([10, 10, 10])).toEqual([10, 10, 10]);
+    });
+});
@@ -0,0 +1,236 @@
+import { createColorTracker } from '../colorTracker';
+import { hexToRgb, findClosestColor } from '../frameAnalyzer';
+import { START_SIGNAL, CALIBRATION_COLORS, COLORS, escapeColors, encode } from '../../core/encoder';
+
+// A warm, slightly washed-out camera: green and blue lose range, red is lifted
+const skew = ([r, g, b]) => [Math.min(255, r * 0.95 + 10), g * 0.8 + 10, b * 0.8 + 10];
+
+/**
+ * Shows colors to a tracker as a camera would capture them, four frames per color
+ * @param {Object} tracker - Color tracker
+ * @param {string[]} colors - Displayed colors
+ * @param {number} startTime - Timestamp of the first frame
+ * @param {function} [capture=skew] - Maps a displayed RGB color to the captured one
+ * @returns {number} - Timestamp after the last frame
+ */
+function showColors(tracker, colors, startTime, capture = skew) {
+    let timestamp = startTime;
+    colors.forEach(color => {
+        for (let frame = 0; frame < 4; frame++) {
+            tracker.processColor(capture(hexToRgb(color)), timestamp);
+            timestamp += 20;
+        }
+    });
+    return timestamp;
+}
+
+/**
+ * Shows grid frames to a tracker, sampling every cell, four frames each
+ * @param {Object} tracker - Color tracker
+ * @param {string[][]} frames - Displayed frames (colors per cell)
+ * @param {number} startTime - Timestamp of the first frame
+ * @param {function} [capture=skew] - Maps a displayed RGB color to the captured one
+ * @returns {number} - Timestamp after the last frame
+ */
+function showFrames(tracker, frames, startTime, capture = skew) {
+    let timestamp = startTime;
+    frames.forEach(cells => {
+        for (let frame = 0; frame < 4; frame++) {
+            tracker.processCells(cells.map(color => capture(hexToRgb(color))), timestamp);
+            timestamp += 20;
+        }
+    });
+    return timestamp;
+}
+
+/**
+ * Plays frames at a fixed symbol rate to a camera sampling with its own jittery frame rate
+ * @param {Object} tracker - Color tracker
+ * @param {string[][]} frames - Displayed frames (colors per cell; single-cell frames are sampled as colors)
+ * @param {number} symbolDuration - Display time of each frame (ms)
+ * @param {number} sampleInterval - Average time between camera samples (ms)
+ * @param {function} [capture=skew] - Maps a displayed RGB color to the captured one
+ */
+function playFrames(tracker, frames, symbolDuration, sampleInterval, capture = skew) {
+    // Deterministic jitter of up to a sixth of the sample interval
+    let seed = 1;
+    const jitter = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return (seed / 2147483648 - 0.5) * sampleInterval / 3;
+    };
+
+    // The screen keeps the last frame after the transmission, so the camera sees one more symbol period of it
+    const end = (frames.length + 1) * symbolDuration;
+    for (let timestamp = 5; timestamp < end; timestamp += sampleInterval + jitter()) {
+        const frame = frames[Math.min(frames.length - 1, Math.floor(timestamp / symbolDuration))];
+        const cells = frame.map(color => capture(hexToRgb(color)));
+        if (tracker.getState().gridActive) {
+            tracker.processCells(cells, timestamp);
+        } else {
+            tracker.processColor(cells[0], timestamp);
+        }
+    }
+}
+
+describe('colorTracker', () => {
+    describe('calibration', () => {
+        let tracker = null;
+
+        afterEach(() => {
+            if (tracker) {
+                tracker.reset();
+                tracker = null;
+            }
+        });
+
+        it('should start from a camera the nominal colors reject', () => {
+            expect(findClosestColor(skew(hexToRgb('#FFFFFF'))).distance).toBeGreaterThan(50);
+            expect(findClosestColor(skew(hexToRgb('#00FFFF'))).distance).toBeGreaterThan(50);
+        });
+
+        it('should learn a color map from the calibration preamble', () => {
+            tracker = createColorTracker();
+            const statuses = [];
+            tracker.onStatusChange(({ status }) => statuses.push(status));
+
+            showColors(tracker, [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)], 0);
+
+            expect(statuses).toContain('calibrating');
+            expect(statuses).toContain('calibrated');
+
+            const { colorMap, calibrating } = tracker.getState();
+            expect(calibrating).toBe(false);
+            expect(Object.keys(colorMap).sort()).toEqual([...COLORS].sort());
+            COLORS.forEach(color => {
+                skew(hexToRgb(color)).forEach((channel, index) => {
+                    expect(colorMap[color][index]).toBeCloseTo(channel, 5);
+                });
+            });
+        });
+
+        it('should detect skewed colors for the rest of the transmission', () => {
+            tracker = createColorTracker();
+
+            const time = showColors(tracker, [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)], 0);
+            showColors(tracker, ['#00FFFF'], time);
+
+            expect(tracker.getState().analyzerState.lastDetectedColor).toBe('#00FFFF');
+        });
+
+        it('should forget the color map on reset', () => {
+            tracker = createColorTracker();
+
+            showColors(tracker, [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)], 0);
+            tracker.reset();
+
+            expect(tracker.getState().colorMap).toBeNull();
+            expect(tracker.getState().analyzerState.options.colorMap).toBeNull();
+        });
+    });
+
+    describe('white balance and exposure', () => {
+        // A dim, blue-tinted exposure: black is lifted and white falls short, per channel
+        const black = [20, 25, 15];
+        const white = [235, 215, 225];
+        const expose = rgb => rgb.map((value, channel) => black[channel] + (value / 255) * (white[channel] - black[channel]));
+
+        it('should learn references from a frame and correct the following ones', () => {
+            const tracker = createColorTracker();
+            const preamble = [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)];
+
+            const time = showColors(tracker, preamble, 0, expose);
+            tracker.reset();
+
+            const { normalization } = tracker.getState();
+            normalization.white.forEach((value, channel) => expect(value).toBeCloseTo(white[channel], 5));
+            normalization.black.forEach((value, channel) => expect(value).toBeCloseTo(black[channel], 5));
+
+            // Cyan is too far from nominal to match, until it is corrected
+            expect(findClosestColor(expose(hexToRgb('#00FFFF'))).distance).toBeGreaterThan(50);
+            showColors(tracker, ['#00FFFF'], time, expose);
+            expect(tracker.getState().analyzerState.lastDetectedColor).toBe('#00FFFF');
+
+            tracker.reset();
+        });
+
+        it('should leave colors untouched when normalization is off', () => {
+            const tracker = createColorTracker({ normalization: false });
+            const preamble = [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)];
+
+            const time = showColors(tracker, preamble, 0, expose);
+            tracker.reset();
+            showColors(tracker, ['#00FFFF'], time, expose);
+
+            expect(tracker.getState().analyzerState.lastDetectedColor).toBeNull();
+
+            tracker.reset();
+        });
+    });
+
+    describe('grid frames', () => {
+        it('should switch to per-cell sampling after the header and decode the message', () => {
+            const tracker = createColorTracker();
+            const messages = [];
+            const statuses = [];
+            tracker.onMessage(message => messages.push(message));
+            tracker.onStatusChange(({ status }) => statuses.push(status));
+
+            const text = 'Hello grid';
+            const { frames } = encode(text, { grid: { columns: 4, rows: 2 }, calibration: true });
+            showFrames(tracker, frames, 0);
+
+            expect(statuses).toContain('grid');
+            expect(messages).toHaveLength(1);
+            expect(messages[0].text).toBe(text);
+            expect(messages[0].metadata.grid).toEqual({ columns: 4, rows: 2 });
+            expect(tracker.getState().gridActive).toBe(false);
+        });
+
+        it('should read uniform frames through processCells as single colors', () => {
+            const tracker = createColorTracker();
+            const statuses = [];
+            tracker.onStatusChange(({ status }) => statuses.push(status));
+
+            const preamble = [START_SIGNAL, ...escapeColors(CALIBRATION_COLORS)];
+            showFrames(tracker, preamble.map(color => [color, color, color, color]), 0);
+
+            expect(statuses).toContain('calibrated');
+            expect(tracker.getState().gridActive).toBe(false);
+            expect(tracker.getState().sequenceLength).toBe(preamble.length);
+
+            tracker.reset();
+        });
+    });
+
+    describe('symbol timing', () => {
+        it('should count repeated colors from the timing preamble rather than by sample gaps', () => {
+            const tracker = createColorTracker();
+            const messages = [];
+            const statuses = [];
+            tracker.onMessage(message => messages.push(message));
+            tracker.onStatusChange(({ status }) => statuses.push(status));
+
+            const text = 'Keep all bees, Mississippi';
+            const { frames, metadata } = encode(text, { timing: true, calibration: true });
+            expect(metadata.timed).toBe(true);
+            playFrames(tracker, frames, 200, 67);
+
+            expect(statuses).toContain('calibrated');
+            expect(messages).toHaveLength(1);
+            expect(messages[0].text).toBe(text);
+        });
+
+        it('should keep the recovered clock when switching to grid frames', () => {
+            const tracker = createColorTracker();
+            const messages = [];
+            tracker.onMessage(message => messages.push(message));
+
+            const text = 'Book keeper';
+            const { frames } = encode(text, { timing: true, calibration: true, grid: { columns: 2, rows: 2 } });
+            playFrames(tracker, frames, 200, 67);
+
+            expect(messages).toHaveLength(1);
+            expect(messages[0].text).toBe(text);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { rgbToLab, deltaE2000, findClosestColor, createFrameAnalyzer } from '../frameAnalyzer';
+import { COLORS } from '../../core/encoder';
+
+describe('frameAnalyzer', () => {
+    describe('perceptual color matching', () => {
+        it('should convert sRGB to CIELAB', () => {
+            const white = rgbToLab([255, 255, 255]);
+            expect(white[0]).toBeCloseTo(100, 2);
+            expect(white[1]).toBeCloseTo(0, 2);
+            expect(white[2]).toBeCloseTo(0, 2);
+
+            const red = rgbToLab([255, 0, 0]);
+            expect(red[0]).toBeCloseTo(53.24, 1);
+            expect(red[1]).toBeCloseTo(80.09, 1);
+            expect(red[2]).toBeCloseTo(67.20, 1);
+        });
+
+        // Reference pairs from Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula"
+        it.each([
+            [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+            [[50, 0, 0], [50, -1, 2], 2.3669],
+            [[50, 2.5, 0], [73, 25, -18], 27.1492],
+            [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+            [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+            [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373]
+        ])('should compute ΔE2000 between %j and %j', (lab1, lab2, expected) => {
+            expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+            expect(deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+        });
+
+        it('should match a dim capture where RGB distance fails', () => {
+            // A blue screen seen by an underexposed camera is still clearly blue to a viewer
+            const dimBlue = [40, 40, 90];
+
+            expect(findClosestColor(dimBlue, COLORS, 'rgb').color).toBe('#000000');
+            expect(findClosestColor(dimBlue, COLORS, 'lab').color).toBe('#0000FF');
+        });
+
+        it('should report distances in ΔE2000 units in lab mode', () => {
+            const match = findClosestColor([250, 5, 5], COLORS, 'lab');
+            expect(match.color).toBe('#FF0000');
+            expect(match.distance).toBeLessThan(2);
+        });
+
+        it('should reject unknown matching modes', () => {
+            expect(() => findClosestColor([0, 0, 0], COLORS, 'hsv')).toThrow('Unsupported color matching mode: hsv');
+        });
+
+        it('should apply the matching mode and threshold set on the analyzer', () => {
+            const analyzer = createFrameAnalyzer({ colorMatching: 'lab', threshold: 10, samplesRequired: 1, minChangeTime: 0 });
+
+            expect(analyzer.analyzeColor([5, 250, 245], 100)).toBe('#00FFFF');
+            expect(analyzer.analyzeColor([128, 64, 200], 200)).toBeNull();
+
+            analyzer.setOptions({ colorMatching: 'rgb', threshold: 50 });
+            expect(analyzer.getState().options.colorMatching).toBe('rgb');
+        });
+    });
+
+    describe('grid frames', () => {
+        it('should confirm a grid frame once every cell is stable', () => {
+            const analyzer = createFrameAnalyzer({ samplesRequired: 2, minChangeTime: 0 });
+            const cells = [[255, 0, 0], [0, 250, 5], [5, 5, 250], [250, 250, 250]];
+
+            expect(analyzer.analyzeCells(cells, 0)).toBeNull();
+            expect(analyzer.analyzeCells(cells, 20)).toEqual(['#FF0000', '#00FF00', '#0000FF', '#FFFFFF']);
+
+            // The same frame is not reported twice
+            expect(analyzer.analyzeCells(cells, 40)).toBeNull();
+        });
+
+        it('should reject a frame with any unmatched cell', () => {
+            const analyzer = createFrameAnalyzer({ samplesRequired: 1, minChangeTime: 0 });
+
+            expect(analyzer.analyzeCells([[255, 0, 0], [128, 128, 128]], 0)).toBeNull();
+        });
+
+        it('should treat the last single color as the previous frame', () => {
+            const analyzer = createFrameAnalyzer({ samplesRequired: 1, minChangeTime: 0 });
+            analyzer.analyzeColor([255, 255, 255], 0);
+
+            expect(analyzer.analyzeCells([[255, 255, 255], [255, 255, 255]], 20)).toBeNull();
+            expect(analyzer.analyzeCells([[255, 255, 255], [255, 0, 0]], 40)).toEqual(['#FFFFFF', '#FF0000']);
+        });
+    });
+});
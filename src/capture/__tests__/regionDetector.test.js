@@ -0,0 +1,134 @@
+import { createRegionDetector } from '../regionDetector';
+
+// Colors shown by the simulated sender, in turn
+const FLASH_COLORS = [
+    [255, 0, 0],
+    [0, 255, 0],
+    [0, 0, 255],
+    [255, 255, 255]
+];
+
+/**
+ * Builds a gray camera frame with a colored rectangle
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {Object|null} rect - Rectangle { x, y, width, height }, or null for none
+ * @param {number[]} color - Rectangle color
+ * @param {number} noise - Maximum per-pixel noise added to the background
+ */
+function makeFrame(width, height, rect, color, noise = 0) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const inside = rect && x >= rect.x && x < rect.x + rect.width &&
+                y >= rect.y && y < rect.y + rect.height;
+            const pixel = inside ? color : [120, 120, 120].map(value => value + Math.round((Math.random() - 0.5) * noise));
+            data.set(pixel, offset);
+            data[offset + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Feeds frames with the rectangle flashing through the sender colors
+ */
+function flash(detector, rect, count, noise = 0) {
+    let region = null;
+    for (let i = 0; i < count; i++) {
+        region = detector.update(makeFrame(320, 240, rect, FLASH_COLORS[i % FLASH_COLORS.length], noise));
+    }
+    return region;
+}
+
+describe('Region Detector', () => {
+    test('reports no region for a static scene', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        const region = flash(detector, null, 20, 10);
+
+        expect(region).toBeNull();
+        expect(detector.getState().frameCount).toBe(20);
+    });
+
+    test('waits for the warmup frames before reporting', () => {
+        const detector = createRegionDetector({ cellSize: 16, warmupFrames: 5 });
+        const rect = { x: 64, y: 32, width: 96, height: 64 };
+
+        expect(flash(detector, rect, 4)).toBeNull();
+        expect(flash(detector, rect, 1)).not.toBeNull();
+    });
+
+    test('locates a flashing rectangle', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        const rect = { x: 64, y: 32, width: 96, height: 64 };
+        const region = flash(detector, rect, 12, 10);
+
+        expect(region).toEqual(rect);
+        expect(detector.getState().region).toEqual(rect);
+    });
+
+    test('keeps to cells inside a rectangle that is not aligned to the cells', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        const rect = { x: 74, y: 40, width: 92, height: 46 };
+        const region = flash(detector, rect, 12);
+
+        // Cells straddling the edge mix in background pixels and are left out
+        expect(region.x).toBeGreaterThanOrEqual(rect.x);
+        expect(region.y).toBeGreaterThanOrEqual(rect.y);
+        expect(region.x + region.width).toBeLessThanOrEqual(rect.x + rect.width);
+        expect(region.y + region.height).toBeLessThanOrEqual(rect.y + rect.height);
+        expect(region.width).toBeGreaterThanOrEqual(rect.width - 32);
+        expect(region.height).toBeGreaterThanOrEqual(rect.height - 32);
+    });
+
+    test('follows the rectangle when it moves', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        flash(detector, { x: 0, y: 0, width: 96, height: 64 }, 12);
+
+        const moved = { x: 160, y: 128, width: 96, height: 64 };
+        const region = flash(detector, moved, 12);
+
+        expect(region).toEqual(moved);
+    });
+
+    test('keeps the region while the sender holds a color for many frames', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        const rect = { x: 64, y: 32, width: 96, height: 64 };
+
+        // 30 fps camera, 500 ms symbols, with repeated symbols
+        const symbols = [0, 1, 1, 1, 2, 3, 3, 0, 0, 0, 1];
+        const regions = [];
+        symbols.forEach(symbol => {
+            for (let frame = 0; frame < 15; frame++) {
+                regions.push(detector.update(makeFrame(320, 240, rect, FLASH_COLORS[symbol], 10)));
+            }
+        });
+
+        const first = regions.findIndex(region => region !== null);
+        expect(first).toBeGreaterThanOrEqual(0);
+        regions.slice(first).forEach(region => {
+            expect(region).toEqual(rect);
+        });
+    });
+
+    test('restarts when the frame size changes', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        flash(detector, { x: 64, y: 32, width: 96, height: 64 }, 12);
+
+        detector.update(makeFrame(160, 120, null, [0, 0, 0]));
+
+        expect(detector.getRegion()).toBeNull();
+        expect(detector.getState().grid).toEqual({ columns: 10, rows: 8 });
+    });
+
+    test('reset clears the detected region', () => {
+        const detector = createRegionDetector({ cellSize: 16 });
+        flash(detector, { x: 64, y: 32, width: 96, height: 64 }, 12);
+
+        detector.reset();
+
+        expect(detector.getRegion()).toBeNull();
+        expect(detector.getState().frameCount).toBe(0);
+    });
+});
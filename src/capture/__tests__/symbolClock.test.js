@@ -0,0 +1,121 @@
+import { createSymbolClock } from '../symbolClock';
+
+const PREAMBLE = ['W', 'K'];
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1)
+ * @param {number} seed - Starting seed
+ */
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Samples a displayed sequence like a camera would, with jittered sample times
+ * @param {Object} clock - Symbol clock
+ * @param {string[]} sequence - Displayed values, one per symbol
+ * @param {Object} timing - { symbolDuration, sampleInterval, jitter, seed }
+ * @returns {string[]} - Keys of the symbols the clock produced
+ */
+function sampleSequence(clock, sequence, { symbolDuration, sampleInterval, jitter = 0, seed = 1 }) {
+    const random = createRandom(seed);
+    const symbols = [];
+    const end = sequence.length * symbolDuration;
+
+    for (let time = 5; time < end + symbolDuration; time += sampleInterval) {
+        const sampleTime = time + (random() - 0.5) * jitter;
+        const index = Math.min(Math.floor(sampleTime / symbolDuration), sequence.length - 1);
+        clock.addSample(sequence[Math.max(0, index)], sampleTime).forEach(symbol => symbols.push(symbol.key));
+    }
+
+    return symbols;
+}
+
+/**
+ * Builds a sequence that starts with the timing preamble
+ * @param {string[]} payload - Values after the preamble
+ */
+function withPreamble(payload) {
+    return [...Array.from({ length: 12 }, (_, index) => PREAMBLE[index % 2]), ...payload];
+}
+
+describe('symbolClock', () => {
+    it('should not produce symbols without a timing preamble', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        const symbols = sampleSequence(clock, ['A', 'B', 'A', 'B', 'C', 'A', 'C'], { symbolDuration: 200, sampleInterval: 60 });
+
+        expect(symbols).toEqual([]);
+        expect(clock.isLocked()).toBe(false);
+    });
+
+    it('should learn the symbol duration from the preamble', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        sampleSequence(clock, withPreamble(['A']), { symbolDuration: 200, sampleInterval: 50 });
+
+        expect(clock.isLocked()).toBe(true);
+        expect(clock.getState().symbolDuration).toBeCloseTo(200, -1);
+    });
+
+    it('should not lock on irregular alternation', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        let time = 0;
+        for (let i = 0; i < 12; i++) {
+            const duration = i % 2 === 0 ? 100 : 400;
+            clock.addSample(PREAMBLE[i % 2], time);
+            clock.addSample(PREAMBLE[i % 2], time + duration - 1);
+            time += duration;
+        }
+
+        expect(clock.isLocked()).toBe(false);
+    });
+
+    it('should count repeated symbols', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        const payload = ['A', 'A', 'A', 'B', 'B', 'C', 'A', 'A', 'C', 'C', 'C', 'C'];
+        const symbols = sampleSequence(clock, withPreamble(payload), { symbolDuration: 200, sampleInterval: 66 });
+
+        expect(symbols.slice(symbols.length - payload.length - 1)).toEqual([PREAMBLE[1], ...payload]);
+    });
+
+    it('should stay aligned over a long run with sampling jitter', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        const random = createRandom(42);
+        const payload = Array.from({ length: 400 }, () => ['A', 'B', 'C'][Math.floor(random() * 3)]);
+        const symbols = sampleSequence(clock, withPreamble(payload), {
+            symbolDuration: 200,
+            sampleInterval: 67,
+            jitter: 20,
+            seed: 3
+        });
+
+        expect(symbols.slice(symbols.length - payload.length)).toEqual(payload);
+    });
+
+    it('should ignore unmatched samples', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        const sequence = withPreamble(['A', 'A', 'B']);
+        const symbols = [];
+
+        for (let time = 5; time < sequence.length * 100 + 100; time += 25) {
+            const index = Math.min(Math.floor(time / 100), sequence.length - 1);
+            const key = time % 100 < 30 ? null : sequence[index];
+            clock.addSample(key, time).forEach(symbol => symbols.push(symbol.key));
+        }
+
+        expect(symbols.slice(-3)).toEqual(['A', 'A', 'B']);
+    });
+
+    it('should forget the timing on reset', () => {
+        const clock = createSymbolClock({ preamble: PREAMBLE });
+        sampleSequence(clock, withPreamble(['A']), { symbolDuration: 200, sampleInterval: 50 });
+
+        clock.reset();
+
+        expect(clock.isLocked()).toBe(false);
+        expect(clock.getState().symbolDuration).toBeNull();
+    });
+});
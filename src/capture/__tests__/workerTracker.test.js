@@ -0,0 +1,142 @@
+import { createWorkerTracker } from '../workerTracker';
+import { createTrackerHost } from '../trackerWorker';
+import { hexToRgb } from '../frameAnalyzer';
+import { encode } from '../../core/encoder';
+
+/**
+ * Creates a stand-in for a Worker running trackerWorker.js on this thread
+ * Messages are delivered synchronously until the worker is paused.
+ * @returns {Object} - Fake worker { postMessage, terminate, onmessage, pause, received }
+ */
+function createFakeWorker() {
+    const worker = {
+        onmessage: null,
+        onerror: null,
+        received: [],
+        paused: false,
+        postMessage(message) {
+            worker.received.push(message);
+            if (!worker.paused) {
+                host.handleMessage(message);
+            }
+        },
+        pause() {
+            worker.paused = true;
+        },
+        terminate() {}
+    };
+    const host = createTrackerHost(message => worker.onmessage && worker.onmessage({ data: message }));
+    return worker;
+}
+
+/**
+ * Builds a camera frame showing a color across its top band (the default region of interest)
+ * @param {number[]} rgb - Color shown
+ * @returns {Object} - Pixel buffer { width, height, data }
+ */
+function makeFrame(rgb) {
+    const width = 64;
+    const height = 48;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let offset = 0; offset < data.length; offset += 4) {
+        const inBand = offset / 4 < width * 7;
+        data.set(inBand ? rgb : [40, 40, 40], offset);
+        data[offset + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+describe('workerTracker', () => {
+    it('should decode a message from camera frames sampled in the worker', () => {
+        const worker = createFakeWorker();
+        const tracker = createWorkerTracker({ detectRegion: false }, worker);
+        const messages = [];
+        const statuses = [];
+        tracker.onMessage(message => messages.push(message));
+        tracker.onStatusChange(({ status }) => statuses.push(status));
+
+        const text = 'Off the main thread';
+        let timestamp = 0;
+        // The screen keeps the last color after the transmission, which completes its symbol
+        const { colors } = encode(text, { timing: true });
+        [...colors, colors[colors.length - 1]].forEach(color => {
+            for (let frame = 0; frame < 4; frame++) {
+                expect(tracker.processFrame(makeFrame(hexToRgb(color)), timestamp)).toBe(true);
+                timestamp += 20;
+            }
+        });
+
+        expect(statuses).toContain('started');
+        expect(messages).toHaveLength(1);
+        expect(messages[0].text).toBe(text);
+        expect(worker.received[0]).toEqual({
+            type: 'init',
+            options: { tracker: {}, detectRegion: false, regionDetection: {} }
+        });
+    });
+
+    it('should report the worker state synchronously', () => {
+        const tracker = createWorkerTracker({}, createFakeWorker());
+        expect(tracker.getState().tracking).toBe(false);
+
+        for (let frame = 0; frame < 4; frame++) {
+            tracker.processColor(hexToRgb('#FF00FF'), frame * 20);
+        }
+
+        expect(tracker.getState().tracking).toBe(true);
+        expect(tracker.getState().pendingFrames).toBe(0);
+
+        tracker.setOptions({ threshold: 30 });
+        expect(tracker.getState().options.threshold).toBe(30);
+
+        tracker.reset();
+        expect(tracker.getState().tracking).toBe(false);
+    });
+
+    it('should drop frames while the worker is busy', () => {
+        const worker = createFakeWorker();
+        const tracker = createWorkerTracker({ maxPendingFrames: 3 }, worker);
+        worker.pause();
+
+        const closed = [];
+        const bitmap = id => ({ width: 64, height: 48, close: () => closed.push(id) });
+        const accepted = [1, 2, 3, 4].map(id => tracker.processFrame(bitmap(id), id * 20));
+
+        expect(accepted).toEqual([true, true, true, false]);
+        expect(closed).toEqual([4]);
+        expect(tracker.getState().droppedFrames).toBe(1);
+        expect(tracker.getState().pendingFrames).toBe(3);
+
+    });
+
+    it('should answer a message the worker fails on and report the error', () => {
+        const worker = createFakeWorker();
+        const tracker = createWorkerTracker({ maxPendingFrames: 2 }, worker);
+        const errors = [];
+        tracker.onStatusChange(({ status, data }) => status === 'error' && errors.push(data.message));
+
+        // This worker has no OffscreenCanvas to read bitmaps with
+        const closed = [];
+        const bitmap = id => ({ width: 64, height: 48, close: () => closed.push(id) });
+        const accepted = [1, 2, 3].map(id => tracker.processFrame(bitmap(id), id * 20));
+
+        expect(accepted).toEqual([true, true, true]);
+        expect(errors).toHaveLength(3);
+        expect(closed).toEqual([1, 2, 3]);
+        expect(tracker.getState().pendingFrames).toBe(0);
+    });
+
+    it('should stop waiting for a worker that failed', () => {
+        const worker = createFakeWorker();
+        const tracker = createWorkerTracker({ maxPendingFrames: 2 }, worker);
+        const statuses = [];
+        tracker.onStatusChange(event => statuses.push(event));
+        worker.pause();
+
+        tracker.processColor([255, 0, 255], 0);
+        worker.onerror({ message: 'Failed to load module script' });
+
+        expect(statuses).toEqual([{ status: 'error', data: { message: 'Failed to load module script' } }]);
+        expect(tracker.getState().pendingFrames).toBe(0);
+    });
+});
\ No newline at end of file
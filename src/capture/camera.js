@@ -3,12 +3,22 @@
  * Handles webcam access and frame capture for visual data reception
  */
 
+import { createRegionDetector } from './regionDetector.js';
+import { getDefaultRegion, getCellRegions, averageRegionColor } from './frameSampling.js';
+
 /**
  * Camera controller options
  * @typedef {Object} CameraOptions
  * @property {boolean} facingMode - Camera facing mode ('user' or 'environment')
  * @property {number} width - Requested video width
  * @property {number} height - Requested video height
+ * @property {boolean} detectRegion - Locate the transmission region automatically in processed frames
+ * @property {Object} regionDetection - Options for the region detector
+ * @property {string} captureMode - Frame capture loop: 'auto' (best available), 'track-processor'
+ *                                  (MediaStreamTrackProcessor), 'video-frame' (requestVideoFrameCallback)
+ *                                  or 'interval' (timer)
+ * @property {string} frameFormat - What frame processors receive: 'imagedata' (pixels read on this thread) or
+ *                                  'bitmap' (an ImageBitmap, e.g. to transfer to a worker; no region detection)
  */
 
 /**
@@ -18,9 +28,35 @@
 const DEFAULT_OPTIONS = {
     facingMode: 'environment', // Use back camera by default
     width: 1280,
-    height: 720
+    height: 720,
+    detectRegion: true,
+    regionDetection: {},
+    captureMode: 'auto',
+    frameFormat: 'imagedata'
 };
 
+// Frame capture loops, best first
+const CAPTURE_MODES = ['track-processor', 'video-frame', 'interval'];
+
+// Frame formats handed to frame processors
+const FRAME_FORMATS = ['imagedata', 'bitmap'];
+
+// Processing rate of the timer loop when no frequency is set (the other loops follow the camera)
+const DEFAULT_INTERVAL_FREQUENCY = 30;
+
+// Frames may arrive this much early (as a fraction of the processing interval) and still be processed
+const FRAME_TIMING_TOLERANCE = 0.1;
+
+/**
+ * Converts a performance.now() time to the Date.now() time base the color tracker uses
+ * @param {number} time - Time in ms since the page's time origin
+ * @returns {number} - Time in ms since the epoch
+ * @private
+ */
+function toWallClock(time) {
+    return performance.timeOrigin + time;
+}
+
 /**
  * Creates a camera controller for webcam access and frame capture
  * @param {HTMLVideoElement} videoElement - Video element to display the camera feed
@@ -34,13 +70,26 @@ function createCameraController(videoElement, options = {}) {
 
     // Merge default options with provided options
     const cameraOptions = { ...DEFAULT_OPTIONS, ...options };
+    if (cameraOptions.captureMode !== 'auto' && !CAPTURE_MODES.includes(cameraOptions.captureMode)) {
+        throw new Error(`Unsupported capture mode: ${cameraOptions.captureMode}`);
+    }
+    if (!FRAME_FORMATS.includes(cameraOptions.frameFormat)) {
+        throw new Error(`Unsupported frame format: ${cameraOptions.frameFormat}`);
+    }
 
     // Camera state
     let mediaStream = null;
     let isRunning = false;
     let frameProcessor = null;
-    let processingInterval = null;
-    let processingFrequency = 10; // Process frames every ~100ms by default
+    let processingLoop = null;       // Running capture loop { mode, stop }
+    let processingFrequency = null;  // Process every camera frame by default
+    let lastFrameTime = null;        // Timestamp of the last processed frame
+    let currentFrame = null;         // Frame being processed, read by the region color getters
+    const regionDetector = createRegionDetector(cameraOptions.regionDetection);
+
+    // Canvas reused for every capture (an OffscreenCanvas where supported)
+    let captureCanvas = null;
+    let captureContext = null;
 
     /**
      * Starts the camera
@@ -70,7 +119,7 @@ function createCameraController(videoElement, options = {}) {
             isRunning = true;
 
             // Start frame processing if a processor is set
-            if (frameProcessor && !processingInterval) {
+            if (frameProcessor && !processingLoop) {
                 startFrameProcessing();
             }
 
@@ -100,9 +149,42 @@ function createCameraController(videoElement, options = {}) {
         // Clear video element
         videoElement.srcObject = null;
 
+        // The next stream may frame the sender differently
+        regionDetector.reset();
+
         isRunning = false;
     }
 
+    /**
+     * Draws an image source into the reused capture canvas and reads its pixels
+     * @param {CanvasImageSource} source - Video element or VideoFrame
+     * @param {number} width - Source width (px)
+     * @param {number} height - Source height (px)
+     * @returns {ImageData|null} - Captured pixels, or null if the source has no size yet
+     * @private
+     */
+    function drawFrame(source, width, height) {
+        if (!width || !height) {
+            return null;
+        }
+
+        if (!captureCanvas) {
+            captureCanvas = typeof OffscreenCanvas === 'function'
+                ? new OffscreenCanvas(width, height)
+                : document.createElement('canvas');
+            captureContext = captureCanvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // Resizing clears the canvas, so only do it when the video size changes
+        if (captureCanvas.width !== width || captureCanvas.height !== height) {
+            captureCanvas.width = width;
+            captureCanvas.height = height;
+        }
+
+        captureContext.drawImage(source, 0, 0, width, height);
+        return captureContext.getImageData(0, 0, width, height);
+    }
+
     /**
      * Captures a single frame from the camera
      * @returns {ImageData|null} - The captured frame as ImageData, or null if camera not running
@@ -112,61 +194,217 @@ function createCameraController(videoElement, options = {}) {
             return null;
         }
 
-        // Create a canvas to draw the video frame
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-
-        // Set canvas size to match video dimensions
-        canvas.width = videoElement.videoWidth;
-        canvas.height = videoElement.videoHeight;
-
-        // Draw the current video frame to the canvas
-        context.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
-
-        // Get image data
-        return context.getImageData(0, 0, canvas.width, canvas.height);
+        return drawFrame(videoElement, videoElement.videoWidth, videoElement.videoHeight);
     }
 
     /**
-     * Sets a function to process frames at regular intervals
-     * @param {function} processor - Function that receives ImageData and processes it
-     * @param {number} [frequency=10] - How many frames per second to process (1-30)
+     * Sets a function to process camera frames
+     * The processor receives each frame and the time it was captured (ms, in the Date.now() time base).
+     * @param {function} processor - Function that receives ImageData and a timestamp and processes them
+     * @param {number|null} [frequency=null] - Most frames per second to process (1-60), or null for every camera frame
      */
-    function setFrameProcessor(processor, frequency = 10) {
+    function setFrameProcessor(processor, frequency = null) {
         if (typeof processor !== 'function') {
             throw new Error('Frame processor must be a function');
         }
 
         // Validate frequency
-        const validatedFrequency = Math.min(Math.max(1, frequency), 30);
-        processingFrequency = validatedFrequency;
+        processingFrequency = frequency ? Math.min(Math.max(1, frequency), 60) : null;
 
         // Set the processor
         frameProcessor = processor;
 
         // Start processing if camera is already running
-        if (isRunning && !processingInterval) {
+        if (isRunning && !processingLoop) {
             startFrameProcessing();
         }
     }
 
     /**
-     * Starts frame processing at the set frequency
+     * Chooses the capture loop: the configured one, or the best the browser supports
+     * @returns {string} - Capture mode
      * @private
      */
-    function startFrameProcessing() {
-        if (!frameProcessor || processingInterval) {
-            return; // No processor or already processing
+    function selectCaptureMode() {
+        if (cameraOptions.captureMode !== 'auto') {
+            return cameraOptions.captureMode;
+        }
+
+        if (typeof MediaStreamTrackProcessor === 'function' && mediaStream.getVideoTracks().length > 0) {
+            return 'track-processor';
+        }
+        if (typeof videoElement.requestVideoFrameCallback === 'function') {
+            return 'video-frame';
+        }
+        return 'interval';
+    }
+
+    /**
+     * Runs the frame processor on a video frame, unless it comes too soon after the last one
+     * @param {CanvasImageSource} source - Video element or VideoFrame showing the frame
+     * @param {number} width - Frame width (px)
+     * @param {number} height - Frame height (px)
+     * @param {number} timestamp - Frame capture time (ms, Date.now() time base)
+     * @returns {Promise<void>|null} - Settles once a bitmap frame has been handed over, null otherwise
+     * @private
+     */
+    function processFrame(source, width, height, timestamp) {
+        if (processingFrequency && lastFrameTime !== null &&
+            timestamp - lastFrameTime < (1 - FRAME_TIMING_TOLERANCE) * 1000 / processingFrequency) {
+            return null;
         }
+        if (!width || !height) {
+            return null;
+        }
+        lastFrameTime = timestamp;
+
+        // Bitmaps are read wherever the processor sends them, so their pixels never touch this thread
+        if (cameraOptions.frameFormat === 'bitmap') {
+            return createImageBitmap(source)
+                .then(bitmap => {
+                    // Processing may have stopped while the bitmap was being created
+                    if (processingLoop) {
+                        frameProcessor(bitmap, timestamp);
+                    } else {
+                        bitmap.close();
+                    }
+                })
+                .catch(error => console.error('Frame capture failed:', error));
+        }
+
+        const frame = drawFrame(source, width, height);
+
+        if (cameraOptions.detectRegion) {
+            regionDetector.update(frame);
+        }
+
+        // Region colors read during processing come from this frame
+        currentFrame = frame;
+        try {
+            frameProcessor(frame, timestamp);
+        } finally {
+            currentFrame = null;
+        }
+        return null;
+    }
+
+    /**
+     * Reads frames straight from the video track, with the camera's own frame timestamps
+     * @returns {function} - Stops the loop
+     * @private
+     */
+    function startTrackProcessorLoop() {
+        const [track] = mediaStream.getVideoTracks();
+        const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+        let active = true;
+        let clockOffset = null; // VideoFrame timestamps are relative to the track; anchor them on the first frame
+
+        const readFrames = async () => {
+            while (active) {
+                const { value: videoFrame, done } = await reader.read();
+                if (done) {
+                    return;
+                }
+
+                try {
+                    const frameTime = videoFrame.timestamp / 1000;
+                    if (clockOffset === null) {
+                        clockOffset = performance.now() - frameTime;
+                    }
+
+                    if (active) {
+                        await processFrame(
+                            videoFrame,
+                            videoFrame.displayWidth,
+                            videoFrame.displayHeight,
+                            toWallClock(frameTime + clockOffset)
+                        );
+                    }
+                } finally {
+                    videoFrame.close();
+                }
+            }
+        };
+
+        readFrames().catch(error => {
+            if (active) {
+                console.error('Frame capture failed:', error);
+            }
+        });
+
+        return () => {
+            active = false;
+            reader.cancel().catch(() => {});
+        };
+    }
 
-        const interval = Math.floor(1000 / processingFrequency);
+    /**
+     * Processes each frame the video element presents, timestamped with its capture time
+     * @returns {function} - Stops the loop
+     * @private
+     */
+    function startVideoFrameLoop() {
+        let active = true;
+        let callbackId = null;
 
-        processingInterval = setInterval(() => {
-            const frame = captureFrame();
-            if (frame) {
-                frameProcessor(frame);
+        const onVideoFrame = (now, metadata) => {
+            if (!active) {
+                return;
             }
+
+            // Webcam frames carry their capture time; otherwise use the time they are shown
+            const frameTime = metadata.captureTime !== undefined ? metadata.captureTime : metadata.expectedDisplayTime;
+            processFrame(
+                videoElement,
+                videoElement.videoWidth,
+                videoElement.videoHeight,
+                toWallClock(frameTime !== undefined ? frameTime : now)
+            );
+
+            if (active) {
+                callbackId = videoElement.requestVideoFrameCallback(onVideoFrame);
+            }
+        };
+        callbackId = videoElement.requestVideoFrameCallback(onVideoFrame);
+
+        return () => {
+            active = false;
+            videoElement.cancelVideoFrameCallback(callbackId);
+        };
+    }
+
+    /**
+     * Samples the video element on a timer, for browsers without per-frame callbacks
+     * @returns {function} - Stops the loop
+     * @private
+     */
+    function startIntervalLoop() {
+        const interval = Math.floor(1000 / (processingFrequency || DEFAULT_INTERVAL_FREQUENCY));
+        const intervalId = setInterval(() => {
+            processFrame(videoElement, videoElement.videoWidth, videoElement.videoHeight, Date.now());
         }, interval);
+
+        return () => clearInterval(intervalId);
+    }
+
+    /**
+     * Starts frame processing with the selected capture loop
+     * @private
+     */
+    function startFrameProcessing() {
+        if (!frameProcessor || processingLoop) {
+            return; // No processor or already processing
+        }
+
+        const mode = selectCaptureMode();
+        const loops = {
+            'track-processor': startTrackProcessorLoop,
+            'video-frame': startVideoFrameLoop,
+            'interval': startIntervalLoop
+        };
+
+        lastFrameTime = null;
+        processingLoop = { mode, stop: loops[mode]() };
     }
 
     /**
@@ -174,14 +412,28 @@ function createCameraController(videoElement, options = {}) {
      * @private
      */
     function stopFrameProcessing() {
-        if (processingInterval) {
-            clearInterval(processingInterval);
-            processingInterval = null;
+        if (processingLoop) {
+            processingLoop.stop();
+            processingLoop = null;
+        }
+    }
+
+    /**
+     * Gets the region to read transmitted colors from
+     * @returns {Object} - The detected transmission region, or the top of the video if none was found
+     */
+    function getRegionOfInterest() {
+        const detectedRegion = cameraOptions.detectRegion ? regionDetector.getRegion() : null;
+        if (detectedRegion) {
+            return detectedRegion;
         }
+
+        return getDefaultRegion(videoElement.videoWidth || 640, videoElement.videoHeight || 480);
     }
 
     /**
      * Gets the average color in a specific region of the video
+     * Inside a frame processor this reads the frame being processed; otherwise a new frame is captured.
      * @param {Object} region - Region definition { x, y, width, height }
      * @returns {number[]|null} - RGB array [r, g, b] or null if not available
      */
@@ -190,40 +442,29 @@ function createCameraController(videoElement, options = {}) {
             return null;
         }
 
-        // Create a canvas to draw the video frame
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-
-        // Set canvas size to match the region
-        canvas.width = region.width;
-        canvas.height = region.height;
-
-        // Draw only the specified region from the video
-        context.drawImage(
-            videoElement,
-            region.x, region.y, region.width, region.height, // Source coordinates
-            0, 0, region.width, region.height // Destination coordinates
-        );
-
-        // Get image data
-        const imageData = context.getImageData(0, 0, region.width, region.height).data;
+        const frame = currentFrame || captureFrame();
+        return frame ? averageRegionColor(frame, region) : null;
+    }
 
-        // Calculate average RGB
-        let totalR = 0, totalG = 0, totalB = 0;
-        const pixelCount = imageData.length / 4;
+    /**
+     * Gets the average color of every cell of a grid laid over a region of the video
+     * @param {Object} region - Region definition { x, y, width, height }
+     * @param {Object} grid - Grid dimensions { columns, rows }
+     * @returns {number[][]|null} - RGB array [r, g, b] per cell in row-major order, or null if not available
+     */
+    function getGridAverageColors(region, grid) {
+        if (!isRunning || !mediaStream) {
+            return null;
+        }
 
-        for (let i = 0; i < imageData.length; i += 4) {
-            totalR += imageData[i];
-            totalG += imageData[i + 1];
-            totalB += imageData[i + 2];
+        // Every cell comes from the same frame
+        const frame = currentFrame || captureFrame();
+        if (!frame) {
+            return null;
         }
 
-        // Return average RGB values
-        return [
-            Math.round(totalR / pixelCount),
-            Math.round(totalG / pixelCount),
-            Math.round(totalB / pixelCount)
-        ];
+        const colors = getCellRegions(region, grid).map(cell => averageRegionColor(frame, cell));
+        return colors.includes(null) ? null : colors;
     }
 
     /**
@@ -257,8 +498,11 @@ function createCameraController(videoElement, options = {}) {
             resolution: isRunning
                 ? { width: videoElement.videoWidth, height: videoElement.videoHeight }
                 : { width: 0, height: 0 },
-            processing: !!processingInterval,
-            processingFrequency
+            processing: !!processingLoop,
+            captureMode: processingLoop ? processingLoop.mode : null,
+            processingFrequency,
+            frameFormat: cameraOptions.frameFormat,
+            detectedRegion: cameraOptions.detectRegion ? regionDetector.getRegion() : null
         };
     }
 
@@ -268,7 +512,9 @@ function createCameraController(videoElement, options = {}) {
         stop,
         captureFrame,
         setFrameProcessor,
+        getRegionOfInterest,
         getRegionAverageColor,
+        getGridAverageColors,
         switchCamera,
         getState
     };
@@ -0,0 +1,135 @@
+/**
+ * DialUp Color Normalizer Module
+ * White balance and exposure compensation for captured colors, based on known white and black references
+ */
+
+/**
+ * Color normalizer options
+ * @typedef {Object} ColorNormalizerOptions
+ * @property {number} smoothing - Weight of a new reference against the previous estimate (0-1)
+ * @property {number} minRange - Smallest white-to-black range (per channel) trusted for a gain estimate
+ */
+
+/**
+ * Default color normalizer options
+ * @type {ColorNormalizerOptions}
+ */
+const DEFAULT_OPTIONS = {
+    smoothing: 0.5, // Blend new references with the previous estimate
+    minRange: 32    // Ignore gains above 255 / 32 (references too dark to trust)
+};
+
+// Nominal captures of the references, used until they have been observed
+const NOMINAL_WHITE = [255, 255, 255];
+const NOMINAL_BLACK = [0, 0, 0];
+
+/**
+ * Creates a color normalizer that maps captured colors onto the nominal 0-255 range
+ * Each channel is corrected as (value - black) * 255 / (white - black), where white and black are
+ * the captured values of the sync (white) and escape (black) frames.
+ * @param {ColorNormalizerOptions} [options] - Configuration options
+ * @returns {Object} - Color normalizer object
+ */
+function createColorNormalizer(options = {}) {
+    // Merge default options with provided options
+    const normalizerOptions = { ...DEFAULT_OPTIONS, ...options };
+
+    // Captured reference colors (null until observed)
+    let white = null;
+    let black = null;
+
+    /**
+     * Blends a new reference capture into the previous estimate
+     * @param {number[]|null} previous - Previous estimate
+     * @param {number[]} rgb - New capture
+     * @returns {number[]} - Updated estimate
+     * @private
+     */
+    function blend(previous, rgb) {
+        if (!previous) {
+            return [...rgb];
+        }
+
+        const weight = normalizerOptions.smoothing;
+        return previous.map((value, channel) => value * (1 - weight) + rgb[channel] * weight);
+    }
+
+    /**
+     * Records a capture of a known reference color
+     * @param {string} type - Reference type ('white' or 'black')
+     * @param {number[]} rgb - Captured RGB [r, g, b]
+     */
+    function addReference(type, rgb) {
+        if (type === 'white') {
+            white = blend(white, rgb);
+        } else if (type === 'black') {
+            black = blend(black, rgb);
+        } else {
+            throw new Error(`Unknown reference type: ${type}`);
+        }
+    }
+
+    /**
+     * Computes the per-channel gain and offset from the current references
+     * @returns {Object} - { gain, offset } arrays, one value per channel
+     */
+    function getCorrection() {
+        const offset = black || NOMINAL_BLACK;
+        const whiteLevel = white || NOMINAL_WHITE;
+
+        const gain = offset.map((blackValue, channel) => {
+            const range = whiteLevel[channel] - blackValue;
+            return range >= normalizerOptions.minRange ? 255 / range : 1;
+        });
+
+        return { gain, offset: [...offset] };
+    }
+
+    /**
+     * Corrects a captured color
+     * @param {number[]} rgb - Captured RGB [r, g, b]
+     * @returns {number[]} - Corrected RGB [r, g, b], clamped to 0-255
+     */
+    function normalize(rgb) {
+        if (!white && !black) {
+            return rgb;
+        }
+
+        const { gain, offset } = getCorrection();
+        return rgb.map((value, channel) =>
+            Math.min(255, Math.max(0, Math.round((value - offset[channel]) * gain[channel])))
+        );
+    }
+
+    /**
+     * Forgets the observed references
+     */
+    function reset() {
+        white = null;
+        black = null;
+    }
+
+    /**
+     * Gets the current normalizer state
+     * @returns {Object} - Current state information
+     */
+    function getState() {
+        return {
+            white: white ? [...white] : null,
+            black: black ? [...black] : null,
+            ...getCorrection(),
+            options: { ...normalizerOptions }
+        };
+    }
+
+    // Build and return the normalizer object
+    return {
+        addReference,
+        normalize,
+        getCorrection,
+        reset,
+        getState
+    };
+}
+
+export { createColorNormalizer };
\ No newline at end of file
@@ -3,18 +3,30 @@
  * Tracks sequences of colors for visual data reception
  */
 
-import { createFrameAnalyzer } from './frameAnalyzer.js';
-import { processReceivedColor } from '../core/decoder.js';
-import { START_SIGNAL, END_SIGNAL } from '../core/encoder.js';
+import { createFrameAnalyzer, interpolateColorMap } from './frameAnalyzer.js';
+import { createColorNormalizer } from './colorNormalizer.js';
+import { processReceivedColor, extractMetadata } from '../core/decoder.js';
+import {
+    COLORS,
+    START_SIGNAL,
+    END_SIGNAL,
+    SYNC_SIGNAL,
+    CALIBRATION_COLORS,
+    escapeColors,
+    getDetectableColors
+} from '../core/encoder.js';
 
 /**
  * Color tracker options
  * @typedef {Object} ColorTrackerOptions
- * @property {number} threshold - Color distance threshold for matches (0-255)
- * @property {number} minChangeTime - Minimum time (ms) between color changes
- * @property {number} samplesRequired - Number of consistent samples required to confirm a color
+ * @property {number} threshold - Color distance threshold for matches (RGB distance, or ΔE2000 in 'lab' mode)
+ * @property {string} colorMatching - Matching mode: 'rgb' (Euclidean RGB distance) or 'lab' (CIELAB ΔE2000)
+ * @property {number} minChangeTime - Minimum time (ms) between color changes, until the symbol clock locks
+ * @property {number} samplesRequired - Number of consistent samples required to confirm a color, until the symbol clock locks
+ * @property {boolean} clockRecovery - Count symbols by the sender's clock, recovered from its timing preamble
  * @property {number} maxSequenceLength - Maximum sequence length to track (to prevent memory issues)
  * @property {number} timeoutDuration - Duration (ms) after which to reset if no END_SIGNAL is detected
+ * @property {boolean} normalization - Correct white balance and exposure from the sync (white) and escape (black) frames
  */
 
 /**
@@ -23,10 +35,13 @@ import { START_SIGNAL, END_SIGNAL } from '../core/encoder.js';
  */
 const DEFAULT_OPTIONS = {
     threshold: 50,            // Maximum color distance to consider a match
+    colorMatching: 'rgb',     // Euclidean RGB distance; 'lab' ranks by ΔE2000
     minChangeTime: 50,        // Minimum ms between color changes
     samplesRequired: 3,       // Number of consistent samples to confirm a color
-    maxSequenceLength: 1000,  // Maximum sequence length to track
-    timeoutDuration: 30000    // 30 seconds timeout
+    clockRecovery: true,      // Symbol timing from the timing preamble, so repeated colors are counted
+    maxSequenceLength: 50000, // Maximum sequence length to track (multi-kilobyte payloads)
+    timeoutDuration: 30000,   // 30 seconds timeout
+    normalization: true       // White balance and exposure compensation
 };
 
 /**
@@ -41,14 +56,27 @@ function createColorTracker(options = {}) {
     // Create frame analyzer
     const analyzer = createFrameAnalyzer({
         threshold: trackerOptions.threshold,
+        colorMatching: trackerOptions.colorMatching,
         minChangeTime: trackerOptions.minChangeTime,
-        samplesRequired: trackerOptions.samplesRequired
+        samplesRequired: trackerOptions.samplesRequired,
+        clockRecovery: trackerOptions.clockRecovery
     });
 
+    // Create color normalizer (references persist across frames, as lighting rarely changes between them)
+    const normalizer = createColorNormalizer();
+
     // State variables
     let tracking = false;
     let colorSequence = [];
     let decodingState = null;
+    let paletteSize = null;
+    let awaitingPreamble = false;
+    let calibration = null;
+    let colorMap = null;
+    let expectingSync = false;
+    let grid = null;
+    let gridActive = false;
+    let frameReferences = { white: [], black: [] };
     let lastActivityTime = 0;
     let timeoutId = null;
     let onMessageCallback = null;
@@ -66,6 +94,176 @@ function createColorTracker(options = {}) {
         }
     }
 
+    /**
+     * Switches the analyzer to the colors of a payload palette
+     * @param {number|null} size - Palette size declared by the frame header, or null for the standard palette
+     * @private
+     */
+    function setPaletteSize(size) {
+        paletteSize = size;
+        analyzer.setOptions({
+            palette: size === null ? COLORS : getDetectableColors(size)
+        });
+    }
+
+    /**
+     * Forgets the palette and calibration of the current frame
+     * @private
+     */
+    function resetFrameSettings() {
+        paletteSize = null;
+        awaitingPreamble = false;
+        expectingSync = false;
+        grid = null;
+        gridActive = false;
+        calibration = null;
+        colorMap = null;
+        analyzer.setOptions({
+            palette: COLORS,
+            threshold: trackerOptions.threshold,
+            colorMap: null
+        });
+    }
+
+    /**
+     * Points the analyzer at the next calibration color
+     * Only the previous, the expected and the following color are candidates, and any distance is accepted,
+     * so a badly rendered color is still recognized as the transition it is. The following color covers
+     * samples a symbol clock takes before the expected color has been decided.
+     * @param {string} previousColor - Color currently on screen
+     * @private
+     */
+    function expectCalibrationColor(previousColor) {
+        analyzer.setOptions({
+            palette: [previousColor, ...calibration.sequence.slice(calibration.position, calibration.position + 2)],
+            threshold: Infinity
+        });
+    }
+
+    /**
+     * Records a calibration color and, after the last one, switches the analyzer to the learned color map
+     * @param {string} color - Detected calibration color
+     * @param {number[]} rgb - Mean (normalized) capture of the color
+     * @private
+     */
+    function recordCalibrationColor(color, rgb) {
+        calibration.samples[color] = [...(calibration.samples[color] || []), rgb];
+        calibration.position++;
+
+        if (calibration.position < calibration.sequence.length) {
+            expectCalibrationColor(color);
+            return;
+        }
+
+        // The centroid of each color's samples becomes its reference for the rest of the frame
+        colorMap = {};
+        Object.entries(calibration.samples).forEach(([sampleColor, samples]) => {
+            colorMap[sampleColor] = [0, 1, 2].map(channel =>
+                samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length
+            );
+        });
+        calibration = null;
+
+        analyzer.setOptions({
+            palette: COLORS,
+            threshold: trackerOptions.threshold,
+            colorMap
+        });
+        updateStatus('calibrated', { colorMap: { ...colorMap } });
+    }
+
+    /**
+     * Starts calibration if the frame opens with the calibration preamble
+     * The first color after the start signal is read without a distance threshold, as the
+     * preamble exists for receivers that would otherwise reject it.
+     * @param {string} color - First color after the start signal
+     * @param {number[]} rgb - Mean (normalized) capture of the color
+     * @private
+     */
+    function checkPreamble(color, rgb) {
+        awaitingPreamble = false;
+        analyzer.setOptions({ threshold: trackerOptions.threshold });
+
+        if (color === CALIBRATION_COLORS[0]) {
+            calibration = {
+                sequence: escapeColors(CALIBRATION_COLORS),
+                position: 0,
+                samples: {}
+            };
+            updateStatus('calibrating', { colorCount: calibration.sequence.length });
+            recordCalibrationColor(color, rgb);
+        }
+    }
+
+    /**
+     * Adopts the frame settings: calibration for a new or restarted frame, then the payload palette
+     * once the header has been received
+     * @private
+     */
+    function updateFrameSettings() {
+        // A new or restarted frame is read in the standard palette with nominal colors
+        if (decodingState.colors.length === 1) {
+            resetFrameSettings();
+            awaitingPreamble = true;
+            analyzer.setOptions({ threshold: Infinity });
+            return;
+        }
+
+        if (paletteSize !== null || calibration || !decodingState.collecting) {
+            return;
+        }
+
+        let header = null;
+        try {
+            header = extractMetadata(decodingState.colors);
+        } catch (err) {
+            // Unsupported protocol versions are reported when the frame ends
+        }
+
+        if (!header) {
+            return;
+        }
+
+        // The sync signal comes next; larger palettes reuse the calibration of the standard colors
+        expectingSync = true;
+        grid = header.grid;
+        setPaletteSize(header.paletteSize);
+        if (colorMap) {
+            analyzer.setOptions({
+                colorMap: interpolateColorMap(colorMap, getDetectableColors(header.paletteSize))
+            });
+        }
+    }
+
+    /**
+     * Records the raw capture of the color just detected as a white or black reference
+     * The detection was confirmed by the most recent samples, so those are averaged.
+     * @param {string} type - Reference type ('white' or 'black')
+     * @param {number[][]} samples - Raw captures that confirmed the detection
+     * @private
+     */
+    function recordReference(type, samples) {
+        frameReferences[type].push([0, 1, 2].map(channel =>
+            samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length
+        ));
+    }
+
+    /**
+     * Hands the references seen during a frame to the normalizer
+     * Corrections change between frames only, so a frame is read (and calibrated) consistently.
+     * @private
+     */
+    function commitReferences() {
+        Object.entries(frameReferences).forEach(([type, samples]) => {
+            if (samples.length > 0) {
+                normalizer.addReference(type, [0, 1, 2].map(channel =>
+                    samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length
+                ));
+            }
+        });
+        frameReferences = { white: [], black: [] };
+    }
+
     /**
      * Processes a new RGB color from a frame
      * @param {number[]} rgb - RGB color array [r, g, b]
@@ -74,64 +272,131 @@ function createColorTracker(options = {}) {
     function processColor(rgb, timestamp = Date.now()) {
         lastActivityTime = timestamp;
 
-        // Use frame analyzer to get stable color
-        const detectedColor = analyzer.analyzeColor(rgb, timestamp);
+        // Correct white balance and exposure, then use frame analyzer to get the symbols on screen
+        const sample = trackerOptions.normalization ? normalizer.normalize(rgb) : rgb;
+        const symbols = analyzer.analyzeSymbols(sample, timestamp, rgb);
 
-        // If a stable color was detected
-        if (detectedColor) {
-            // Add to color sequence if tracking
-            if (tracking) {
-                colorSequence.push(detectedColor);
+        symbols.forEach(symbol => {
+            handleDetectedColor(symbol.color, timestamp, symbol.raw, symbol.rgb);
+        });
+    }
 
-                // Check maximum sequence length
-                if (colorSequence.length > trackerOptions.maxSequenceLength) {
-                    updateStatus('error', { message: 'Maximum sequence length exceeded' });
-                    reset();
-                    return;
-                }
+    /**
+     * Processes the RGB colors of every grid cell of a frame
+     * Until the sync after a grid frame's header, every cell shows the same color, so the cells are
+     * averaged and read like a single color. After it, the cells are read in row-major order.
+     * @param {number[][]} cells - RGB color per cell [[r, g, b], ...], in row-major order
+     * @param {number} timestamp - Current timestamp in ms
+     */
+    function processCells(cells, timestamp = Date.now()) {
+        if (!gridActive) {
+            processColor([0, 1, 2].map(channel =>
+                cells.reduce((sum, cell) => sum + cell[channel], 0) / cells.length
+            ), timestamp);
+            return;
+        }
 
-                // Update status
-                updateStatus('tracking', {
-                    color: detectedColor,
-                    count: colorSequence.length
-                });
+        lastActivityTime = timestamp;
+
+        const samples = trackerOptions.normalization ? cells.map(cell => normalizer.normalize(cell)) : cells;
+        const frames = analyzer.analyzeCellSymbols(samples, timestamp, cells);
+
+        // Cells after the end signal are padding
+        frames.forEach(({ colors, raw }) => {
+            for (let cell = 0; cell < colors.length && gridActive; cell++) {
+                handleDetectedColor(colors[cell], timestamp, raw.map(capture => capture[cell]), null);
+            }
+        });
+    }
+
+    /**
+     * Adds a detected color to the sequence and advances decoding
+     * @param {string} detectedColor - Detected color hex code
+     * @param {number} timestamp - Current timestamp in ms
+     * @param {number[][]} samples - Raw captures that confirmed the detection
+     * @param {number[]|null} rgb - Mean (normalized) capture of the color, for calibration
+     * @private
+     */
+    function handleDetectedColor(detectedColor, timestamp, samples, rgb) {
+        // Add to color sequence if tracking
+        if (tracking) {
+            colorSequence.push(detectedColor);
+
+            // Check maximum sequence length
+            if (colorSequence.length > trackerOptions.maxSequenceLength) {
+                updateStatus('error', { message: 'Maximum sequence length exceeded' });
+                reset();
+                return;
+            }
+
+            // Update status
+            updateStatus('tracking', {
+                color: detectedColor,
+                count: colorSequence.length
+            });
+
+            // The preamble marker and the sync after the header are known white frames
+            const syncAfterHeader = expectingSync && detectedColor === SYNC_SIGNAL;
+            const knownWhite = (awaitingPreamble && detectedColor === SYNC_SIGNAL) || syncAfterHeader;
+            expectingSync = false;
+
+            // Learn how this screen and camera render each color during the calibration preamble
+            if (calibration) {
+                recordCalibrationColor(detectedColor, rgb);
+            } else if (awaitingPreamble) {
+                checkPreamble(detectedColor, rgb);
+            }
+
+            // Process the color for decoding
+            decodingState = processReceivedColor(decodingState, detectedColor);
+            updateFrameSettings();
 
-                // Process the color for decoding
-                decodingState = processReceivedColor(decodingState, detectedColor);
-
-                // Check if we've completed a message
-                if (decodingState && decodingState.complete) {
-                    // Check if decoding was successful
-                    if (decodingState.message) {
-                        // Notify via callback
-                        if (onMessageCallback) {
-                            onMessageCallback(decodingState.message);
-                        }
-
-                        updateStatus('decoded', { message: decodingState.message });
-                    } else {
-                        updateStatus('error', { message: decodingState.error });
+            // Escape signals are known black frames
+            if (decodingState.escaped) {
+                recordReference('black', samples);
+            } else if (knownWhite) {
+                recordReference('white', samples);
+            }
+
+            // Grid frames carry one color per cell from here on
+            if (syncAfterHeader && grid && grid.columns * grid.rows > 1) {
+                gridActive = true;
+                updateStatus('grid', { grid: { ...grid } });
+            }
+
+            // Check if we've completed a message
+            if (decodingState && decodingState.complete) {
+                // Check if decoding was successful
+                if (decodingState.message) {
+                    // Notify via callback
+                    if (onMessageCallback) {
+                        onMessageCallback(decodingState.message);
                     }
 
-                    // Reset for next message
-                    reset();
+                    updateStatus('decoded', { message: decodingState.message });
+                } else {
+                    updateStatus('error', { message: decodingState.error });
                 }
 
-                // Reset timeout timer
-                resetTimeout();
-            } else if (detectedColor === START_SIGNAL) {
-                // Start tracking if we see a start signal
-                tracking = true;
-                colorSequence = [detectedColor];
-                decodingState = processReceivedColor(null, detectedColor);
+                // Reset for next message
+                reset();
+            }
 
-                updateStatus('started', {
-                    timestamp: timestamp
-                });
+            // Reset timeout timer
+            resetTimeout();
+        } else if (detectedColor === START_SIGNAL) {
+            // Start tracking if we see a start signal
+            tracking = true;
+            colorSequence = [detectedColor];
+            decodingState = processReceivedColor(null, detectedColor);
+            updateFrameSettings();
 
-                // Start timeout timer
-                startTimeout();
-            }
+            updateStatus('started', {
+                timestamp: timestamp
+            });
+
+            // Start timeout timer
+            startTimeout();
         }
     }
 
@@ -177,6 +442,12 @@ function createColorTracker(options = {}) {
         colorSequence = [];
         decodingState = null;
 
+        // Update white balance and exposure with what this frame showed
+        commitReferences();
+
+        // Go back to the standard palette and nominal colors for the next frame
+        resetFrameSettings();
+
         // Clear timeout
         if (timeoutId) {
             clearTimeout(timeoutId);
@@ -222,9 +493,11 @@ function createColorTracker(options = {}) {
 
         // Update analyzer options
         analyzer.setOptions({
-            threshold: trackerOptions.threshold,
+            threshold: calibration || awaitingPreamble ? Infinity : trackerOptions.threshold,
+            colorMatching: trackerOptions.colorMatching,
             minChangeTime: trackerOptions.minChangeTime,
-            samplesRequired: trackerOptions.samplesRequired
+            samplesRequired: trackerOptions.samplesRequired,
+            clockRecovery: trackerOptions.clockRecovery
         });
     }
 
@@ -236,6 +509,11 @@ function createColorTracker(options = {}) {
         return {
             tracking,
             sequenceLength: colorSequence.length,
+            calibrating: calibration !== null,
+            grid: grid ? { ...grid } : null,
+            gridActive,
+            colorMap: colorMap ? { ...colorMap } : null,
+            normalization: normalizer.getState(),
             lastActivity: lastActivityTime,
             options: { ...trackerOptions },
             analyzerState: analyzer.getState()
@@ -245,6 +523,7 @@ function createColorTracker(options = {}) {
     // Build and return the tracker object
     return {
         processColor,
+        processCells,
         reset,
         onMessage,
         onStatusChange,
@@ -3,7 +3,8 @@
  * Analyzes video frames to detect colors for visual data reception
  */
 
-import { COLORS } from '../core/encoder.js';
+import { COLORS, TIMING_COLORS } from '../core/encoder.js';
+import { createSymbolClock } from './symbolClock.js';
 
 /**
  * Calculates Euclidean distance between two RGB colors
@@ -19,6 +20,173 @@ function colorDistance(rgb1, rgb2) {
     );
 }
 
+/**
+ * Supported color matching modes: Euclidean RGB distance or CIELAB with the CIEDE2000 difference
+ */
+const COLOR_MATCHING_MODES = ['rgb', 'lab'];
+
+// CIE XYZ of the D65 white point, which sRGB is defined against
+const D65_WHITE = [0.95047, 1.0, 1.08883];
+
+// CIELAB companding constants (epsilon and kappa of the CIE standard)
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+/**
+ * Converts an sRGB color to CIELAB (D65)
+ * @param {number[]} rgb - RGB color [r, g, b] (0-255)
+ * @returns {number[]} - Lab color [L, a, b]
+ */
+function rgbToLab(rgb) {
+    // Undo the sRGB gamma curve
+    const [r, g, b] = rgb.map(channel => {
+        const value = channel / 255;
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+
+    // Linear RGB to XYZ, relative to the white point
+    const xyz = [
+        (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / D65_WHITE[0],
+        (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / D65_WHITE[1],
+        (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / D65_WHITE[2]
+    ];
+    const [fx, fy, fz] = xyz.map(t => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116));
+
+    return [
+        116 * fy - 16,
+        500 * (fx - fy),
+        200 * (fy - fz)
+    ];
+}
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in radians
+ * @private
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Computes a hue angle in degrees (0-360)
+ * @param {number} b - b* component
+ * @param {number} a - a* component
+ * @returns {number} - Hue angle in degrees
+ * @private
+ */
+function hueAngle(b, a) {
+    if (a === 0 && b === 0) return 0;
+    const angle = Math.atan2(b, a) * 180 / Math.PI;
+    return angle < 0 ? angle + 360 : angle;
+}
+
+/**
+ * Calculates the CIEDE2000 color difference between two CIELAB colors
+ * A difference of about 1 is the smallest one a viewer can notice.
+ * @param {number[]} lab1 - First Lab color [L, a, b]
+ * @param {number[]} lab2 - Second Lab color [L, a, b]
+ * @returns {number} - ΔE2000 difference
+ */
+function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+    const POW25_7 = Math.pow(25, 7);
+
+    // Stretch a* so near-neutral colors are compared fairly
+    const meanC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(meanC, 7) / (Math.pow(meanC, 7) + POW25_7)));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+    const chromaProduct = C1p * C2p;
+
+    // Differences in lightness, chroma and hue
+    const deltaL = L2 - L1;
+    const deltaC = C2p - C1p;
+    let deltaHue = 0;
+    if (chromaProduct !== 0) {
+        deltaHue = h2p - h1p;
+        if (deltaHue > 180) deltaHue -= 360;
+        else if (deltaHue < -180) deltaHue += 360;
+    }
+    const deltaH = 2 * Math.sqrt(chromaProduct) * Math.sin(toRadians(deltaHue / 2));
+
+    // Means used by the weighting functions
+    const meanL = (L1 + L2) / 2;
+    const meanCp = (C1p + C2p) / 2;
+    let meanHue = h1p + h2p;
+    if (chromaProduct !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            meanHue += meanHue < 360 ? 360 : -360;
+        }
+        meanHue /= 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos(toRadians(meanHue - 30)) +
+        0.24 * Math.cos(toRadians(2 * meanHue)) +
+        0.32 * Math.cos(toRadians(3 * meanHue + 6)) -
+        0.20 * Math.cos(toRadians(4 * meanHue - 63));
+    const deltaTheta = 30 * Math.exp(-Math.pow((meanHue - 275) / 25, 2));
+    const RC = 2 * Math.sqrt(Math.pow(meanCp, 7) / (Math.pow(meanCp, 7) + POW25_7));
+    const SL = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+    const SC = 1 + 0.045 * meanCp;
+    const SH = 1 + 0.015 * meanCp * T;
+    const RT = -Math.sin(toRadians(2 * deltaTheta)) * RC;
+
+    const lightness = deltaL / SL;
+    const chroma = deltaC / SC;
+    const hue = deltaH / SH;
+
+    return Math.sqrt(lightness * lightness + chroma * chroma + hue * hue + RT * chroma * hue);
+}
+
+/**
+ * Gets the RGB value a color is expected to be captured as
+ * @param {string} color - Color hex code
+ * @param {Object|null} colorMap - Calibrated RGB per color hex code, or null to use the nominal values
+ * @returns {number[]} - Reference RGB [r, g, b]
+ * @private
+ */
+function getReferenceRgb(color, colorMap) {
+    return (colorMap && colorMap[color]) || hexToRgb(color);
+}
+
+// Lab values of reference colors, cached per color map (nominal references share one cache)
+const nominalLabCache = new Map();
+const calibratedLabCache = new WeakMap();
+
+/**
+ * Gets the Lab value a color is expected to be captured as
+ * @param {string} color - Color hex code
+ * @param {Object|null} colorMap - Calibrated RGB per color hex code, or null to use the nominal values
+ * @returns {number[]} - Reference Lab [L, a, b]
+ * @private
+ */
+function getReferenceLab(color, colorMap) {
+    let cache = nominalLabCache;
+    if (colorMap) {
+        cache = calibratedLabCache.get(colorMap);
+        if (!cache) {
+            cache = new Map();
+            calibratedLabCache.set(colorMap, cache);
+        }
+    }
+
+    let lab = cache.get(color);
+    if (!lab) {
+        lab = rgbToLab(getReferenceRgb(color, colorMap));
+        cache.set(color, lab);
+    }
+    return lab;
+}
+
 /**
  * Converts a hex color code to RGB
  * @param {string} hex - Color in hex format (#RRGGBB)
@@ -37,19 +205,65 @@ function hexToRgb(hex) {
 }
 
 /**
- * Finds the closest matching color from the COLORS array to a given RGB color
+ * Extends a calibrated color map to more colors
+ * Colors missing from the map are placed by trilinear interpolation between the calibrated
+ * corners of the RGB cube (the standard palette), so larger palettes share the calibration.
+ * @param {Object} colorMap - Calibrated RGB per color hex code, including all eight cube corners
+ * @param {string[]} colors - Colors the map should cover
+ * @returns {Object} - Color map covering `colors` (colors that cannot be placed keep their nominal value)
+ */
+function interpolateColorMap(colorMap, colors) {
+    const extended = { ...colorMap };
+
+    colors.forEach(color => {
+        if (extended[color]) return;
+
+        const weights = hexToRgb(color).map(channel => channel / 255);
+        const result = [0, 0, 0];
+        for (let corner = 0; corner < 8; corner++) {
+            const cornerBits = [(corner >> 2) & 1, (corner >> 1) & 1, corner & 1];
+            const cornerHex = '#' + cornerBits.map(bit => (bit ? 'FF' : '00')).join('');
+            const reference = colorMap[cornerHex];
+            if (!reference) return;
+
+            const weight = cornerBits.reduce(
+                (product, bit, channel) => product * (bit ? weights[channel] : 1 - weights[channel]),
+                1
+            );
+            for (let channel = 0; channel < 3; channel++) {
+                result[channel] += weight * reference[channel];
+            }
+        }
+        extended[color] = result;
+    });
+
+    return extended;
+}
+
+/**
+ * Finds the closest matching color from a palette to a given RGB color
  * @param {number[]} rgb - RGB color [r, g, b]
- * @returns {Object} - Object containing the matched color and index
+ * @param {string[]} [palette=COLORS] - Candidate colors (the standard palette by default)
+ * @param {string} [matching='rgb'] - Matching mode: 'rgb' (Euclidean RGB distance) or 'lab' (CIELAB ΔE2000)
+ * @param {Object|null} [colorMap=null] - Calibrated RGB per color hex code; colors not in the map use their nominal value
+ * @returns {Object} - Object containing the matched color, index and distance (in the units of the matching mode)
  */
-function findClosestColor(rgb) {
+function findClosestColor(rgb, palette = COLORS, matching = 'rgb', colorMap = null) {
+    if (!COLOR_MATCHING_MODES.includes(matching)) {
+        throw new Error(`Unsupported color matching mode: ${matching}`);
+    }
+
     let minDistance = Infinity;
     let closestColor = null;
     let closestIndex = -1;
 
-    // Convert each color in the COLORS array to RGB and find the closest
-    COLORS.forEach((color, index) => {
-        const colorRgb = hexToRgb(color);
-        const distance = colorDistance(rgb, colorRgb);
+    const lab = matching === 'lab' ? rgbToLab(rgb) : null;
+
+    // Compare against each color in the palette and find the closest
+    palette.forEach((color, index) => {
+        const distance = lab
+            ? deltaE2000(lab, getReferenceLab(color, colorMap))
+            : colorDistance(rgb, getReferenceRgb(color, colorMap));
 
         if (distance < minDistance) {
             minDistance = distance;
@@ -68,9 +282,14 @@ function findClosestColor(rgb) {
 /**
  * Configuration options for color detection
  * @typedef {Object} ColorDetectionOptions
- * @property {number} threshold - Color distance threshold for matches (0-255)
+ * @property {number} threshold - Color distance threshold for matches (RGB distance, or ΔE2000 in 'lab' mode)
+ * @property {string} colorMatching - Matching mode: 'rgb' (Euclidean RGB distance) or 'lab' (CIELAB ΔE2000)
  * @property {number} minChangeTime - Minimum time (ms) between color changes
  * @property {number} samplesRequired - Number of consistent samples required to confirm a color
+ * @property {string[]} palette - Colors to match against (the palette declared by the current frame)
+ * @property {Object|null} colorMap - Calibrated RGB per color hex code, learned from the calibration preamble
+ * @property {boolean} clockRecovery - Recover symbol timing from the sender's timing preamble; minChangeTime and
+ *                                     samplesRequired only apply until the clock has locked
  */
 
 /**
@@ -78,11 +297,19 @@ function findClosestColor(rgb) {
  * @type {ColorDetectionOptions}
  */
 const DEFAULT_OPTIONS = {
-    threshold: 50,      // Maximum color distance to consider a match
-    minChangeTime: 50,  // Minimum ms between color changes
-    samplesRequired: 3  // Number of consistent samples to confirm a color
+    threshold: 50,        // Maximum color distance to consider a match
+    colorMatching: 'rgb', // Euclidean RGB distance; 'lab' ranks by ΔE2000
+    minChangeTime: 50,    // Minimum ms between color changes
+    samplesRequired: 3,   // Number of consistent samples to confirm a color
+    palette: COLORS,      // Standard palette until a frame header declares another
+    colorMap: null,       // Nominal color values until the receiver is calibrated
+    clockRecovery: true   // Count symbols by the sender's clock once a timing preamble is seen
 };
 
+// The timing preamble comes before calibration and white balance references, so until the clock locks
+// samples are matched against its two colors only, with this many times the usual threshold
+const TIMING_THRESHOLD_FACTOR = 2;
+
 /**
  * Creates a frame analyzer for detecting colors in video frames
  * @param {ColorDetectionOptions} [options] - Configuration options
@@ -97,32 +324,94 @@ function createFrameAnalyzer(options = {}) {
     let lastChangeTime = 0;
     let stableColorCount = 0;
     let currentSamples = [];
+    let currentRgbSamples = [];
+    let currentRawSamples = [];
+    let lastDetectedRgb = null;
+    let lastDetectedRaw = [];
+    let lastDetectedCells = null;
+    let currentCellSamples = [];
+    let currentCellRawSamples = [];
+    let lastDetectedCellRaw = [];
     let onColorDetectedCallback = null;
 
+    // Symbol clock, shared by single colors and grid frames; cells are sampled once a frame switches to them
+    const clock = createSymbolClock({ preamble: TIMING_COLORS });
+    let clockSampling = 'color';
+
+    /**
+     * Finds the closest color of the current palette
+     * @param {number[]} rgb - RGB color array [r, g, b]
+     * @returns {Object} - Match { color, index, distance }
+     * @private
+     */
+    function matchColor(rgb) {
+        return findClosestColor(
+            rgb,
+            analyzerOptions.palette,
+            analyzerOptions.colorMatching,
+            analyzerOptions.colorMap
+        );
+    }
+
+    /**
+     * Gets the clock key of a sample: its matched color, or null if it matched nothing
+     * @param {number[]} rgb - RGB color array [r, g, b]
+     * @returns {string|null} - Matched color hex code
+     * @private
+     */
+    function clockKey(rgb) {
+        if (!clock.isLocked()) {
+            const match = findClosestColor(rgb, TIMING_COLORS, analyzerOptions.colorMatching, analyzerOptions.colorMap);
+            return match.distance <= analyzerOptions.threshold * TIMING_THRESHOLD_FACTOR ? match.color : null;
+        }
+
+        const match = matchColor(rgb);
+        return match.distance <= analyzerOptions.threshold ? match.color : null;
+    }
+
+    /**
+     * Averages RGB samples channel by channel
+     * @param {number[][]} samples - RGB samples
+     * @returns {number[]} - Mean RGB [r, g, b]
+     * @private
+     */
+    function averageRgb(samples) {
+        return [0, 1, 2].map(channel =>
+            samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length
+        );
+    }
+
     /**
      * Analyzes an RGB color value to identify the corresponding color from the predefined set
      * @param {number[]} rgb - RGB color array [r, g, b]
      * @param {number} timestamp - Current timestamp in ms
+     * @param {number[]} [raw=rgb] - Capture the color was derived from (kept with the detection)
      * @returns {string|null} - Detected color hex code or null if unstable
      */
-    function analyzeColor(rgb, timestamp = Date.now()) {
+    function analyzeColor(rgb, timestamp = Date.now(), raw = rgb) {
         // Find the closest matching color
-        const match = findClosestColor(rgb);
+        const match = matchColor(rgb);
 
         // Check if the distance is within threshold
         if (match.distance > analyzerOptions.threshold) {
             // Reset stability counter if color is too far from any expected color
             stableColorCount = 0;
             currentSamples = [];
+            currentRgbSamples = [];
+            currentRawSamples = [];
             return null;
         }
 
         // Add to current samples
         currentSamples.push(match.color);
+        currentRgbSamples.push(rgb);
+        currentRawSamples.push(raw);
 
         // Keep only the most recent samples
         if (currentSamples.length > analyzerOptions.samplesRequired) {
             currentSamples.shift();
+            currentRgbSamples.shift();
+            currentRawSamples.shift();
         }
 
         // Check if all samples are the same color
@@ -140,6 +429,10 @@ function createFrameAnalyzer(options = {}) {
                 if (timeSinceLastChange >= analyzerOptions.minChangeTime) {
                     // New stable color detected
                     lastDetectedColor = detectedColor;
+
+                    // Keep the average captured value of the confirming samples (used for calibration)
+                    lastDetectedRgb = averageRgb(currentRgbSamples);
+                    lastDetectedRaw = [...currentRawSamples];
                     lastChangeTime = timestamp;
                     stableColorCount = 0;
 
@@ -162,14 +455,140 @@ function createFrameAnalyzer(options = {}) {
         return null;
     }
 
+    /**
+     * Analyzes the RGB colors of every cell of a grid frame together
+     * A frame is confirmed once each cell has matched the same color for the required number of samples,
+     * and reported if any cell differs from the previous frame. Until a grid frame has been detected, the
+     * previous frame is taken to be the last single color filling the whole grid.
+     * @param {number[][]} cells - RGB color per cell [[r, g, b], ...], in row-major order
+     * @param {number} timestamp - Current timestamp in ms
+     * @param {number[][]} [raw=cells] - Captures the cell colors were derived from (kept with the detection)
+     * @returns {string[]|null} - Detected color hex code per cell, or null if unstable or unchanged
+     */
+    function analyzeCells(cells, timestamp = Date.now(), raw = cells) {
+        const matches = cells.map(matchColor);
+
+        // Every cell must be close to an expected color
+        if (matches.some(match => match.distance > analyzerOptions.threshold)) {
+            currentCellSamples = [];
+            currentCellRawSamples = [];
+            return null;
+        }
+
+        // Keep only the most recent samples
+        currentCellSamples.push(matches.map(match => match.color));
+        currentCellRawSamples.push(raw);
+        if (currentCellSamples.length > analyzerOptions.samplesRequired) {
+            currentCellSamples.shift();
+            currentCellRawSamples.shift();
+        }
+
+        const frame = currentCellSamples[0];
+        const allSamplesMatch = currentCellSamples.length === analyzerOptions.samplesRequired &&
+            currentCellSamples.every(sample => sample.every((color, cell) => color === frame[cell]));
+        if (!allSamplesMatch) {
+            return null;
+        }
+
+        const previousFrame = lastDetectedCells || frame.map(() => lastDetectedColor);
+        const isNewFrame = frame.some((color, cell) => color !== previousFrame[cell]);
+        if (!isNewFrame || timestamp - lastChangeTime < analyzerOptions.minChangeTime) {
+            return null;
+        }
+
+        lastDetectedCells = [...frame];
+        lastDetectedCellRaw = [...currentCellRawSamples];
+        lastChangeTime = timestamp;
+        return [...frame];
+    }
+
+    /**
+     * Analyzes an RGB color value and returns the symbols it completed
+     * Once the symbol clock has locked onto a timing preamble, each symbol period yields one color, so
+     * repeated colors are counted; until then, symbols are color changes confirmed by analyzeColor.
+     * @param {number[]} rgb - RGB color array [r, g, b]
+     * @param {number} timestamp - Current timestamp in ms
+     * @param {number[]} [raw=rgb] - Capture the color was derived from
+     * @returns {Object[]} - Detected symbols { color, rgb, raw }: the color hex code, the mean matched RGB and
+     *                       the captures that confirmed it, oldest first
+     */
+    function analyzeSymbols(rgb, timestamp = Date.now(), raw = rgb) {
+        if (analyzerOptions.clockRecovery) {
+            const symbols = clock.addSample(clockKey(rgb), timestamp, { rgb, raw });
+
+            if (clock.isLocked()) {
+                return symbols.map(symbol => {
+                    lastDetectedColor = symbol.key;
+                    lastDetectedRgb = averageRgb(symbol.data.map(sample => sample.rgb));
+                    lastDetectedRaw = symbol.data.map(sample => sample.raw);
+                    lastChangeTime = timestamp;
+
+                    if (onColorDetectedCallback) {
+                        onColorDetectedCallback(symbol.key);
+                    }
+
+                    return { color: symbol.key, rgb: lastDetectedRgb, raw: lastDetectedRaw };
+                });
+            }
+        }
+
+        const color = analyzeColor(rgb, timestamp, raw);
+        return color ? [{ color, rgb: lastDetectedRgb, raw: lastDetectedRaw }] : [];
+    }
+
+    /**
+     * Analyzes the RGB colors of every grid cell and returns the grid frames they completed
+     * With a locked symbol clock each symbol period yields one frame; otherwise frames are changes
+     * confirmed by analyzeCells.
+     * @param {number[][]} cells - RGB color per cell [[r, g, b], ...], in row-major order
+     * @param {number} timestamp - Current timestamp in ms
+     * @param {number[][]} [raw=cells] - Captures the cell colors were derived from
+     * @returns {Object[]} - Detected frames { colors, raw }: the color hex code per cell and the captures
+     *                       that confirmed them, oldest first
+     */
+    function analyzeCellSymbols(cells, timestamp = Date.now(), raw = cells) {
+        if (analyzerOptions.clockRecovery && clock.isLocked()) {
+            // Samples taken as single colors don't belong to the cells' symbol
+            if (clockSampling !== 'cells') {
+                clock.discardSamples();
+                clockSampling = 'cells';
+            }
+
+            const matches = cells.map(matchColor);
+            const key = matches.every(match => match.distance <= analyzerOptions.threshold)
+                ? matches.map(match => match.color).join(',')
+                : null;
+
+            return clock.addSample(key, timestamp, raw).map(symbol => {
+                lastDetectedCells = symbol.key.split(',');
+                lastDetectedCellRaw = symbol.data;
+                lastChangeTime = timestamp;
+                return { colors: [...lastDetectedCells], raw: lastDetectedCellRaw };
+            });
+        }
+
+        const colors = analyzeCells(cells, timestamp, raw);
+        return colors ? [{ colors, raw: lastDetectedCellRaw }] : [];
+    }
+
     /**
      * Resets the analyzer state
      */
     function reset() {
         lastDetectedColor = null;
+        lastDetectedRgb = null;
+        lastDetectedRaw = [];
+        lastDetectedCells = null;
+        lastDetectedCellRaw = [];
         lastChangeTime = 0;
         stableColorCount = 0;
         currentSamples = [];
+        currentRgbSamples = [];
+        currentRawSamples = [];
+        currentCellSamples = [];
+        currentCellRawSamples = [];
+        clock.reset();
+        clockSampling = 'color';
     }
 
     /**
@@ -199,8 +618,11 @@ function createFrameAnalyzer(options = {}) {
     function getState() {
         return {
             lastDetectedColor,
+            lastDetectedRgb,
+            lastDetectedCells: lastDetectedCells ? [...lastDetectedCells] : null,
             stableColorCount,
             currentSamples: [...currentSamples],
+            clock: clock.getState(),
             options: { ...analyzerOptions }
         };
     }
@@ -208,6 +630,9 @@ function createFrameAnalyzer(options = {}) {
     // Build and return the analyzer object
     return {
         analyzeColor,
+        analyzeCells,
+        analyzeSymbols,
+        analyzeCellSymbols,
         reset,
         onColorDetected,
         setOptions,
@@ -216,8 +641,12 @@ function createFrameAnalyzer(options = {}) {
 }
 
 export {
+    COLOR_MATCHING_MODES,
     createFrameAnalyzer,
     hexToRgb,
+    rgbToLab,
     colorDistance,
+    deltaE2000,
+    interpolateColorMap,
     findClosestColor
 }; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * DialUp Frame Sampling Module
+ * Reads transmitted colors out of camera frame pixels: the region to read, its grid cells and their average colors
+ */
+
+/**
+ * Gets the fallback region of interest, used until a transmission region has been detected
+ * @param {number} width - Video width
+ * @param {number} height - Video height
+ * @returns {Object} - Region { x, y, width, height } covering the top 15% or 60px of the video
+ */
+function getDefaultRegion(width, height) {
+    return {
+        x: 0,
+        y: 0,
+        width,
+        height: Math.min(60, Math.floor(height * 0.15))
+    };
+}
+
+/**
+ * Splits a region into grid cells, keeping the middle of each so neighboring cells don't bleed in
+ * @param {Object} region - Region { x, y, width, height }
+ * @param {Object} grid - Grid dimensions { columns, rows }
+ * @returns {Object[]} - Cell regions { x, y, width, height }, in row-major order
+ */
+function getCellRegions(region, grid) {
+    const cellWidth = region.width / grid.columns;
+    const cellHeight = region.height / grid.rows;
+    const cells = [];
+
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            cells.push({
+                x: Math.round(region.x + (column + 0.25) * cellWidth),
+                y: Math.round(region.y + (row + 0.25) * cellHeight),
+                width: Math.max(1, Math.round(cellWidth / 2)),
+                height: Math.max(1, Math.round(cellHeight / 2))
+            });
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Computes the average color of a region of a frame
+ * @param {ImageData} frame - Frame pixels (RGBA)
+ * @param {Object} region - Region { x, y, width, height }; parts outside the frame are ignored
+ * @returns {number[]|null} - RGB array [r, g, b], or null if the region is outside the frame
+ */
+function averageRegionColor(frame, region) {
+    const startX = Math.max(0, Math.floor(region.x));
+    const startY = Math.max(0, Math.floor(region.y));
+    const endX = Math.min(frame.width, Math.floor(region.x + region.width));
+    const endY = Math.min(frame.height, Math.floor(region.y + region.height));
+    if (endX <= startX || endY <= startY) {
+        return null;
+    }
+
+    let totalR = 0, totalG = 0, totalB = 0;
+    for (let y = startY; y < endY; y++) {
+        for (let offset = (y * frame.width + startX) * 4; offset < (y * frame.width + endX) * 4; offset += 4) {
+            totalR += frame.data[offset];
+            totalG += frame.data[offset + 1];
+            totalB += frame.data[offset + 2];
+        }
+    }
+
+    const pixelCount = (endX - startX) * (endY - startY);
+    return [
+        Math.round(totalR / pixelCount),
+        Math.round(totalG / pixelCount),
+        Math.round(totalB / pixelCount)
+    ];
+}
+
+export {
+    getDefaultRegion,
+    getCellRegions,
+    averageRegionColor
+};
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * DialUp Region Detector Module
+ * Locates the flashing transmission region in camera frames from a temporal variance map
+ */
+
+/**
+ * Region detector options
+ * @typedef {Object} RegionDetectorOptions
+ * @property {number} cellSize - Size (px) of the square cells the frame is divided into
+ * @property {number} sampleStep - Distance (px) between sampled pixels inside a cell
+ * @property {number} smoothing - Weight of the newest frame in the running mean and variance (0-1)
+ * @property {number} minVariance - Smallest cell variance (summed over channels) considered flashing
+ * @property {number} relativeThreshold - Fraction of the strongest cell variance a cell needs to join the region
+ * @property {number} warmupFrames - Frames to observe before reporting a region
+ */
+
+/**
+ * Default region detector options
+ * @type {RegionDetectorOptions}
+ */
+const DEFAULT_OPTIONS = {
+    cellSize: 32,           // 40x23 cells for a 1280x720 feed
+    sampleStep: 4,          // Sample every 4th pixel in each direction
+    smoothing: 0.3,         // Old frames fade out within about 10 frames, so the region follows the phone
+    minVariance: 200,       // Well above camera noise, well below color changes
+    relativeThreshold: 0.5, // Cells at half the strongest variance (about 70% covered) belong to the region
+    warmupFrames: 5         // Frames needed before the variance map means anything
+};
+
+/**
+ * Computes the average color of one cell of a frame
+ * @param {ImageData} frame - Frame pixels (RGBA)
+ * @param {number} cellX - Cell column
+ * @param {number} cellY - Cell row
+ * @param {RegionDetectorOptions} options - Detector options
+ * @returns {number[]} - Average RGB [r, g, b]
+ * @private
+ */
+function averageCellColor(frame, cellX, cellY, options) {
+    const { cellSize, sampleStep } = options;
+    const startX = cellX * cellSize;
+    const startY = cellY * cellSize;
+    const endX = Math.min(startX + cellSize, frame.width);
+    const endY = Math.min(startY + cellSize, frame.height);
+
+    let r = 0, g = 0, b = 0, count = 0;
+    for (let y = startY; y < endY; y += sampleStep) {
+        for (let x = startX; x < endX; x += sampleStep) {
+            const offset = (y * frame.width + x) * 4;
+            r += frame.data[offset];
+            g += frame.data[offset + 1];
+            b += frame.data[offset + 2];
+            count++;
+        }
+    }
+
+    return [r / count, g / count, b / count];
+}
+
+/**
+ * Finds the largest 4-connected group of marked cells
+ * @param {boolean[]} marked - Marked flag per cell (row-major)
+ * @param {number} columns - Number of cell columns
+ * @param {number} rows - Number of cell rows
+ * @returns {number[]} - Indexes of the cells in the largest group
+ * @private
+ */
+function largestComponent(marked, columns, rows) {
+    const visited = new Uint8Array(marked.length);
+    let largest = [];
+
+    for (let start = 0; start < marked.length; start++) {
+        if (!marked[start] || visited[start]) continue;
+
+        const component = [];
+        const stack = [start];
+        visited[start] = 1;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            component.push(index);
+
+            const x = index % columns;
+            const y = Math.floor(index / columns);
+            const neighbors = [
+                x > 0 ? index - 1 : -1,
+                x < columns - 1 ? index + 1 : -1,
+                y > 0 ? index - columns : -1,
+                y < rows - 1 ? index + columns : -1
+            ];
+
+            neighbors.forEach(neighbor => {
+                if (neighbor >= 0 && marked[neighbor] && !visited[neighbor]) {
+                    visited[neighbor] = 1;
+                    stack.push(neighbor);
+                }
+            });
+        }
+
+        if (component.length > largest.length) {
+            largest = component;
+        }
+    }
+
+    return largest;
+}
+
+/**
+ * Creates a region detector that finds where the sender's colors flash in the camera feed
+ * Every cell keeps a running mean and variance of its color; the transmission is the largest
+ * connected area of cells whose color keeps changing. Once found, the region stays put while the
+ * screen holds a color, and moves only when flashing is seen elsewhere.
+ * @param {RegionDetectorOptions} [options] - Configuration options
+ * @returns {Object} - Region detector object
+ */
+function createRegionDetector(options = {}) {
+    // Merge default options with provided options
+    const detectorOptions = { ...DEFAULT_OPTIONS, ...options };
+
+    // State variables
+    let columns = 0;
+    let rows = 0;
+    let frameWidth = 0;
+    let frameHeight = 0;
+    let means = null;
+    let variances = null;
+    let frameCount = 0;
+    let region = null;
+
+    /**
+     * Sets up the variance map for a frame size
+     * @param {number} width - Frame width (px)
+     * @param {number} height - Frame height (px)
+     * @private
+     */
+    function allocate(width, height) {
+        frameWidth = width;
+        frameHeight = height;
+        columns = Math.ceil(width / detectorOptions.cellSize);
+        rows = Math.ceil(height / detectorOptions.cellSize);
+        means = new Float32Array(columns * rows * 3);
+        variances = new Float32Array(columns * rows);
+        frameCount = 0;
+        region = null;
+    }
+
+    /**
+     * Turns the current variance map into a region, or null if nothing is flashing at the moment
+     * @returns {Object|null} - Region { x, y, width, height } in frame pixels
+     * @private
+     */
+    function locateRegion() {
+        let maxVariance = 0;
+        for (let i = 0; i < variances.length; i++) {
+            maxVariance = Math.max(maxVariance, variances[i]);
+        }
+
+        if (maxVariance < detectorOptions.minVariance) {
+            return null;
+        }
+
+        const threshold = Math.max(detectorOptions.minVariance, maxVariance * detectorOptions.relativeThreshold);
+        const marked = Array.from(variances, variance => variance >= threshold);
+        const cells = largestComponent(marked, columns, rows);
+
+        // Bounding box of the cells, in frame pixels
+        let minX = columns, minY = rows, maxX = -1, maxY = -1;
+        cells.forEach(index => {
+            const x = index % columns;
+            const y = Math.floor(index / columns);
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+
+        const { cellSize } = detectorOptions;
+        const x = minX * cellSize;
+        const y = minY * cellSize;
+        return {
+            x,
+            y,
+            width: Math.min((maxX + 1) * cellSize, frameWidth) - x,
+            height: Math.min((maxY + 1) * cellSize, frameHeight) - y
+        };
+    }
+
+    /**
+     * Adds a frame to the variance map and updates the detected region
+     * @param {ImageData} frame - Camera frame (RGBA pixels with width and height)
+     * @returns {Object|null} - Detected region { x, y, width, height }, or null if none yet
+     */
+    function update(frame) {
+        if (!frame || !frame.width || !frame.height) {
+            return region;
+        }
+
+        if (frame.width !== frameWidth || frame.height !== frameHeight) {
+            allocate(frame.width, frame.height);
+        }
+
+        // Exponentially weighted mean and variance of each cell's color
+        const alpha = detectorOptions.smoothing;
+        for (let cellY = 0; cellY < rows; cellY++) {
+            for (let cellX = 0; cellX < columns; cellX++) {
+                const cell = cellY * columns + cellX;
+                const color = averageCellColor(frame, cellX, cellY, detectorOptions);
+
+                if (frameCount === 0) {
+                    means.set(color, cell * 3);
+                    continue;
+                }
+
+                let squaredDiff = 0;
+                for (let channel = 0; channel < 3; channel++) {
+                    const diff = color[channel] - means[cell * 3 + channel];
+                    means[cell * 3 + channel] += alpha * diff;
+                    squaredDiff += diff * diff;
+                }
+                variances[cell] = (1 - alpha) * (variances[cell] + alpha * squaredDiff);
+            }
+        }
+        frameCount++;
+
+        // A held color lets the variance fade; keep the last region until another one flashes
+        if (frameCount >= detectorOptions.warmupFrames) {
+            region = locateRegion() || region;
+        }
+
+        return region;
+    }
+
+    /**
+     * Gets the detected region
+     * @returns {Object|null} - Region { x, y, width, height } in frame pixels, or null if none
+     */
+    function getRegion() {
+        return region ? { ...region } : null;
+    }
+
+    /**
+     * Resets the variance map
+     */
+    function reset() {
+        frameWidth = 0;
+        frameHeight = 0;
+        columns = 0;
+        rows = 0;
+        means = null;
+        variances = null;
+        frameCount = 0;
+        region = null;
+    }
+
+    /**
+     * Gets the current detector state
+     * @returns {Object} - Current state information
+     */
+    function getState() {
+        return {
+            region: getRegion(),
+            frameCount,
+            grid: { columns, rows },
+            options: { ...detectorOptions }
+        };
+    }
+
+    // Build and return the detector object
+    return {
+        update,
+        getRegion,
+        reset,
+        getState
+    };
+}
+
+export { createRegionDetector };
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * DialUp Symbol Clock Module
+ * Recovers the sender's symbol timing from a preamble of alternating colors, then cuts the
+ * stream of samples into symbols, so repeated symbols are counted and read mid-symbol
+ */
+
+/**
+ * Symbol clock options
+ * @typedef {Object} SymbolClockOptions
+ * @property {string[]} preamble - The two values the timing preamble alternates between
+ * @property {number} lockEdges - Consecutive preamble transitions needed to lock
+ * @property {number} jitterTolerance - Largest deviation of a preamble interval from the mean, as a fraction of it
+ * @property {number} phaseGain - Share of a transition's timing error corrected in the phase
+ * @property {number} periodGain - Share of a transition's timing error (per symbol) corrected in the duration
+ */
+
+/**
+ * Default symbol clock options
+ * @type {SymbolClockOptions}
+ */
+const DEFAULT_OPTIONS = {
+    preamble: [],         // Set by the receiver to the timing preamble colors
+    lockEdges: 6,         // Half of a 12-symbol preamble, so late starters still lock
+    jitterTolerance: 0.5, // Camera sampling blurs transitions by up to a sample interval
+    phaseGain: 0.3,       // Follow phase steps within a few transitions
+    periodGain: 0.05      // Follow slow drift without chasing sampling jitter
+};
+
+// Samples within this distance of the middle of a symbol (in symbols) outvote the others
+const CENTRAL_WINDOW = 0.25;
+
+/**
+ * Creates a symbol clock
+ * Samples are given as keys (the matched color, or null when nothing matched). Until the clock has
+ * locked onto a timing preamble, no symbols are produced.
+ * @param {SymbolClockOptions} [options] - Configuration options
+ * @returns {Object} - Symbol clock object
+ */
+function createSymbolClock(options = {}) {
+    // Merge default options with provided options
+    const clockOptions = { ...DEFAULT_OPTIONS, ...options };
+
+    // State variables
+    let locked = false;
+    let symbolDuration = null;
+    let phase = 0;                // Time at which symbol `phaseSymbol` started
+    let phaseSymbol = 0;          // Symbol the phase refers to (the last corrected boundary)
+    let symbolIndex = 0;          // Symbol currently being sampled
+    let symbolSamples = [];       // Samples { key, data, offset } of the current symbol
+    let previousSample = null;    // Last matched sample { key, timestamp }
+    let lastEdgeSymbol = 0;       // Symbol at which the last transition happened
+    let preambleEdges = [];       // Transition times seen in the preamble, while unlocked
+
+    /**
+     * Records a transition while unlocked, and locks once enough regular preamble transitions were seen
+     * @param {number} edgeTime - Estimated transition time
+     * @param {string} from - Value before the transition
+     * @param {string} to - Value after the transition
+     * @private
+     */
+    function learn(edgeTime, from, to) {
+        const [first, second] = clockOptions.preamble;
+        const isPreambleEdge = (from === first && to === second) || (from === second && to === first);
+        if (!isPreambleEdge) {
+            preambleEdges = [];
+            return;
+        }
+
+        preambleEdges.push(edgeTime);
+        if (preambleEdges.length > clockOptions.lockEdges) {
+            preambleEdges.shift();
+        }
+        if (preambleEdges.length < clockOptions.lockEdges) {
+            return;
+        }
+
+        // Every preamble interval is one symbol
+        const lastEdge = preambleEdges[preambleEdges.length - 1];
+        const duration = (lastEdge - preambleEdges[0]) / (preambleEdges.length - 1);
+        const regular = preambleEdges.slice(1).every((time, index) =>
+            Math.abs(time - preambleEdges[index] - duration) <= duration * clockOptions.jitterTolerance
+        );
+        if (!regular || duration <= 0) {
+            return;
+        }
+
+        locked = true;
+        symbolDuration = duration;
+        phase = lastEdge;
+        phaseSymbol = 0;
+        symbolIndex = 0;
+        symbolSamples = [];
+        lastEdgeSymbol = 0;
+        preambleEdges = [];
+    }
+
+    /**
+     * Pulls the clock towards a transition seen while locked; transitions happen on symbol boundaries
+     * The phase is re-anchored at the nearest boundary, so duration corrections only affect what follows.
+     * @param {number} edgeTime - Estimated transition time
+     * @private
+     */
+    function correct(edgeTime) {
+        const boundary = phaseSymbol + Math.round((edgeTime - phase) / symbolDuration);
+        const boundaryTime = phase + (boundary - phaseSymbol) * symbolDuration;
+        const error = edgeTime - boundaryTime;
+        const symbolsSinceEdge = Math.max(1, boundary - lastEdgeSymbol);
+
+        symbolDuration += clockOptions.periodGain * error / symbolsSinceEdge;
+        phase = boundaryTime + clockOptions.phaseGain * error;
+        phaseSymbol = boundary;
+        lastEdgeSymbol = boundary;
+    }
+
+    /**
+     * Decides the value of the current symbol by majority, counting samples near its middle first
+     * @returns {Object|null} - Symbol { key, data } (data of the agreeing samples), or null without samples
+     * @private
+     */
+    function finishSymbol() {
+        if (symbolSamples.length === 0) {
+            return null;
+        }
+
+        const central = symbolSamples.filter(sample => Math.abs(sample.offset - 0.5) <= CENTRAL_WINDOW);
+        const voters = central.length > 0 ? central : symbolSamples;
+
+        const counts = new Map();
+        voters.forEach(sample => counts.set(sample.key, (counts.get(sample.key) || 0) + 1));
+        const key = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+        return {
+            key,
+            data: voters.filter(sample => sample.key === key).map(sample => sample.data)
+        };
+    }
+
+    /**
+     * Adds a sample and returns the symbols it completed
+     * @param {string|null} key - Matched value of the sample, or null if it matched nothing
+     * @param {number} timestamp - Sample time in ms
+     * @param {*} [data] - Data carried along with the sample (returned with the symbol)
+     * @returns {Object[]} - Completed symbols { key, data[] }, oldest first
+     */
+    function addSample(key, timestamp, data = null) {
+        const symbols = [];
+
+        // A change between matched samples is a transition, halfway between them
+        if (key !== null) {
+            if (previousSample && previousSample.key !== key) {
+                const edgeTime = (previousSample.timestamp + timestamp) / 2;
+                if (locked) {
+                    correct(edgeTime);
+                } else {
+                    learn(edgeTime, previousSample.key, key);
+                }
+            }
+            previousSample = { key, timestamp };
+        }
+
+        if (!locked) {
+            return symbols;
+        }
+
+        const position = phaseSymbol + (timestamp - phase) / symbolDuration;
+        const index = Math.max(symbolIndex, Math.floor(position));
+
+        if (index > symbolIndex) {
+            const symbol = finishSymbol();
+            if (symbol) {
+                symbols.push(symbol);
+
+                // Symbols that passed between two samples showed the same value
+                for (let skipped = symbolIndex + 1; skipped < index; skipped++) {
+                    symbols.push(symbol);
+                }
+            }
+
+            symbolIndex = index;
+            symbolSamples = [];
+        }
+
+        if (key !== null) {
+            symbolSamples.push({ key, data, offset: position - index });
+        }
+
+        return symbols;
+    }
+
+    /**
+     * Drops the samples of the current symbol, e.g. when the receiver starts sampling it differently
+     */
+    function discardSamples() {
+        symbolSamples = [];
+        previousSample = null;
+    }
+
+    /**
+     * Checks whether the clock has locked onto a timing preamble
+     * @returns {boolean} - True if locked
+     */
+    function isLocked() {
+        return locked;
+    }
+
+    /**
+     * Forgets the recovered timing
+     */
+    function reset() {
+        locked = false;
+        symbolDuration = null;
+        phase = 0;
+        phaseSymbol = 0;
+        symbolIndex = 0;
+        symbolSamples = [];
+        previousSample = null;
+        lastEdgeSymbol = 0;
+        preambleEdges = [];
+    }
+
+    /**
+     * Gets the current clock state
+     * @returns {Object} - Current state information
+     */
+    function getState() {
+        return {
+            locked,
+            symbolDuration,
+            phase,
+            phaseSymbol,
+            symbolIndex,
+            options: { ...clockOptions }
+        };
+    }
+
+    // Build and return the clock object
+    return {
+        addSample,
+        discardSamples,
+        isLocked,
+        reset,
+        getState
+    };
+}
+
+export { createSymbolClock };
\ No newline at end of file
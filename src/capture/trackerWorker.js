@@ -0,0 +1,207 @@
+/**
+ * DialUp Tracker Worker Module
+ * Runs region detection, pixel averaging and color tracking off the main thread. Loaded as a module
+ * worker it answers the messages sent by createWorkerTracker; createTrackerHost holds the logic.
+ */
+
+import { createColorTracker } from './colorTracker.js';
+import { createRegionDetector } from './regionDetector.js';
+import { getDefaultRegion, getCellRegions, averageRegionColor } from './frameSampling.js';
+
+/**
+ * Tracker host options
+ * @typedef {Object} TrackerHostOptions
+ * @property {Object} tracker - Color tracker options
+ * @property {boolean} detectRegion - Locate the transmission region in frames sent without one
+ * @property {Object} regionDetection - Options for the region detector
+ */
+
+/**
+ * Default tracker host options
+ * @type {TrackerHostOptions}
+ */
+const DEFAULT_OPTIONS = {
+    tracker: {},
+    detectRegion: true,
+    regionDetection: {}
+};
+
+/**
+ * Creates the worker side of a worker-backed tracker
+ * Every message handled is answered with a 'state' message carrying the tracker state, so the main
+ * thread can read it synchronously and knows how many frames are still queued.
+ * @param {function} post - Sends a message to the main thread
+ * @returns {Object} - Host object
+ */
+function createTrackerHost(post) {
+    let hostOptions = { ...DEFAULT_OPTIONS };
+    let tracker = null;
+    let regionDetector = null;
+    let region = null;
+
+    // Canvas ImageBitmaps are drawn into to read their pixels
+    let canvas = null;
+    let context = null;
+
+    /**
+     * Creates the tracker and region detector
+     * @param {TrackerHostOptions} [options] - Host options
+     * @private
+     */
+    function init(options = {}) {
+        if (tracker) {
+            tracker.reset();
+        }
+
+        hostOptions = { ...DEFAULT_OPTIONS, ...options };
+        tracker = createColorTracker(hostOptions.tracker);
+        tracker.onMessage(message => post({ type: 'message', message }));
+        tracker.onStatusChange(event => post({ type: 'status', event }));
+        regionDetector = createRegionDetector(hostOptions.regionDetection);
+        region = null;
+    }
+
+    /**
+     * Reads the pixels of a frame
+     * @param {ImageBitmap|Object} frame - ImageBitmap, or pixel buffer { width, height, data } (RGBA)
+     * @returns {Object} - Pixels { width, height, data }
+     * @private
+     */
+    function readPixels(frame) {
+        if (frame.data) {
+            const data = frame.data instanceof Uint8ClampedArray ? frame.data : new Uint8ClampedArray(frame.data);
+            return { width: frame.width, height: frame.height, data };
+        }
+
+        try {
+            if (!canvas) {
+                canvas = new OffscreenCanvas(frame.width, frame.height);
+                context = canvas.getContext('2d', { willReadFrequently: true });
+            }
+            if (canvas.width !== frame.width || canvas.height !== frame.height) {
+                canvas.width = frame.width;
+                canvas.height = frame.height;
+            }
+
+            context.drawImage(frame, 0, 0);
+            return context.getImageData(0, 0, frame.width, frame.height);
+        } finally {
+            frame.close();
+        }
+    }
+
+    /**
+     * Samples a frame and passes its colors to the tracker
+     * @param {ImageBitmap|Object} frame - ImageBitmap or pixel buffer { width, height, data }
+     * @param {number} timestamp - Frame capture time in ms
+     * @param {Object|null} frameRegion - Region to read, or null to use the detected one
+     * @private
+     */
+    function processFrame(frame, timestamp, frameRegion) {
+        const pixels = readPixels(frame);
+
+        if (hostOptions.detectRegion) {
+            region = regionDetector.update(pixels);
+        }
+        const roi = frameRegion || region || getDefaultRegion(pixels.width, pixels.height);
+
+        // Once a frame's header has declared a grid, read every cell
+        const { gridActive, grid } = tracker.getState();
+        if (gridActive) {
+            const cellColors = getCellRegions(roi, grid).map(cell => averageRegionColor(pixels, cell));
+            if (!cellColors.includes(null)) {
+                tracker.processCells(cellColors, timestamp);
+            }
+            return;
+        }
+
+        const color = averageRegionColor(pixels, roi);
+        if (color) {
+            tracker.processColor(color, timestamp);
+        }
+    }
+
+    /**
+     * Handles a message from the main thread
+     * A message that fails is reported as an 'error' status; either way the state is posted back.
+     * @param {Object} message - { type, ... }: 'init' { options }, 'frame' { frame, timestamp, region },
+     *                           'color' { rgb, timestamp }, 'cells' { cells, timestamp }, 'setOptions' { options }
+     *                           or 'reset'
+     */
+    function handleMessage(message) {
+        try {
+            dispatch(message);
+        } catch (error) {
+            post({ type: 'status', event: { status: 'error', data: { message: error.message } } });
+        } finally {
+            // The main thread counts the messages still in flight by these replies
+            post({ type: 'state', state: getState() });
+        }
+    }
+
+    /**
+     * Runs the handler for a message
+     * @param {Object} message - Message { type, ... } (see handleMessage)
+     * @private
+     */
+    function dispatch(message) {
+        switch (message.type) {
+            case 'frame':
+                processFrame(message.frame, message.timestamp, message.region || null);
+                break;
+
+            case 'color':
+                tracker.processColor(message.rgb, message.timestamp);
+                break;
+
+            case 'cells':
+                tracker.processCells(message.cells, message.timestamp);
+                break;
+
+            case 'setOptions':
+                tracker.setOptions(message.options);
+                break;
+
+            case 'reset':
+                tracker.reset();
+                regionDetector.reset();
+                region = null;
+                break;
+
+            case 'init':
+                init(message.options);
+                break;
+
+            default:
+                throw new Error(`Unknown tracker worker message: ${message.type}`);
+        }
+    }
+
+    /**
+     * Gets the tracker state, with the region frames are read from
+     * @returns {Object} - Current state information
+     */
+    function getState() {
+        return {
+            ...tracker.getState(),
+            region: region ? { ...region } : null
+        };
+    }
+
+    // Start with default options until the main thread sends its own
+    init();
+
+    // Build and return the host object
+    return {
+        handleMessage,
+        getState
+    };
+}
+
+// Answer the main thread when loaded as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const host = createTrackerHost(message => self.postMessage(message));
+    self.onmessage = event => host.handleMessage(event.data);
+}
+
+export { createTrackerHost };
\ No newline at end of file
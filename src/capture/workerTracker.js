@@ -0,0 +1,244 @@
+/**
+ * DialUp Worker Tracker Module
+ * Color tracker that runs in a Web Worker, with the same callbacks and state as createColorTracker
+ */
+
+/**
+ * Worker tracker options
+ * @typedef {Object} WorkerTrackerOptions
+ * @property {Object} tracker - Color tracker options (see createColorTracker)
+ * @property {boolean} detectRegion - Locate the transmission region in frames sent without one
+ * @property {Object} regionDetection - Options for the region detector
+ * @property {number} maxPendingFrames - Frames that may wait for the worker before new ones are dropped
+ */
+
+/**
+ * Default worker tracker options
+ * @type {WorkerTrackerOptions}
+ */
+const DEFAULT_OPTIONS = {
+    tracker: {},
+    detectRegion: true,
+    regionDetection: {},
+    maxPendingFrames: 2 // A slow worker skips frames rather than falling behind the camera
+};
+
+// State reported until the worker has answered
+const INITIAL_STATE = {
+    tracking: false,
+    sequenceLength: 0,
+    calibrating: false,
+    grid: null,
+    gridActive: false,
+    colorMap: null,
+    region: null
+};
+
+/**
+ * Creates a color tracker whose region detection, pixel averaging and decoding run in a worker
+ * Frames are transferred to the worker; state is what the worker last reported, so getState() is
+ * synchronous but may lag the latest frame slightly.
+ * @param {WorkerTrackerOptions} [options] - Configuration options
+ * @param {Worker} [worker] - Worker running trackerWorker.js (created when not given)
+ * @returns {Object} - Worker tracker object
+ */
+function createWorkerTracker(options = {}, worker = null) {
+    // Merge default options with provided options
+    const workerOptions = { ...DEFAULT_OPTIONS, ...options };
+
+    const trackerWorker = worker || new Worker(new URL('./trackerWorker.js', import.meta.url), { type: 'module' });
+
+    // State variables
+    let state = { ...INITIAL_STATE };
+    let pendingMessages = 0;
+    let droppedFrames = 0;
+    let onMessageCallback = null;
+    let onStatusChangeCallback = null;
+
+    /**
+     * Sends a message to the worker
+     * @param {Object} message - Message { type, ... }
+     * @param {Transferable[]} [transfer] - Objects to transfer rather than copy
+     * @private
+     */
+    function send(message, transfer = []) {
+        pendingMessages++;
+        trackerWorker.postMessage(message, transfer);
+    }
+
+    /**
+     * Handles a message from the worker
+     * @param {MessageEvent} event - Message event with { type, ... } data
+     * @private
+     */
+    function handleWorkerMessage(event) {
+        const message = event.data;
+
+        switch (message.type) {
+            case 'state':
+                pendingMessages = Math.max(0, pendingMessages - 1);
+                state = message.state;
+                break;
+
+            case 'message':
+                if (onMessageCallback) {
+                    onMessageCallback(message.message);
+                }
+                break;
+
+            case 'status':
+                if (onStatusChangeCallback) {
+                    onStatusChangeCallback(message.event);
+                }
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Handles an error the worker did not catch, such as a failure to load
+     * @param {ErrorEvent} event - Error event
+     * @private
+     */
+    function handleWorkerError(event) {
+        // Messages the worker failed on will never be answered
+        pendingMessages = 0;
+
+        if (onStatusChangeCallback) {
+            onStatusChangeCallback({ status: 'error', data: { message: event.message || 'Tracker worker failed' } });
+        }
+    }
+
+    trackerWorker.onmessage = handleWorkerMessage;
+    trackerWorker.onerror = handleWorkerError;
+    send({
+        type: 'init',
+        options: {
+            tracker: workerOptions.tracker,
+            detectRegion: workerOptions.detectRegion,
+            regionDetection: workerOptions.regionDetection
+        }
+    });
+
+    /**
+     * Sends a camera frame to the worker, which reads the transmission region from it
+     * The frame is transferred: an ImageBitmap is closed and a pixel buffer detached afterwards.
+     * @param {ImageBitmap|ImageData|Object} frame - ImageBitmap, ImageData or pixel buffer { width, height, data }
+     * @param {number} [timestamp] - Frame capture time in ms
+     * @param {Object|null} [region=null] - Region to read, or null to let the worker locate it
+     * @returns {boolean} - False if the frame was dropped because the worker is busy
+     */
+    function processFrame(frame, timestamp = Date.now(), region = null) {
+        if (pendingMessages >= workerOptions.maxPendingFrames) {
+            droppedFrames++;
+            if (typeof frame.close === 'function') {
+                frame.close();
+            }
+            return false;
+        }
+
+        if (frame.data) {
+            // ImageData can't be transferred itself, only its pixels
+            const { width, height, data } = frame;
+            send({ type: 'frame', frame: { width, height, data }, timestamp, region }, [data.buffer]);
+        } else {
+            send({ type: 'frame', frame, timestamp, region }, [frame]);
+        }
+        return true;
+    }
+
+    /**
+     * Processes an RGB color value from the camera
+     * @param {number[]} rgb - RGB color array [r, g, b]
+     * @param {number} [timestamp] - Current timestamp in ms
+     */
+    function processColor(rgb, timestamp = Date.now()) {
+        send({ type: 'color', rgb, timestamp });
+    }
+
+    /**
+     * Processes the RGB colors of every grid cell of a frame
+     * @param {number[][]} cells - RGB color per cell [[r, g, b], ...], in row-major order
+     * @param {number} [timestamp] - Current timestamp in ms
+     */
+    function processCells(cells, timestamp = Date.now()) {
+        send({ type: 'cells', cells, timestamp });
+    }
+
+    /**
+     * Resets the tracker state
+     */
+    function reset() {
+        send({ type: 'reset' });
+    }
+
+    /**
+     * Sets a callback for received messages
+     * @param {function} callback - Function to call with decoded message
+     */
+    function onMessage(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        onMessageCallback = callback;
+    }
+
+    /**
+     * Sets a callback for status changes
+     * @param {function} callback - Function to call with status updates
+     */
+    function onStatusChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+
+        onStatusChangeCallback = callback;
+    }
+
+    /**
+     * Updates the tracker options
+     * @param {Object} newOptions - New color tracker options
+     */
+    function setOptions(newOptions) {
+        send({ type: 'setOptions', options: newOptions });
+    }
+
+    /**
+     * Gets the tracker state last reported by the worker
+     * @returns {Object} - Current state information, plus the frames waiting for and dropped by the worker
+     */
+    function getState() {
+        return {
+            ...state,
+            pendingFrames: pendingMessages,
+            droppedFrames
+        };
+    }
+
+    /**
+     * Stops the worker; the tracker can't be used afterwards
+     */
+    function terminate() {
+        trackerWorker.onmessage = null;
+        trackerWorker.onerror = null;
+        trackerWorker.terminate();
+    }
+
+    // Build and return the tracker object
+    return {
+        processFrame,
+        processColor,
+        processCells,
+        reset,
+        onMessage,
+        onStatusChange,
+        setOptions,
+        getState,
+        terminate
+    };
+}
+
+export { createWorkerTracker };
\ No newline at end of file
@@ -1,12 +1,13 @@
 import React, { useEffect, useRef } from 'react';
 import { useSelector } from 'react-redux';
-import { createAnimationController } from '../core/animations/colorSequence';
+import { createAnimationController } from '../animations/colorSequence';
 
 const Navbar = () => {
   const transmissionBarRef = useRef(null);
   const { 
     isTransmitting,
     colorSequence,
+    grid,
     currentIndex,
     frameDuration 
   } = useSelector(state => state.transmission);
@@ -32,12 +33,13 @@ const Navbar = () => {
     if (isTransmitting && colorSequence.length > 0 && animatorRef.current) {
       animatorRef.current
         .setSequence(colorSequence)
+        .setGrid(grid)
         .setFrameDuration(frameDuration)
         .start();
     } else if (!isTransmitting && animatorRef.current) {
       animatorRef.current.stop();
     }
-  }, [isTransmitting, colorSequence, frameDuration]);
+  }, [isTransmitting, colorSequence, grid, frameDuration]);
 
   return (
     <header>
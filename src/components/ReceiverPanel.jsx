@@ -3,6 +3,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { addMessage } from '../store/slices/messageSlice';
 import { createCameraController } from '../capture/camera';
 import { createColorTracker } from '../capture/colorTracker';
+import { createWorkerTracker } from '../capture/workerTracker';
 import { startListening, stopListening } from '../store/slices/receiverSlice';
 import { startAudioReception, stopAudioReception, isAudioReceptionActive, getAudioDecoderState } from '../services/audioService';
 
@@ -10,6 +11,7 @@ const ReceiverPanel = ({ mode }) => {
   const dispatch = useDispatch();
   const { isListening: isVisualListening, lastReceivedMessage } = useSelector(state => state.receiver);
   const { messages } = useSelector(state => state.messages);
+  const { colorThreshold, colorMatching, minChangeTime, samplesRequired } = useSelector(state => state.settings);
   
   const videoRef = useRef(null);
   const [isCameraActive, setIsCameraActive] = useState(false);
@@ -24,8 +26,8 @@ const ReceiverPanel = ({ mode }) => {
   // Setup camera and tracker
   useEffect(() => {
     if (videoRef.current) {
-      // Initialize tracker
-      colorTrackerRef.current = createColorTracker();
+      // Initialize tracker, decoding in a worker where the browser has them so rendering can't drop frames
+      colorTrackerRef.current = typeof Worker !== 'undefined' ? createWorkerTracker() : createColorTracker();
       
       // Set up tracker callbacks
       if (colorTrackerRef.current) {
@@ -49,10 +51,25 @@ const ReceiverPanel = ({ mode }) => {
       }
       if (colorTrackerRef.current) {
         colorTrackerRef.current.reset();
+        if (colorTrackerRef.current.terminate) {
+          colorTrackerRef.current.terminate();
+        }
       }
     };
   }, [dispatch]);
   
+  // Keep the tracker in step with the visual detection settings
+  useEffect(() => {
+    if (colorTrackerRef.current) {
+      colorTrackerRef.current.setOptions({
+        threshold: colorThreshold,
+        colorMatching,
+        minChangeTime,
+        samplesRequired
+      });
+    }
+  }, [colorThreshold, colorMatching, minChangeTime, samplesRequired]);
+  
   // Check audio reception status
   useEffect(() => {
     const checkAudioStatus = () => {
@@ -118,23 +135,34 @@ const ReceiverPanel = ({ mode }) => {
     }
   };
   
-  const processFrame = (frame) => {
+  const processFrame = (frame, timestamp) => {
     if (!cameraControllerRef.current || !colorTrackerRef.current) return;
     
-    // Define region of interest (navbar area)
-    const roi = {
-      x: 0,
-      y: 0,
-      width: videoRef.current.videoWidth,
-      height: Math.min(60, Math.floor(videoRef.current.videoHeight * 0.15)) // Top 15% or 60px
-    };
+    // A worker-backed tracker locates the region and reads its colors itself
+    if (colorTrackerRef.current.processFrame) {
+      colorTrackerRef.current.processFrame(frame, timestamp);
+      return;
+    }
+    
+    // Region of interest: the detected transmission area, or the navbar area until one is found
+    const roi = cameraControllerRef.current.getRegionOfInterest();
+    
+    // Once a frame's header has declared a grid, read every cell
+    const { gridActive, grid } = colorTrackerRef.current.getState();
+    if (gridActive) {
+      const cellColors = cameraControllerRef.current.getGridAverageColors(roi, grid);
+      if (cellColors) {
+        colorTrackerRef.current.processCells(cellColors, timestamp);
+      }
+      return;
+    }
     
     // Get average color in the region
     const avgColor = cameraControllerRef.current.getRegionAverageColor(roi);
     
     if (avgColor && colorTrackerRef.current) {
       // Pass to color tracker
-      colorTrackerRef.current.processColor(avgColor);
+      colorTrackerRef.current.processColor(avgColor, timestamp);
     }
   };
   
@@ -151,8 +179,12 @@ const ReceiverPanel = ({ mode }) => {
       setStatusMessage('Starting camera...');
       setStatusType('info');
       
-      // Initialize camera controller
-      cameraControllerRef.current = createCameraController(videoRef.current);
+      // Initialize camera controller; worker-backed trackers get bitmaps and do the pixel work themselves
+      const workerBacked = Boolean(colorTrackerRef.current && colorTrackerRef.current.processFrame);
+      cameraControllerRef.current = createCameraController(
+        videoRef.current,
+        workerBacked ? { frameFormat: 'bitmap', detectRegion: false } : {}
+      );
       
       // Start camera
       await cameraControllerRef.current.start();
@@ -163,7 +195,8 @@ const ReceiverPanel = ({ mode }) => {
       }
       
       // Set frame processor
-      cameraControllerRef.current.setFrameProcessor(processFrame, 10);
+      // Process every camera frame, with the time it was captured
+      cameraControllerRef.current.setFrameProcessor(processFrame);
       
       setIsCameraActive(true);
       setStatusMessage('Camera active. Point at transmitting navbar.');
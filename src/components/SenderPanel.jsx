@@ -4,7 +4,8 @@ import { startTransmission, stopTransmission, setFrameDuration } from '../store/
 import { updateDraftMessage, clearDraftMessage, addMessage } from '../store/slices/messageSlice';
 import { sendMessageToServer } from '../services/websocket';
 import { stopDictationProcess } from '../services/speech';
-import { encode } from '../core/encoder';
+import { encode, getAdaptiveStrength } from '../core/encoder';
+import { binaryToBytes, hexToBytes } from '../core/binaryHexConverter';
 import { startAudioTransmission, stopAudioTransmission, isAudioTransmissionActive } from '../services/audioService';
 
 const SenderPanel = ({ mode }) => {
@@ -13,6 +14,21 @@ const SenderPanel = ({ mode }) => {
   const { draftMessage } = useSelector(state => state.messages);
   const { isListening, transcript } = useSelector(state => state.speech);
   const { isConnected } = useSelector(state => state.websocket);
+  const {
+    errorCorrectionMode,
+    errorCorrectionStrength,
+    adaptiveErrorCorrection,
+    interleaveDepth,
+    crcType,
+    paletteSize,
+    lineCoding,
+    calibrationPreamble,
+    timingPreamble,
+    gridColumns,
+    gridRows,
+    audioProfile,
+    audioPulseShape
+  } = useSelector(state => state.settings);
   
   const [statusMessage, setStatusMessage] = useState('Ready to transmit');
   const [statusType, setStatusType] = useState('info');
@@ -94,6 +110,17 @@ const SenderPanel = ({ mode }) => {
     return true;
   };
   
+  // Binary and hex input is sent as the bytes it spells out, text as UTF-8
+  const getPayload = () => {
+    if (inputMode === 'binary') {
+      return binaryToBytes(draftMessage.trim());
+    }
+    if (inputMode === 'hex') {
+      return hexToBytes(draftMessage.trim());
+    }
+    return draftMessage;
+  };
+  
   const handleStartTransmission = () => {
     if (!validateInput()) {
       return;
@@ -105,6 +132,8 @@ const SenderPanel = ({ mode }) => {
     }
     
     try {
+      const payload = getPayload();
+      
       // Send to WebSocket server if connected
       if (isConnected) {
         const sent = sendMessageToServer(draftMessage);
@@ -115,10 +144,24 @@ const SenderPanel = ({ mode }) => {
       
       // For visual transmission mode
       if (mode === 'visual') {
-        const { colors } = encode(draftMessage, inputMode);
+        const grid = { columns: gridColumns, rows: gridRows };
+        const { frames, metadata } = encode(payload, {
+          errorCorrectionMode,
+          errorCorrectionStrength: adaptiveErrorCorrection
+            ? getAdaptiveStrength({ paletteSize, grid })
+            : errorCorrectionStrength,
+          interleaveDepth,
+          crcType,
+          paletteSize,
+          lineCoding,
+          calibration: calibrationPreamble,
+          timing: timingPreamble,
+          grid
+        });
         
         dispatch(startTransmission({
-          sequence: colors,
+          sequence: frames,
+          grid: metadata.grid,
         }));
         
         setStatusMessage('Transmitting message visually...');
@@ -140,7 +183,7 @@ const SenderPanel = ({ mode }) => {
         setStatusType('info');
         
         startAudioTransmission(
-          draftMessage,
+          payload,
           dispatch,
           // onComplete callback
           () => {
@@ -153,7 +196,8 @@ const SenderPanel = ({ mode }) => {
             setStatusMessage(`Error: ${errorMessage}`);
             setStatusType('error');
             setIsAudioTransmitting(false);
-          }
+          },
+          { audioProfile, pulseShape: audioPulseShape }
         );
         
         setIsAudioTransmitting(true);
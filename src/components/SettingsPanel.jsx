@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { updateSettings } from '../store/slices/settingsSlice';
 import { TransmissionMode } from '../core/multiMode';
+import { getAdaptiveStrength } from '../core/encoder';
 
 /**
  * Settings panel component for configuring application settings
@@ -14,17 +15,28 @@ const SettingsPanel = () => {
   const [formValues, setFormValues] = useState({
     transmissionMode: TransmissionMode.VISUAL,
     visualEnabled: true,
+    paletteSize: 8,
+    lineCoding: 'none',
+    calibrationPreamble: true,
+    timingPreamble: true,
+    gridColumns: 1,
+    gridRows: 1,
     audioEnabled: true,
+    audioProfile: 'fsk8',
+    audioPulseShape: 'raised-cosine',
     inputMode: 'text',
     errorCorrectionMode: 'hamming',
     errorCorrectionStrength: 1,
     adaptiveErrorCorrection: true,
+    interleaveDepth: 8,
+    crcType: 'crc32',
     autoSelectMode: true,
     maxMessageSize: 1024,
     peerDiscoveryEnabled: true,
     peerRelayEnabled: true,
     diagnosticsEnabled: true,
     colorThreshold: 50,
+    colorMatching: 'rgb',
     minChangeTime: 50,
     samplesRequired: 3
   });
@@ -45,7 +57,7 @@ const SettingsPanel = () => {
     const { name, value, type, checked } = e.target;
     
     // Convert numeric strings to numbers
-    const numberTypes = ['errorCorrectionStrength', 'maxMessageSize', 'colorThreshold', 'minChangeTime', 'samplesRequired'];
+    const numberTypes = ['paletteSize', 'gridColumns', 'gridRows', 'errorCorrectionStrength', 'interleaveDepth', 'maxMessageSize', 'colorThreshold', 'minChangeTime', 'samplesRequired'];
     
     let processedValue;
     if (type === 'checkbox') {
@@ -78,17 +90,28 @@ const SettingsPanel = () => {
     const defaultSettings = {
       transmissionMode: TransmissionMode.VISUAL,
       visualEnabled: true,
+      paletteSize: 8,
+      lineCoding: 'none',
+      calibrationPreamble: true,
+      timingPreamble: true,
+      gridColumns: 1,
+      gridRows: 1,
       audioEnabled: true,
+      audioProfile: 'fsk8',
+      audioPulseShape: 'raised-cosine',
       inputMode: 'text',
       errorCorrectionMode: 'hamming',
       errorCorrectionStrength: 1,
       adaptiveErrorCorrection: true,
+      interleaveDepth: 8,
+      crcType: 'crc32',
       autoSelectMode: true,
       maxMessageSize: 1024,
       peerDiscoveryEnabled: true,
       peerRelayEnabled: true,
       diagnosticsEnabled: true,
       colorThreshold: 50,
+      colorMatching: 'rgb',
       minChangeTime: 50,
       samplesRequired: 3
     };
@@ -146,6 +169,92 @@ const SettingsPanel = () => {
             </label>
           </div>
           
+          <div className="setting-item">
+            <label htmlFor="paletteSize">Color Palette:</label>
+            <select 
+              id="paletteSize" 
+              name="paletteSize" 
+              value={formValues.paletteSize} 
+              onChange={handleInputChange}
+              disabled={!formValues.visualEnabled}
+            >
+              <option value={4}>4 colors (high contrast)</option>
+              <option value={8}>8 colors (standard)</option>
+              <option value={16}>16 colors</option>
+              <option value={64}>64 colors (dense)</option>
+            </select>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="lineCoding">Line Coding:</label>
+            <select 
+              id="lineCoding" 
+              name="lineCoding" 
+              value={formValues.lineCoding} 
+              onChange={handleInputChange}
+              disabled={!formValues.visualEnabled}
+            >
+              <option value="none">None (fastest)</option>
+              <option value="differential">Differential (color change on every symbol)</option>
+            </select>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="calibrationPreamble">
+              <input 
+                type="checkbox" 
+                id="calibrationPreamble" 
+                name="calibrationPreamble" 
+                checked={formValues.calibrationPreamble} 
+                onChange={handleInputChange}
+                disabled={!formValues.visualEnabled}
+              />
+              Send Color Calibration Preamble
+            </label>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="timingPreamble">
+              <input 
+                type="checkbox" 
+                id="timingPreamble" 
+                name="timingPreamble" 
+                checked={formValues.timingPreamble} 
+                onChange={handleInputChange}
+                disabled={!formValues.visualEnabled}
+              />
+              Send Timing Preamble
+            </label>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="gridColumns">Grid Columns (cells per frame across):</label>
+            <input 
+              type="number" 
+              id="gridColumns" 
+              name="gridColumns" 
+              min="1" 
+              max="8" 
+              value={formValues.gridColumns} 
+              onChange={handleInputChange}
+              disabled={!formValues.visualEnabled}
+            />
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="gridRows">Grid Rows (cells per frame down):</label>
+            <input 
+              type="number" 
+              id="gridRows" 
+              name="gridRows" 
+              min="1" 
+              max="8" 
+              value={formValues.gridRows} 
+              onChange={handleInputChange}
+              disabled={!formValues.visualEnabled}
+            />
+          </div>
+          
           <div className="setting-item">
             <label htmlFor="audioEnabled">
               <input 
@@ -158,6 +267,38 @@ const SettingsPanel = () => {
               Enable Audio Channel
             </label>
           </div>
+          
+          <div className="setting-item">
+            <label htmlFor="audioProfile">Audio Modulation:</label>
+            <select 
+              id="audioProfile" 
+              name="audioProfile" 
+              value={formValues.audioProfile} 
+              onChange={handleInputChange}
+              disabled={!formValues.audioEnabled}
+            >
+              <option value="fsk8">8-FSK (3 bits/symbol)</option>
+              <option value="mfsk16">16-MFSK (4 bits/symbol)</option>
+              <option value="mfsk32">32-MFSK (5 bits/symbol)</option>
+              <option value="ofdm">OFDM (16 bits/symbol)</option>
+              <option value="ultrasonic">Near-ultrasonic 8-FSK (17-20 kHz, inaudible)</option>
+            </select>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="audioPulseShape">Audio Pulse Shaping:</label>
+            <select 
+              id="audioPulseShape" 
+              name="audioPulseShape" 
+              value={formValues.audioPulseShape} 
+              onChange={handleInputChange}
+              disabled={!formValues.audioEnabled}
+            >
+              <option value="raised-cosine">Raised cosine (short ramps)</option>
+              <option value="hann">Hann (whole symbol)</option>
+              <option value="none">None (hard keying)</option>
+            </select>
+          </div>
         </div>
         
         <div className="settings-group">
@@ -205,6 +346,7 @@ const SettingsPanel = () => {
               <option value="none">None</option>
               <option value="hamming">Hamming Code</option>
               <option value="reed-solomon">Reed-Solomon</option>
+              <option value="convolutional">Convolutional (Viterbi)</option>
             </select>
           </div>
           
@@ -220,7 +362,14 @@ const SettingsPanel = () => {
               onChange={handleInputChange}
               disabled={formValues.errorCorrectionMode === 'none' || formValues.adaptiveErrorCorrection}
             />
-            <span>{formValues.errorCorrectionStrength}</span>
+            <span>
+              {formValues.adaptiveErrorCorrection
+                ? getAdaptiveStrength({
+                  paletteSize: formValues.paletteSize,
+                  grid: { columns: formValues.gridColumns, rows: formValues.gridRows }
+                })
+                : formValues.errorCorrectionStrength}
+            </span>
           </div>
           
           <div className="setting-item">
@@ -236,6 +385,33 @@ const SettingsPanel = () => {
               Adaptive Error Correction
             </label>
           </div>
+          
+          <div className="setting-item">
+            <label htmlFor="interleaveDepth">Interleave Depth:</label>
+            <input 
+              type="range" 
+              id="interleaveDepth" 
+              name="interleaveDepth" 
+              min="1" 
+              max="16" 
+              value={formValues.interleaveDepth} 
+              onChange={handleInputChange}
+            />
+            <span>{formValues.interleaveDepth === 1 ? 'Off' : formValues.interleaveDepth}</span>
+          </div>
+          
+          <div className="setting-item">
+            <label htmlFor="crcType">Integrity Check:</label>
+            <select 
+              id="crcType" 
+              name="crcType" 
+              value={formValues.crcType} 
+              onChange={handleInputChange}
+            >
+              <option value="crc16">CRC-16-CCITT</option>
+              <option value="crc32">CRC-32</option>
+            </select>
+          </div>
         </div>
         
         <div className="settings-group">
@@ -288,7 +464,22 @@ const SettingsPanel = () => {
             <h4>Visual Detection Settings</h4>
             
             <div className="setting-item">
-              <label htmlFor="colorThreshold">Color Distance Threshold:</label>
+              <label htmlFor="colorMatching">Color Matching:</label>
+              <select 
+                id="colorMatching" 
+                name="colorMatching" 
+                value={formValues.colorMatching} 
+                onChange={handleInputChange}
+              >
+                <option value="rgb">RGB distance</option>
+                <option value="lab">Perceptual (CIELAB ΔE2000)</option>
+              </select>
+            </div>
+            
+            <div className="setting-item">
+              <label htmlFor="colorThreshold">
+                Color Distance Threshold ({formValues.colorMatching === 'lab' ? 'ΔE2000' : 'RGB'}):
+              </label>
               <input 
                 type="number" 
                 id="colorThreshold" 
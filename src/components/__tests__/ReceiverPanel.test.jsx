@@ -37,6 +37,12 @@ describe('ReceiverPanel', () => {
           { id: '2', text: 'Second message', sender: 'Audio Sender', timestamp: '2023-01-01T11:00:00Z' },
           { id: '3', text: 'You (Visual): Test message', sender: 'You (Visual)', timestamp: '2023-01-01T12:00:00Z' }
         ]
+      },
+      settings: {
+        colorThreshold: 50,
+        colorMatching: 'rgb',
+        minChangeTime: 50,
+        samplesRequired: 3
       }
     });
     
@@ -43,6 +43,20 @@ describe('SenderPanel', () => {
       },
       websocket: {
         isConnected: true
+      },
+      settings: {
+        errorCorrectionMode: 'hamming',
+        errorCorrectionStrength: 1,
+        interleaveDepth: 8,
+        crcType: 'crc32',
+        paletteSize: 8,
+        lineCoding: 'none',
+        calibrationPreamble: true,
+        timingPreamble: true,
+        gridColumns: 1,
+        gridRows: 1,
+        audioProfile: 'fsk8',
+        audioPulseShape: 'raised-cosine'
       }
     });
     
@@ -185,7 +199,8 @@ describe('SenderPanel', () => {
       'Test message',
       expect.any(Function),
       expect.any(Function),
-      expect.any(Function)
+      expect.any(Function),
+      { audioProfile: 'fsk8', pulseShape: 'raised-cosine' }
     );
     
     // Status should be updated
@@ -214,6 +229,20 @@ describe('SenderPanel', () => {
       },
       websocket: {
         isConnected: true
+      },
+      settings: {
+        errorCorrectionMode: 'hamming',
+        errorCorrectionStrength: 1,
+        interleaveDepth: 8,
+        crcType: 'crc32',
+        paletteSize: 8,
+        lineCoding: 'none',
+        calibrationPreamble: true,
+        timingPreamble: true,
+        gridColumns: 1,
+        gridRows: 1,
+        audioProfile: 'fsk8',
+        audioPulseShape: 'raised-cosine'
       }
     });
     
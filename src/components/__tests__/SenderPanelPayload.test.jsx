@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { configureStore } from '@reduxjs/toolkit';
+import SenderPanel from '../SenderPanel';
+import { encode } from '../../core/encoder';
+import { startAudioTransmission } from '../../services/audioService';
+import transmissionReducer from '../../store/slices/transmissionSlice';
+import messageReducer from '../../store/slices/messageSlice';
+import speechReducer from '../../store/slices/speechSlice';
+import websocketReducer from '../../store/slices/websocketSlice';
+import settingsReducer from '../../store/slices/settingsSlice';
+
+vi.mock('../../services/audioService', () => ({
+  startAudioTransmission: vi.fn(),
+  stopAudioTransmission: vi.fn(),
+  isAudioTransmissionActive: () => false
+}));
+vi.mock('../../services/websocket', () => ({ sendMessageToServer: vi.fn() }));
+vi.mock('../../services/speech', () => ({ stopDictationProcess: vi.fn() }));
+vi.mock('../../core/encoder', async importOriginal => {
+  const actual = await importOriginal();
+  return { ...actual, encode: vi.fn(actual.encode) };
+});
+
+/**
+ * Renders the sender panel, enters a message in the given input mode and starts the transmission
+ * @param {string} mode - 'visual' or 'audio'
+ * @param {string} inputMode - 'text', 'binary' or 'hex'
+ * @param {string} message - Message as typed
+ * @param {Object} [settings] - Settings to change from their defaults
+ */
+function transmit(mode, inputMode, message, settings = {}) {
+  const store = configureStore({
+    reducer: {
+      transmission: transmissionReducer,
+      messages: messageReducer,
+      speech: speechReducer,
+      websocket: websocketReducer,
+      settings: settingsReducer
+    },
+    preloadedState: {
+      settings: { ...settingsReducer(undefined, { type: 'init' }), ...settings }
+    },
+    middleware: getDefaultMiddleware => getDefaultMiddleware({ serializableCheck: false })
+  });
+  render(
+    <Provider store={store}>
+      <SenderPanel mode={mode} />
+    </Provider>
+  );
+
+  fireEvent.change(screen.getByLabelText('Input mode:'), { target: { value: inputMode } });
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: message } });
+  fireEvent.click(screen.getByText('Start Transmission'));
+}
+
+describe('SenderPanel payloads', () => {
+  beforeEach(() => {
+    encode.mockClear();
+    startAudioTransmission.mockClear();
+  });
+
+  it('should send hex input as the bytes it spells out', () => {
+    transmit('visual', 'hex', 'ff00A5');
+
+    expect(encode).toHaveBeenCalledTimes(1);
+    expect(encode.mock.calls[0][0]).toEqual(new Uint8Array([0xff, 0x00, 0xa5]));
+  });
+
+  it('should send binary input as the bytes it spells out over audio', () => {
+    transmit('audio', 'binary', '0100100011111111');
+
+    expect(startAudioTransmission).toHaveBeenCalledTimes(1);
+    expect(startAudioTransmission.mock.calls[0][0]).toEqual(new Uint8Array([0x48, 0xff]));
+  });
+
+  it('should send text input as text', () => {
+    transmit('visual', 'text', 'Hi ✓');
+
+    expect(encode.mock.calls[0][0]).toBe('Hi ✓');
+  });
+
+  it('should let adaptive error correction pick the strength', () => {
+    const dense = { paletteSize: 64, gridColumns: 2, gridRows: 2, errorCorrectionStrength: 2 };
+
+    transmit('visual', 'text', 'Hi', { ...dense, adaptiveErrorCorrection: true });
+    cleanup();
+    transmit('visual', 'text', 'Hi', { ...dense, adaptiveErrorCorrection: false });
+
+    expect(encode.mock.calls.map(([, options]) => options.errorCorrectionStrength)).toEqual([6, 2]);
+  });
+});
\ No newline at end of file
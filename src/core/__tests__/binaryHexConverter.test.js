@@ -0,0 +1,27 @@
+import { textToBinary, binaryToText, textToHex, hexToText, convertEncoding } from '../binaryHexConverter';
+
+describe('binaryHexConverter', () => {
+    it('should encode text as UTF-8', () => {
+        expect(textToBinary('A')).toBe('01000001');
+        expect(textToHex('é')).toBe('c3a9');
+        expect(textToHex('😀')).toBe('f09f9880');
+    });
+
+    it('should round-trip multi-byte characters', () => {
+        const text = 'Ça va? 日本語 🚀';
+        expect(binaryToText(textToBinary(text))).toBe(text);
+        expect(hexToText(textToHex(text))).toBe(text);
+    });
+
+    it('should convert between binary and hex without going through text', () => {
+        // 0xFF on its own is not valid UTF-8 and must survive the conversion
+        expect(convertEncoding('11111111' + '00000001', 'binary', 'hex')).toBe('ff01');
+        expect(convertEncoding('ff01', 'hex', 'binary')).toBe('1111111100000001');
+    });
+
+    it('should reject malformed input', () => {
+        expect(() => binaryToText('101')).toThrow('Binary string length must be multiple of 8');
+        expect(() => hexToText('abc')).toThrow('Hex string length must be multiple of 2');
+        expect(() => convertEncoding('12', 'binary', 'text')).toThrow('Invalid binary string');
+    });
+});
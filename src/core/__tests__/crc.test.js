@@ -0,0 +1,29 @@
+import { crc16, crc32, computeCrc } from '../crc';
+
+const CHECK_INPUT = new TextEncoder().encode('123456789');
+
+describe('crc', () => {
+    it('should match the CRC-16-CCITT check value', () => {
+        expect(crc16(CHECK_INPUT)).toBe(0x29B1);
+        expect(crc16(new Uint8Array(0))).toBe(0xFFFF);
+    });
+
+    it('should match the CRC-32 check value', () => {
+        expect(crc32(CHECK_INPUT)).toBe(0xCBF43926);
+        expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    it('should detect byte swaps', () => {
+        const swapped = Uint8Array.from(CHECK_INPUT);
+        [swapped[2], swapped[3]] = [swapped[3], swapped[2]];
+
+        expect(crc16(swapped)).not.toBe(crc16(CHECK_INPUT));
+        expect(crc32(swapped)).not.toBe(crc32(CHECK_INPUT));
+    });
+
+    it('should select the CRC by type', () => {
+        expect(computeCrc(CHECK_INPUT, 'crc16')).toBe(0x29B1);
+        expect(computeCrc(CHECK_INPUT, 'crc32')).toBe(0xCBF43926);
+        expect(() => computeCrc(CHECK_INPUT, 'crc8')).toThrow('Unsupported CRC type: crc8');
+    });
+});
@@ -0,0 +1,561 @@
+import {
+    encode,
+    frameColors,
+    COLORS,
+    COLOR_BITS,
+    START_SIGNAL,
+    END_SIGNAL,
+    ESCAPE_SIGNAL,
+    PROTOCOL_VERSION,
+    MAX_PAYLOAD_BYTES,
+    getDetectableColors,
+    CALIBRATION_COLORS,
+    SYNC_SIGNAL,
+    TIMING_PREAMBLE,
+    resolveGrid,
+    getLineCodingAlphabet,
+    getAdaptiveStrength
+} from '../encoder';
+import { getPalette } from '../palettes';
+import { decode, unframeColors, extractMetadata, processReceivedColor, IntegrityError } from '../decoder';
+
+/**
+ * Encodes a message and returns the literal (unescaped) colors between start and end
+ * Corrupting these and re-framing them simulates misread colors on the wire.
+ * @param {string|Uint8Array} message - Message to encode
+ * @param {Object} [options] - Encoding options
+ * @returns {string[]} - Literal frame colors
+ */
+function literalColors(message, options) {
+    return unframeColors(encode(message, options).colors).colors;
+}
+
+/**
+ * Finds the index of the first payload color (after header and sync) in literal frame colors
+ * @param {string[]} colors - Literal frame colors
+ * @returns {number} - Index of the first payload color
+ */
+function firstPayloadIndex(colors) {
+    const metadata = extractMetadata(frameColors(colors));
+    return metadata.calibrationColors + metadata.headerColors + 1;
+}
+
+describe('decoder', () => {
+    describe('error correction pipeline', () => {
+        it('should carry the error correction and interleave settings in the header', () => {
+            const { colors } = encode('Hi', {
+                errorCorrectionMode: 'reed-solomon',
+                errorCorrectionStrength: 3,
+                interleaveDepth: 5
+            });
+            const metadata = extractMetadata(colors);
+
+            expect(metadata).toEqual({
+                version: PROTOCOL_VERSION,
+                length: 2,
+                contentType: 'text',
+                crcType: 'crc32',
+                paletteSize: 8,
+                errorCorrection: { mode: 'reed-solomon', strength: 3 },
+                interleaveDepth: 5,
+                grid: { columns: 1, rows: 1 },
+                lineCoding: 'none',
+                headerBits: 32,
+                calibrationColors: 0,
+                headerColors: Math.ceil(32 / COLOR_BITS)
+            });
+        });
+
+        it.each(['none', 'hamming', 'reed-solomon', 'convolutional'])('should round-trip text with %s mode', mode => {
+            const text = 'Hello, DialUp!';
+            const { colors } = encode(text, { errorCorrectionMode: mode, errorCorrectionStrength: 2 });
+            const result = decode(colors);
+
+            expect(result.text).toBe(text);
+            expect(result.metadata.crcType).toBe('crc32');
+            expect(result.metadata.errorCorrection.mode).toBe(mode);
+            expect(result.metadata.errorCorrection.corrected).toBe(0);
+        });
+
+        it('should make the payload longer as strength increases', () => {
+            const weak = encode('Hello', { errorCorrectionMode: 'reed-solomon', errorCorrectionStrength: 1 });
+            const strong = encode('Hello', { errorCorrectionMode: 'reed-solomon', errorCorrectionStrength: 4 });
+
+            expect(strong.colors.length).toBeGreaterThan(weak.colors.length);
+        });
+
+        it('should correct a corrupted payload color with Reed-Solomon', () => {
+            const text = 'Corrected';
+            const colors = literalColors(text, { errorCorrectionMode: 'reed-solomon', errorCorrectionStrength: 2 });
+
+            // Swap the first payload color (after header and sync) for a different data color
+            const index = firstPayloadIndex(colors);
+            const original = COLORS.indexOf(colors[index]);
+            colors[index] = COLORS[original === 0 ? 3 : 0];
+
+            const result = decode(frameColors(colors));
+            expect(result.text).toBe(text);
+            expect(result.metadata.errorCorrection.corrected).toBeGreaterThan(0);
+        });
+
+        it('should reject a corrupted payload without error correction', () => {
+            const colors = literalColors('Plain', { errorCorrectionMode: 'none' });
+
+            const index = firstPayloadIndex(colors);
+            const original = COLORS.indexOf(colors[index]);
+            colors[index] = COLORS[original === 0 ? 3 : 0];
+
+            expect(() => decode(frameColors(colors))).toThrow('CRC32 verification failed');
+        });
+
+        it.each([1, 4, 16])('should round-trip text at interleave depth %i', depth => {
+            const text = 'Interleaved';
+            const { colors, metadata } = encode(text, { interleaveDepth: depth });
+            expect(metadata.interleaveDepth).toBe(depth);
+
+            const result = decode(colors);
+            expect(result.text).toBe(text);
+            expect(result.metadata.interleaveDepth).toBe(depth);
+        });
+
+        it('should recover a burst of corrupted colors once it is interleaved', () => {
+            const text = 'Burst noise test';
+            const corruptBurst = colors => {
+                // Replace three consecutive payload colors, as a flash or occlusion would
+                const start = firstPayloadIndex(colors) + 6;
+                for (let i = start; i < start + 3; i++) {
+                    const original = COLORS.indexOf(colors[i]);
+                    colors[i] = COLORS[7 - original];
+                }
+                return frameColors(colors);
+            };
+
+            // Hamming can only fix one bit per codeword, so the raw burst defeats it
+            const plain = literalColors(text, { errorCorrectionMode: 'hamming', interleaveDepth: 1 });
+            expect(() => decode(corruptBurst(plain))).toThrow('error correction failed');
+
+            // Interleaving spreads the same burst over many codewords
+            const interleaved = literalColors(text, { errorCorrectionMode: 'hamming', interleaveDepth: 16 });
+            const result = decode(corruptBurst(interleaved));
+            expect(result.text).toBe(text);
+            expect(result.metadata.errorCorrection.corrected).toBeGreaterThan(0);
+        });
+
+        it('should clamp the interleave depth to the header range', () => {
+            expect(encode('Hi', { interleaveDepth: 40 }).metadata.interleaveDepth).toBe(16);
+            expect(encode('Hi', { interleaveDepth: 0 }).metadata.interleaveDepth).toBe(1);
+        });
+
+        it('should raise the adaptive strength with denser symbols', () => {
+            expect(getAdaptiveStrength()).toBe(1);
+            expect(getAdaptiveStrength({ paletteSize: 4 })).toBe(1);
+            expect(getAdaptiveStrength({ paletteSize: 16 })).toBe(2);
+            expect(getAdaptiveStrength({ paletteSize: 64, grid: { columns: 2, rows: 2 } })).toBe(6);
+            expect(getAdaptiveStrength({ paletteSize: 64, grid: { columns: 8, rows: 8 } })).toBe(8);
+
+            const strength = getAdaptiveStrength({ paletteSize: 16, grid: { columns: 2, rows: 1 } });
+            const { colors } = encode('Adaptive', {
+                errorCorrectionMode: 'reed-solomon',
+                errorCorrectionStrength: strength,
+                paletteSize: 16
+            });
+            const result = decode(colors);
+            expect(result.text).toBe('Adaptive');
+            expect(result.metadata.errorCorrection.strength).toBe(3);
+        });
+
+        it('should reject unsupported error correction modes', () => {
+            expect(() => encode('Hi', { errorCorrectionMode: 'turbo' })).toThrow('Unsupported error correction mode');
+        });
+    });
+
+    describe('payload content', () => {
+        it('should round-trip non-Latin-1 text as UTF-8', () => {
+            const text = 'Zoë says 你好 👋';
+            const { colors, metadata } = encode(text);
+            expect(metadata.byteLength).toBe(new TextEncoder().encode(text).length);
+
+            const result = decode(colors);
+            expect(result.text).toBe(text);
+            expect(result.metadata.contentType).toBe('text');
+        });
+
+        it('should round-trip binary payloads untouched', () => {
+            const data = Uint8Array.from([0x00, 0xFF, 0xC3, 0x28, 0x80, 0x7F]);
+            const { colors, metadata } = encode(data, { errorCorrectionMode: 'reed-solomon' });
+            expect(metadata.contentType).toBe('binary');
+
+            const result = decode(colors);
+            expect(result.text).toBeNull();
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.metadata.contentType).toBe('binary');
+        });
+
+        it('should accept an ArrayBuffer as binary data', () => {
+            const data = Uint8Array.from([1, 2, 3]);
+            const result = decode(encode(data.buffer).colors);
+            expect(Array.from(result.data)).toEqual([1, 2, 3]);
+        });
+
+        it('should reject payloads longer than the header can describe', () => {
+            expect(() => encode(new Uint8Array(MAX_PAYLOAD_BYTES + 1)))
+                .toThrow(`Message too long: ${MAX_PAYLOAD_BYTES + 1} bytes`);
+        });
+    });
+
+    describe('versioned header', () => {
+        it('should grow the length field with the payload size', () => {
+            expect(extractMetadata(encode('a'.repeat(127)).colors).headerBits).toBe(32);
+            expect(extractMetadata(encode('a'.repeat(128)).colors).headerBits).toBe(40);
+            expect(extractMetadata(encode('a'.repeat(16384)).colors).headerBits).toBe(48);
+        });
+
+        it('should round-trip multi-kilobyte messages', () => {
+            const text = Array.from({ length: 3000 }, (_, i) => String.fromCharCode(97 + (i % 26))).join('');
+            const { colors } = encode(text, { errorCorrectionMode: 'reed-solomon', errorCorrectionStrength: 2 });
+
+            const result = decode(colors);
+            expect(result.text).toBe(text);
+            expect(result.metadata.expectedLength).toBe(3000);
+            expect(result.metadata.protocolVersion).toBe(PROTOCOL_VERSION);
+        });
+
+        it('should reject frames written with an unknown protocol version', () => {
+            const colors = literalColors('Future');
+
+            // The version nibble starts the header: 001 + 1 reads as version 3
+            colors[0] = COLORS[1];
+
+            expect(() => extractMetadata(frameColors(colors))).toThrow('Unsupported protocol version: 3');
+            expect(() => decode(frameColors(colors))).toThrow('Unsupported protocol version: 3');
+        });
+
+        it('should reject frames that lost payload colors', () => {
+            const colors = literalColors('Truncated message', { errorCorrectionMode: 'none' });
+            const crcStart = colors.length - 1 - Math.ceil(32 / COLOR_BITS);
+
+            // Drop the tail of the payload but keep the CRC colors and final sync
+            const truncated = [...colors.slice(0, crcStart - 16), ...colors.slice(crcStart)];
+
+            expect(() => decode(frameColors(truncated))).toThrow("payload length (11) doesn't match expected length (17)");
+        });
+    });
+
+    describe('payload CRC', () => {
+        it.each([['crc16', 6], ['crc32', 11]])('should carry a %s as trailing colors', (crcType, crcColors) => {
+            const plain = literalColors('CRC', { errorCorrectionMode: 'none', crcType: 'crc16' });
+            const colors = literalColors('CRC', { errorCorrectionMode: 'none', crcType });
+            expect(colors.length - plain.length).toBe(crcColors - 6);
+
+            const result = decode(frameColors(colors));
+            expect(result.text).toBe('CRC');
+            expect(result.metadata.crcType).toBe(crcType);
+        });
+
+        it('should detect swapped payload colors that a sum checksum would miss', () => {
+            const colors = literalColors('Swap', { errorCorrectionMode: 'none', crcType: 'crc16' });
+
+            // Find two adjacent payload colors that differ and swap them
+            let index = firstPayloadIndex(colors);
+            while (colors[index] === colors[index + 1]) index++;
+            [colors[index], colors[index + 1]] = [colors[index + 1], colors[index]];
+
+            expect(() => decode(frameColors(colors))).toThrow('CRC16 verification failed');
+        });
+
+        it('should report which check failed', () => {
+            const colors = literalColors('Burst noise test', { errorCorrectionMode: 'hamming', interleaveDepth: 1 });
+            const start = firstPayloadIndex(colors) + 6;
+
+            // Three flipped colors in a row defeat Hamming without interleaving
+            for (let i = start; i < start + 3; i++) {
+                colors[i] = COLORS[7 - COLORS.indexOf(colors[i])];
+            }
+
+            try {
+                decode(frameColors(colors));
+                throw new Error('decode should have failed');
+            } catch (err) {
+                expect(err).toBeInstanceOf(IntegrityError);
+                expect(err.check).toBe('error-correction');
+            }
+        });
+
+        it('should flag a corrupted CRC even when the payload decodes', () => {
+            const colors = literalColors('Tail', { errorCorrectionMode: 'reed-solomon' });
+            const crcIndex = colors.length - 2;
+            colors[crcIndex] = COLORS[7 - COLORS.indexOf(colors[crcIndex])];
+
+            expect(() => decode(frameColors(colors))).toThrow(expect.objectContaining({ check: 'crc' }));
+        });
+
+        it('should reject unsupported CRC types', () => {
+            expect(() => encode('Hi', { crcType: 'md5' })).toThrow('Unsupported CRC type: md5');
+        });
+    });
+
+    describe('framing', () => {
+        it('should escape control colors inside the frame', () => {
+            // 0x92 0x49 packs to 100 100 100 100 100 1.., i.e. a run of magenta data colors
+            const data = Uint8Array.from([0x92, 0x49, 0x24, 0x00, 0xFF]);
+            const { colors } = encode(data, { errorCorrectionMode: 'none', interleaveDepth: 1 });
+            const body = colors.slice(1, -1);
+
+            expect(colors[0]).toBe(START_SIGNAL);
+            expect(colors[colors.length - 1]).toBe(END_SIGNAL);
+            for (let i = 0; i < body.length; i++) {
+                if (body[i] === ESCAPE_SIGNAL) {
+                    i++; // The escaped color is literal
+                } else {
+                    expect([START_SIGNAL, END_SIGNAL]).not.toContain(body[i]);
+                }
+            }
+
+            expect(Array.from(decode(colors).data)).toEqual(Array.from(data));
+        });
+
+        it('should round-trip payloads of every byte value', () => {
+            const data = Uint8Array.from({ length: 256 }, (_, i) => i);
+            const result = decode(encode(data, { errorCorrectionMode: 'reed-solomon' }).colors);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+        });
+
+        it('should decode a frame received one color at a time', () => {
+            const text = 'Streamed frame with control colors';
+            const { colors } = encode(text);
+
+            let state = null;
+            colors.forEach(color => {
+                state = processReceivedColor(state, color);
+            });
+
+            expect(state.complete).toBe(true);
+            expect(state.error).toBeNull();
+            expect(state.message.text).toBe(text);
+        });
+
+        it('should restart on an unescaped start signal mid-frame', () => {
+            const first = encode('Interrupted').colors;
+            const second = encode('Retried').colors;
+
+            let state = null;
+            [...first.slice(0, 10), ...second].forEach(color => {
+                state = processReceivedColor(state, color);
+            });
+
+            expect(state.message.text).toBe('Retried');
+        });
+    });
+
+    describe('color palettes', () => {
+        it.each([4, 8, 16, 64])('should round-trip with the %i-color palette', paletteSize => {
+            const text = 'Palette check: ünïcödé';
+            const { colors, metadata } = encode(text, { paletteSize });
+            const result = decode(colors);
+
+            expect(metadata.paletteSize).toBe(paletteSize);
+            expect(result.text).toBe(text);
+            expect(result.metadata.paletteSize).toBe(paletteSize);
+        });
+
+        it('should declare the palette in the header', () => {
+            const { colors } = encode('Hi', { paletteSize: 16 });
+            expect(extractMetadata(colors).paletteSize).toBe(16);
+        });
+
+        it('should send only colors a receiver of the declared palette can detect', () => {
+            const data = Uint8Array.from({ length: 64 }, (_, i) => i * 4);
+            const { colors } = encode(data, { paletteSize: 64 });
+            const detectable = getDetectableColors(64);
+
+            colors.forEach(color => expect(detectable).toContain(color));
+            expect(detectable).toEqual(expect.arrayContaining(getPalette(64).colors));
+        });
+
+        it('should shorten the frame as the palette grows', () => {
+            const text = 'a'.repeat(120);
+            const lengths = [4, 8, 16, 64].map(paletteSize => encode(text, { paletteSize }).colors.length);
+
+            expect(lengths[1]).toBeLessThan(lengths[0]);
+            expect(lengths[2]).toBeLessThan(lengths[1]);
+            expect(lengths[3]).toBeLessThan(lengths[2]);
+        });
+
+        it('should reject unsupported palette sizes', () => {
+            expect(() => encode('Hi', { paletteSize: 32 })).toThrow('Unsupported palette size: 32');
+        });
+    });
+
+    describe('calibration preamble', () => {
+        it('should open the frame with every standard color except escape', () => {
+            const colors = literalColors('Calibrate me', { calibration: true });
+
+            expect(colors.slice(0, CALIBRATION_COLORS.length)).toEqual(CALIBRATION_COLORS);
+            expect(CALIBRATION_COLORS[0]).toBe(SYNC_SIGNAL);
+            expect(CALIBRATION_COLORS).toHaveLength(COLORS.length - 1);
+            expect(CALIBRATION_COLORS).not.toContain(ESCAPE_SIGNAL);
+        });
+
+        it.each([4, 8, 64])('should round-trip calibrated frames with the %i-color palette', paletteSize => {
+            const text = 'Calibrated transmission';
+            const { colors, metadata } = encode(text, { calibration: true, paletteSize });
+            const result = decode(colors);
+
+            expect(metadata.calibrated).toBe(true);
+            expect(result.text).toBe(text);
+            expect(result.metadata.calibrated).toBe(true);
+            expect(extractMetadata(colors).calibrationColors).toBe(CALIBRATION_COLORS.length);
+        });
+
+        it('should leave uncalibrated frames unchanged', () => {
+            const plain = encode('Same payload');
+            const calibrated = encode('Same payload', { calibration: true });
+
+            expect(decode(plain.colors).metadata.calibrated).toBe(false);
+            expect(unframeColors(calibrated.colors).colors.slice(CALIBRATION_COLORS.length))
+                .toEqual(unframeColors(plain.colors).colors);
+        });
+    });
+
+    describe('line coding', () => {
+        /**
+         * Finds the payload and CRC colors (between the syncs) of an encoded message
+         * @param {string[]} colors - Transmittable color sequence
+         * @returns {string[]} - Payload and CRC colors as sent
+         */
+        function payloadColors(colors) {
+            const literal = unframeColors(colors).colors;
+            return literal.slice(firstPayloadIndex(literal), literal.length - 1);
+        }
+
+        it('should change color on every payload symbol', () => {
+            const { colors, metadata } = encode('AAAA\0\0\0\0\xff\xff', {
+                lineCoding: 'differential',
+                errorCorrectionMode: 'none',
+                interleaveDepth: 1
+            });
+            const payload = payloadColors(colors);
+
+            expect(metadata.lineCoding).toBe('differential');
+            expect(extractMetadata(colors).lineCoding).toBe('differential');
+            payload.forEach((color, index) => {
+                expect(getLineCodingAlphabet()).toContain(color);
+                if (index > 0) {
+                    expect(color).not.toBe(payload[index - 1]);
+                }
+            });
+        });
+
+        it('should repeat colors without line coding', () => {
+            const payload = payloadColors(encode('AAAA', { errorCorrectionMode: 'none', interleaveDepth: 1 }).colors);
+
+            expect(payload.some((color, index) => index > 0 && color === payload[index - 1])).toBe(true);
+        });
+
+        it.each([4, 8, 16, 64])('should round-trip line-coded frames with the %i-color palette', paletteSize => {
+            const text = 'Line coded: aaaa bbbb 0000';
+            const { colors } = encode(text, { lineCoding: 'differential', paletteSize, calibration: true });
+            const result = decode(colors);
+
+            expect(result.text).toBe(text);
+            expect(result.metadata.lineCoding).toBe('differential');
+        });
+
+        it('should keep control colors out of the alphabet', () => {
+            expect(getLineCodingAlphabet(8)).toEqual(['#FF0000', '#00FF00', '#FFFF00', '#00FFFF']);
+            expect(getLineCodingAlphabet(64)).toHaveLength(60);
+            [START_SIGNAL, END_SIGNAL, SYNC_SIGNAL, ESCAPE_SIGNAL].forEach(color => {
+                expect(getLineCodingAlphabet(16)).not.toContain(color);
+            });
+        });
+
+        it('should reject a repeated color in a line-coded payload', () => {
+            const literal = literalColors('Repeat', { lineCoding: 'differential' });
+            const index = firstPayloadIndex(literal) + 3;
+            literal[index] = literal[index - 1];
+
+            expect(() => decode(frameColors(literal))).toThrow('repeated color in line-coded payload');
+        });
+
+        it('should reject unknown line codings', () => {
+            expect(() => encode('x', { lineCoding: 'manchester' })).toThrow('Unsupported line coding: manchester');
+        });
+    });
+
+    describe('timing preamble', () => {
+        it('should lead the frame with alternating white and black before the start signal', () => {
+            const plain = encode('Timed');
+            const { colors, metadata } = encode('Timed', { timing: true });
+
+            expect(metadata.timed).toBe(true);
+            expect(colors.slice(0, TIMING_PREAMBLE.length)).toEqual(TIMING_PREAMBLE);
+            expect(colors.slice(TIMING_PREAMBLE.length)).toEqual(plain.colors);
+            TIMING_PREAMBLE.forEach((color, index) => {
+                expect(color).toBe(index % 2 === 0 ? SYNC_SIGNAL : ESCAPE_SIGNAL);
+            });
+        });
+
+        it('should decode timed frames, with or without grid', () => {
+            const text = 'Timed transmission';
+            const timed = encode(text, { timing: true, calibration: true });
+            const gridded = encode(text, { timing: true, grid: { columns: 2, rows: 2 } });
+
+            expect(decode(timed.colors).text).toBe(text);
+            expect(gridded.frames.slice(0, TIMING_PREAMBLE.length).map(frame => frame[0])).toEqual(TIMING_PREAMBLE);
+            expect(decode(gridded.colors).metadata.grid).toEqual({ columns: 2, rows: 2 });
+        });
+    });
+
+    describe('grid frames', () => {
+        it('should carry the grid dimensions in the header', () => {
+            const { colors, metadata } = encode('Grid', { grid: { columns: 4, rows: 2 } });
+
+            expect(metadata.grid).toEqual({ columns: 4, rows: 2 });
+            expect(extractMetadata(colors).grid).toEqual({ columns: 4, rows: 2 });
+            expect(decode(colors).metadata.grid).toEqual({ columns: 4, rows: 2 });
+        });
+
+        it('should clamp grid dimensions to 1-8', () => {
+            expect(resolveGrid()).toEqual({ columns: 1, rows: 1 });
+            expect(resolveGrid({ grid: { columns: 12, rows: 0 } })).toEqual({ columns: 8, rows: 1 });
+            expect(resolveGrid({ grid: { columns: 2.6, rows: 3 } })).toEqual({ columns: 3, rows: 3 });
+        });
+
+        it('should send one color per frame without a grid', () => {
+            const { colors, frames, metadata } = encode('Single');
+
+            expect(frames).toEqual(colors.map(color => [color]));
+            expect(metadata.frameCount).toBe(colors.length);
+        });
+
+        it('should fill the grid with each color up to the sync after the header', () => {
+            const { colors, frames } = encode('Grid', { grid: { columns: 4, rows: 2 }, calibration: true });
+            const metadata = extractMetadata(colors);
+            const escapedPreamble = colors.indexOf(SYNC_SIGNAL, 1 + metadata.calibrationColors);
+            const uniformFrames = frames.slice(0, escapedPreamble + 1);
+
+            expect(uniformFrames.map(frame => frame[0])).toEqual(colors.slice(0, escapedPreamble + 1));
+            uniformFrames.forEach(frame => {
+                expect(frame).toHaveLength(8);
+                expect(new Set(frame).size).toBe(1);
+            });
+        });
+
+        it('should send the rest cell by cell, padded with end signals', () => {
+            const text = 'Several colors per frame';
+            const { colors, frames } = encode(text, { grid: { columns: 3, rows: 3 } });
+
+            // Receivers read the uniform frames as one color each, then every cell in order
+            const gridStart = frames.findIndex(frame => new Set(frame).size > 1);
+            const received = [
+                ...frames.slice(0, gridStart).map(frame => frame[0]),
+                ...frames.slice(gridStart).flat()
+            ];
+
+            frames.forEach(frame => expect(frame).toHaveLength(9));
+            expect(received.slice(0, colors.length)).toEqual(colors);
+            expect(received.slice(colors.length).every(color => color === END_SIGNAL)).toBe(true);
+            expect(decode(received).text).toBe(text);
+        });
+    });
+});
\ No newline at end of file
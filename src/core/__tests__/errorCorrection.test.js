@@ -0,0 +1,254 @@
+import { createErrorCorrection } from '../errorCorrection';
+
+/**
+ * Builds a deterministic byte payload for round-trip tests
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Payload
+ */
+function makePayload(length) {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        data[i] = (i * 37 + 11) & 0xFF;
+    }
+    return data;
+}
+
+describe('errorCorrection', () => {
+    describe('hamming mode', () => {
+        it('should round-trip data without errors', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: false });
+            const data = makePayload(32);
+
+            const encoded = ec.encode(data);
+            expect(encoded.length).toBe(64); // One codeword per nibble
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.errors).toBe(0);
+            expect(result.corrected).toBe(0);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should correct any single-bit error in a codeword', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: false });
+            const data = Uint8Array.from([0xA5]);
+
+            for (let bit = 0; bit < 8; bit++) {
+                const encoded = ec.encode(data);
+                encoded[0] ^= 1 << bit;
+
+                const result = ec.decode(encoded);
+                expect(result.data[0]).toBe(0xA5);
+                expect(result.errors).toBe(1);
+                expect(result.corrected).toBe(1);
+                expect(result.valid).toBe(true);
+            }
+        });
+
+        it('should correct one bit error per codeword across the stream', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: false });
+            const data = makePayload(16);
+            const encoded = ec.encode(data);
+
+            for (let i = 0; i < encoded.length; i++) {
+                encoded[i] ^= 1 << (i % 8);
+            }
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(32);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should flag double-bit errors as uncorrectable', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: false });
+            const encoded = ec.encode(Uint8Array.from([0x3C]));
+            encoded[1] ^= 0b00100100;
+
+            const result = ec.decode(encoded);
+            expect(result.errors).toBe(1);
+            expect(result.corrected).toBe(0);
+            expect(result.valid).toBe(false);
+        });
+
+        it('should reject odd-length input', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: false });
+            expect(() => ec.decode(new Uint8Array(3))).toThrow('Invalid Hamming encoded data length');
+        });
+
+        it('should raise strength when errors are frequent in adaptive mode', () => {
+            const ec = createErrorCorrection({ mode: 'hamming', adaptive: true });
+            const encoded = ec.encode(Uint8Array.from([0x11]));
+            encoded[0] ^= 0x02;
+
+            ec.decode(encoded);
+            expect(ec.getStatus().config.strength).toBe(2);
+        });
+    });
+
+    describe('reed-solomon mode', () => {
+        it('should round-trip data without errors', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 1, adaptive: false });
+            const data = makePayload(40);
+
+            const encoded = ec.encode(data);
+            expect(encoded.length).toBe(44); // 4 parity symbols at strength 1
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.errors).toBe(0);
+            expect(result.corrected).toBe(0);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should scale parity symbols with strength', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 3, adaptive: false });
+            expect(ec.encode(makePayload(10)).length).toBe(22);
+        });
+
+        it('should correct byte errors up to half the parity symbols', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 2, adaptive: false });
+            const data = makePayload(60);
+            const encoded = ec.encode(data);
+
+            // 8 parity symbols can correct 4 byte errors
+            [3, 17, 42, 65].forEach(index => {
+                encoded[index] ^= 0x5A;
+            });
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(4);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should correct erasures up to the number of parity symbols', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 1, adaptive: false });
+            const data = makePayload(20);
+            const encoded = ec.encode(data);
+
+            const erasures = [0, 5, 9, 21];
+            erasures.forEach(index => {
+                encoded[index] = 0xFF;
+            });
+
+            const result = ec.decode(encoded, { erasures });
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(4);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should correct a mix of errors and erasures', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 2, adaptive: false });
+            const data = makePayload(30);
+            const encoded = ec.encode(data);
+
+            // 2 erasures + 3 errors: 2 + 2 * 3 = 8 parity symbols
+            encoded[1] = 0;
+            encoded[2] = 0;
+            encoded[10] ^= 0x01;
+            encoded[20] ^= 0x80;
+            encoded[35] ^= 0x33;
+
+            const result = ec.decode(encoded, { erasures: [1, 2] });
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.valid).toBe(true);
+        });
+
+        it('should split long payloads into multiple blocks', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 1, adaptive: false });
+            const data = makePayload(600);
+            const encoded = ec.encode(data);
+
+            // 251 data bytes per block -> 3 blocks of 4 parity symbols
+            expect(encoded.length).toBe(612);
+
+            encoded[100] ^= 0xFF;
+            encoded[300] ^= 0xFF;
+            encoded[600] ^= 0xFF;
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(3);
+        });
+
+        it('should flag blocks with too many errors as invalid', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 1, adaptive: false });
+            const data = makePayload(20);
+            const encoded = ec.encode(data);
+
+            [0, 4, 8, 12].forEach(index => {
+                encoded[index] ^= 0x42;
+            });
+
+            const result = ec.decode(encoded);
+            expect(result.valid).toBe(false);
+            expect(result.errors).toBeGreaterThan(0);
+            expect(result.corrected).toBe(0);
+            expect(result.data.length).toBe(20);
+        });
+
+        it('should feed corrections into the error statistics', () => {
+            const ec = createErrorCorrection({ mode: 'reed-solomon', strength: 1, adaptive: false });
+            const encoded = ec.encode(makePayload(10));
+            encoded[0] ^= 1;
+
+            ec.decode(encoded);
+            expect(ec.getStatus().errorRate).toBe(1);
+        });
+    });
+
+    describe('convolutional mode', () => {
+        it('should round-trip data without errors', () => {
+            const ec = createErrorCorrection({ mode: 'convolutional', adaptive: false });
+            const data = makePayload(24);
+
+            const encoded = ec.encode(data);
+            expect(encoded.length).toBe(50); // Rate 1/2 plus 6 tail bits
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.errors).toBe(0);
+            expect(result.corrected).toBe(0);
+            expect(result.valid).toBe(true);
+        });
+
+        it('should correct scattered bit errors with hard decisions', () => {
+            const ec = createErrorCorrection({ mode: 'convolutional', adaptive: false });
+            const data = makePayload(24);
+            const encoded = ec.encode(data);
+
+            // One flipped bit every 4 bytes is well within the free distance
+            for (let i = 0; i < encoded.length; i += 4) {
+                encoded[i] ^= 0x10;
+            }
+
+            const result = ec.decode(encoded);
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(13);
+        });
+
+        it('should use symbol confidence to recover a burst of errors', () => {
+            const ec = createErrorCorrection({ mode: 'convolutional', adaptive: false });
+            const data = makePayload(16);
+            const encoded = ec.encode(data);
+
+            // Flip every bit of two consecutive 3-bit symbols, as a noise burst would
+            const symbolBits = 3;
+            const burst = [14, 15];
+            burst.forEach(symbol => {
+                for (let bit = symbol * symbolBits; bit < (symbol + 1) * symbolBits; bit++) {
+                    encoded[bit >> 3] ^= 0x80 >> (bit & 7);
+                }
+            });
+
+            // The burst symbols are flagged as unreliable, everything else is trusted
+            const symbolCount = Math.ceil(encoded.length * 8 / symbolBits);
+            const confidence = Array.from({ length: symbolCount }, (_, i) => (burst.includes(i) ? 0.05 : 0.9));
+
+            const result = ec.decode(encoded, { confidence, symbolBits });
+            expect(Array.from(result.data)).toEqual(Array.from(data));
+            expect(result.corrected).toBe(6);
+        });
+    });
+});
\ No newline at end of file
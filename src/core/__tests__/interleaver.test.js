@@ -0,0 +1,43 @@
+import { interleave, deinterleave } from '../interleaver';
+
+describe('interleaver', () => {
+    it('should read rows column by column', () => {
+        expect(interleave('abcdefgh', 2)).toBe('aebfcgdh');
+        expect(interleave([1, 2, 3, 4, 5, 6], 3)).toEqual([1, 3, 5, 2, 4, 6]);
+    });
+
+    it('should round-trip sequences whose length is not a multiple of the depth', () => {
+        const binary = '1101001110100101110';
+        for (let depth = 1; depth <= 16; depth++) {
+            expect(deinterleave(interleave(binary, depth), depth)).toBe(binary);
+        }
+    });
+
+    it('should leave the sequence untouched at depth 1', () => {
+        expect(interleave('10110', 1)).toBe('10110');
+    });
+
+    it('should spread a burst so no two corrupted items stay adjacent', () => {
+        const length = 64;
+        const depth = 8;
+        const positions = Array.from({ length }, (_, i) => i);
+
+        // Corrupt 8 consecutive positions on the wire
+        const received = interleave(positions, depth);
+        const burst = received.slice(20, 28);
+
+        const restored = deinterleave(received, depth);
+        const corrupted = restored
+            .map((value, index) => (burst.includes(value) ? index : -1))
+            .filter(index => index !== -1);
+
+        for (let i = 1; i < corrupted.length; i++) {
+            expect(corrupted[i] - corrupted[i - 1]).toBeGreaterThan(1);
+        }
+    });
+
+    it('should reject invalid depths', () => {
+        expect(() => interleave('1010', 0)).toThrow('Invalid interleave depth: 0');
+        expect(() => deinterleave('1010', 17)).toThrow('Invalid interleave depth: 17');
+    });
+});
@@ -0,0 +1,57 @@
+import { differentialEncode, differentialDecode, differentialLength } from '../lineCoding';
+
+/**
+ * Builds a pseudo-random binary string
+ * @param {number} length - Number of bits
+ * @param {number} seed - Generator seed
+ * @returns {string} - Binary string
+ */
+function randomBinary(length, seed) {
+    let state = seed;
+    let binary = '';
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        binary += state < 1073741824 ? '0' : '1';
+    }
+    return binary;
+}
+
+describe('lineCoding', () => {
+    it.each([3, 4, 12, 60, 64])('should round-trip bitstreams with a %i-symbol alphabet', alphabetSize => {
+        for (let length = 0; length <= 80; length += 7) {
+            const binary = randomBinary(length, length + alphabetSize);
+            const decoded = differentialDecode(differentialEncode(binary, alphabetSize), alphabetSize);
+
+            expect(decoded.slice(0, length)).toBe(binary);
+            expect(decoded.slice(length)).toMatch(/^0*$/);
+            expect(decoded.length - length).toBeLessThan(Math.log2(alphabetSize - 1));
+        }
+    });
+
+    it('should never repeat a symbol, even for constant input', () => {
+        ['0'.repeat(64), '1'.repeat(64)].forEach(binary => {
+            const indexes = differentialEncode(binary, 4, 1);
+
+            expect(indexes[0]).not.toBe(1);
+            indexes.slice(1).forEach((index, i) => expect(index).not.toBe(indexes[i]));
+        });
+    });
+
+    it('should continue from a reference symbol', () => {
+        const first = differentialEncode('101100111000', 12);
+        const second = differentialEncode('0110', 12, first[first.length - 1]);
+
+        expect(differentialDecode(second, 12, first[first.length - 1]).slice(0, 4)).toBe('0110');
+        expect(differentialLength(4, 12)).toBe(second.length);
+    });
+
+    it('should reject repeated symbols', () => {
+        expect(differentialDecode([1, 2, 2, 3], 4)).toBeNull();
+        expect(differentialDecode([0], 4)).toBeNull();
+    });
+
+    it('should reject invalid alphabets', () => {
+        expect(() => differentialEncode('1010', 2)).toThrow('Invalid line coding alphabet size: 2');
+        expect(() => differentialLength(8, 65)).toThrow('Invalid line coding alphabet size: 65');
+    });
+});
\ No newline at end of file
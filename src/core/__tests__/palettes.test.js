@@ -0,0 +1,29 @@
+import { STANDARD_PALETTE, PALETTE_SIZES, getPalette } from '../palettes';
+
+describe('palettes', () => {
+    it.each(PALETTE_SIZES)('should provide %i distinct colors', size => {
+        const palette = getPalette(size);
+
+        expect(palette.colors).toHaveLength(size);
+        expect(new Set(palette.colors).size).toBe(size);
+        expect(2 ** palette.bits).toBe(size);
+        palette.colors.forEach(color => expect(color).toMatch(/^#[0-9A-F]{6}$/));
+    });
+
+    it('should keep the standard palette as the 8-color palette', () => {
+        expect(getPalette(8).colors).toBe(STANDARD_PALETTE);
+    });
+
+    it('should lay out the dense palette as RRGGBB index bits', () => {
+        const { colors } = getPalette(64);
+
+        expect(colors[0]).toBe('#000000');
+        expect(colors[0b110000]).toBe('#FF0000');
+        expect(colors[0b011011]).toBe('#55AAFF');
+        expect(colors[63]).toBe('#FFFFFF');
+    });
+
+    it('should reject unsupported sizes', () => {
+        expect(() => getPalette(32)).toThrow('Unsupported palette size: 32');
+    });
+});
@@ -3,58 +3,112 @@
  * Utilities for converting between text, binary, and hex formats
  */
 
+// Shared UTF-8 codecs; decoding replaces malformed sequences with U+FFFD
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8');
+
 /**
- * Converts text to binary string
- * @param {string} text - Text to convert
- * @returns {string} - Binary representation
+ * Encodes text as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
  */
-function textToBinary(text) {
-    return Array.from(text)
-        .map(char => char.charCodeAt(0).toString(2).padStart(8, '0'))
-        .join('');
+function textToBytes(text) {
+    return utf8Encoder.encode(text);
 }
 
 /**
- * Converts binary string to text
- * @param {string} binary - Binary string (must be multiple of 8 bits)
+ * Decodes UTF-8 bytes to text
+ * @param {Uint8Array} bytes - UTF-8 bytes
  * @returns {string} - Decoded text
  */
-function binaryToText(binary) {
+function bytesToText(bytes) {
+    return utf8Decoder.decode(bytes);
+}
+
+/**
+ * Packs a binary string into bytes
+ * @param {string} binary - Binary string (must be multiple of 8 bits)
+ * @returns {Uint8Array} - Packed bytes
+ */
+function binaryToBytes(binary) {
     if (binary.length % 8 !== 0) {
         throw new Error('Binary string length must be multiple of 8');
     }
 
-    return binary.match(/.{8}/g)
-        .map(byte => String.fromCharCode(parseInt(byte, 2)))
-        .join('');
+    return Uint8Array.from(binary.match(/.{8}/g) || [], byte => parseInt(byte, 2));
 }
 
 /**
- * Converts text to hexadecimal string
- * @param {string} text - Text to convert
- * @returns {string} - Hexadecimal representation
+ * Unpacks bytes into a binary string
+ * @param {Uint8Array} bytes - Bytes to unpack
+ * @returns {string} - Binary string (8 bits per byte)
  */
-function textToHex(text) {
-    return Array.from(text)
-        .map(char => char.charCodeAt(0).toString(16).padStart(2, '0'))
+function bytesToBinary(bytes) {
+    return Array.from(bytes)
+        .map(byte => byte.toString(2).padStart(8, '0'))
         .join('');
 }
 
 /**
- * Converts hexadecimal string to text
+ * Parses a hexadecimal string into bytes
  * @param {string} hex - Hex string (must be multiple of 2 chars)
- * @returns {string} - Decoded text
+ * @returns {Uint8Array} - Parsed bytes
  */
-function hexToText(hex) {
+function hexToBytes(hex) {
     if (hex.length % 2 !== 0) {
         throw new Error('Hex string length must be multiple of 2');
     }
 
-    return hex.match(/.{2}/g)
-        .map(byte => String.fromCharCode(parseInt(byte, 16)))
+    return Uint8Array.from(hex.match(/.{2}/g) || [], byte => parseInt(byte, 16));
+}
+
+/**
+ * Formats bytes as a hexadecimal string
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string} - Hex string (2 lowercase digits per byte)
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(byte => byte.toString(16).padStart(2, '0'))
         .join('');
 }
 
+/**
+ * Converts text to binary string (UTF-8, 8 bits per byte)
+ * @param {string} text - Text to convert
+ * @returns {string} - Binary representation
+ */
+function textToBinary(text) {
+    return bytesToBinary(textToBytes(text));
+}
+
+/**
+ * Converts binary string to text (UTF-8)
+ * @param {string} binary - Binary string (must be multiple of 8 bits)
+ * @returns {string} - Decoded text
+ */
+function binaryToText(binary) {
+    return bytesToText(binaryToBytes(binary));
+}
+
+/**
+ * Converts text to hexadecimal string (UTF-8, 2 digits per byte)
+ * @param {string} text - Text to convert
+ * @returns {string} - Hexadecimal representation
+ */
+function textToHex(text) {
+    return bytesToHex(textToBytes(text));
+}
+
+/**
+ * Converts hexadecimal string to text (UTF-8)
+ * @param {string} hex - Hex string (must be multiple of 2 chars)
+ * @returns {string} - Decoded text
+ */
+function hexToText(hex) {
+    return bytesToText(hexToBytes(hex));
+}
+
 /**
  * Validates if a string is valid binary (contains only 0s and 1s)
  * @param {string} binary - Binary string to validate
@@ -85,32 +139,40 @@ function convertEncoding(content, fromEncoding, toEncoding) {
         return content;
     }
 
-    // First convert to text as intermediate format if needed
-    let textContent = content;
+    // First convert to bytes as intermediate format so binary data survives untouched
+    let bytes;
 
     if (fromEncoding === 'binary') {
         if (!isValidBinary(content)) {
             throw new Error('Invalid binary string');
         }
-        textContent = binaryToText(content);
+        bytes = binaryToBytes(content);
     } else if (fromEncoding === 'hex') {
         if (!isValidHex(content)) {
             throw new Error('Invalid hex string');
         }
-        textContent = hexToText(content);
+        bytes = hexToBytes(content);
+    } else {
+        bytes = textToBytes(content);
     }
 
-    // Then convert from text to target encoding
+    // Then convert from bytes to target encoding
     if (toEncoding === 'binary') {
-        return textToBinary(textContent);
+        return bytesToBinary(bytes);
     } else if (toEncoding === 'hex') {
-        return textToHex(textContent);
+        return bytesToHex(bytes);
     }
 
-    return textContent;
+    return bytesToText(bytes);
 }
 
 export {
+    textToBytes,
+    bytesToText,
+    binaryToBytes,
+    bytesToBinary,
+    hexToBytes,
+    bytesToHex,
     textToBinary,
     binaryToText,
     textToHex,
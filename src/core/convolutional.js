@@ -0,0 +1,117 @@
+/**
+ * DialUp Convolutional Code Module
+ * Rate 1/2, constraint length 7 convolutional encoding with soft-decision Viterbi decoding
+ */
+
+// Code configuration - the standard K=7 (171, 133) octal generator pair
+const CONSTRAINT_LENGTH = 7;
+const GENERATORS = [0o171, 0o133];
+const STATE_COUNT = 1 << (CONSTRAINT_LENGTH - 1);
+const TAIL_BITS = CONSTRAINT_LENGTH - 1; // Zero bits that flush the encoder back to state 0
+
+/**
+ * Computes the parity of the set bits in a value
+ * @param {number} value - Integer value
+ * @returns {number} - 1 if an odd number of bits is set, otherwise 0
+ * @private
+ */
+function parity(value) {
+    let p = 0;
+    for (let v = value; v; v >>= 1) {
+        p ^= v & 1;
+    }
+    return p;
+}
+
+// Output bit pairs for every (state, input bit) transition, indexed by the 7-bit register
+const OUTPUT_TABLE = Array.from({ length: STATE_COUNT * 2 }, (_, register) =>
+    GENERATORS.map(generator => parity(register & generator))
+);
+
+/**
+ * Encodes a bit array, appending the tail bits that return the encoder to state 0
+ * @param {number[]} bits - Input bits (0 or 1)
+ * @returns {number[]} - Encoded bits, two per input bit (including tail)
+ */
+function encodeBits(bits) {
+    const output = [];
+    let state = 0;
+
+    for (const bit of [...bits, ...new Array(TAIL_BITS).fill(0)]) {
+        const register = (bit << (CONSTRAINT_LENGTH - 1)) | state;
+        output.push(...OUTPUT_TABLE[register]);
+        state = register >> 1;
+    }
+
+    return output;
+}
+
+/**
+ * Decodes soft bits with the Viterbi algorithm
+ * Soft values are in [-1, 1]: the sign is the hard decision (positive = 1)
+ * and the magnitude is how reliable it is, so 0 marks a bit as erased
+ * @param {number[]} softBits - Received soft values, two per encoded input bit
+ * @param {number} bitCount - Number of data bits to recover (excluding tail)
+ * @returns {Object} - Decoded bits and the final path metric
+ */
+function viterbiDecode(softBits, bitCount) {
+    const steps = bitCount + TAIL_BITS;
+    if (softBits.length < steps * 2) {
+        throw new Error('Convolutional encoded data too short');
+    }
+
+    let metrics = new Float64Array(STATE_COUNT).fill(-Infinity);
+    metrics[0] = 0;
+    const decisions = [];
+
+    for (let t = 0; t < steps; t++) {
+        const s0 = softBits[t * 2];
+        const s1 = softBits[t * 2 + 1];
+        const nextMetrics = new Float64Array(STATE_COUNT).fill(-Infinity);
+        const stepDecisions = new Uint8Array(STATE_COUNT);
+
+        for (let next = 0; next < STATE_COUNT; next++) {
+            // Both predecessors share the input bit (the top bit of the next state)
+            for (let lowBit = 0; lowBit < 2; lowBit++) {
+                const register = (next << 1) | lowBit;
+                const previous = register & (STATE_COUNT - 1);
+                if (metrics[previous] === -Infinity) {
+                    continue;
+                }
+
+                // Correlation metric: reward soft values that agree with the expected bits
+                const [o0, o1] = OUTPUT_TABLE[register];
+                const metric = metrics[previous] + (o0 ? s0 : -s0) + (o1 ? s1 : -s1);
+
+                if (metric > nextMetrics[next]) {
+                    nextMetrics[next] = metric;
+                    stepDecisions[next] = lowBit;
+                }
+            }
+        }
+
+        metrics = nextMetrics;
+        decisions.push(stepDecisions);
+    }
+
+    // The tail forces the encoder back to state 0, so trace back from there
+    const bits = new Array(steps);
+    let state = 0;
+    for (let t = steps - 1; t >= 0; t--) {
+        bits[t] = state >> (CONSTRAINT_LENGTH - 2);
+        state = ((state << 1) | decisions[t][state]) & (STATE_COUNT - 1);
+    }
+
+    return {
+        bits: bits.slice(0, bitCount),
+        metric: metrics[0]
+    };
+}
+
+export {
+    CONSTRAINT_LENGTH,
+    GENERATORS,
+    TAIL_BITS,
+    encodeBits,
+    viterbiDecode
+};
\ No newline at end of file
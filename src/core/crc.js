@@ -0,0 +1,88 @@
+/**
+ * DialUp CRC Module
+ * Cyclic redundancy checks used to verify payload integrity after error correction
+ */
+
+// Supported CRC types; the index is the header CRC type code
+const CRC_TYPES = ['crc16', 'crc32'];
+
+// Width of each CRC in bits
+const CRC_BITS = {
+    crc16: 16,
+    crc32: 32
+};
+
+// CRC-16-CCITT (polynomial 0x1021, initial value 0xFFFF, not reflected)
+const CRC16_POLYNOMIAL = 0x1021;
+const CRC16_INITIAL = 0xFFFF;
+
+// CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320)
+const CRC32_POLYNOMIAL = 0xEDB88320;
+
+// Per-byte lookup tables
+const CRC16_TABLE = new Uint16Array(256);
+const CRC32_TABLE = new Uint32Array(256);
+
+for (let byte = 0; byte < 256; byte++) {
+    let crc16 = byte << 8;
+    let crc32 = byte;
+
+    for (let bit = 0; bit < 8; bit++) {
+        crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ CRC16_POLYNOMIAL : crc16 << 1;
+        crc32 = crc32 & 1 ? (crc32 >>> 1) ^ CRC32_POLYNOMIAL : crc32 >>> 1;
+    }
+
+    CRC16_TABLE[byte] = crc16 & 0xFFFF;
+    CRC32_TABLE[byte] = crc32 >>> 0;
+}
+
+/**
+ * Computes the CRC-16-CCITT of a byte array
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} - 16-bit CRC
+ */
+function crc16(bytes) {
+    let crc = CRC16_INITIAL;
+    for (const byte of bytes) {
+        crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[((crc >> 8) ^ byte) & 0xFF];
+    }
+    return crc;
+}
+
+/**
+ * Computes the CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} - 32-bit CRC (unsigned)
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = (crc >>> 8) ^ CRC32_TABLE[(crc ^ byte) & 0xFF];
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Computes a CRC of the given type
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {string} type - CRC type ('crc16' or 'crc32')
+ * @returns {number} - CRC value
+ */
+function computeCrc(bytes, type) {
+    switch (type) {
+        case 'crc16':
+            return crc16(bytes);
+        case 'crc32':
+            return crc32(bytes);
+        default:
+            throw new Error(`Unsupported CRC type: ${type}`);
+    }
+}
+
+export {
+    CRC_TYPES,
+    CRC_BITS,
+    crc16,
+    crc32,
+    computeCrc
+};
\ No newline at end of file
@@ -1,157 +1,317 @@
 /**
  * DialUp Decoder Module
- * Handles decoding of color sequences back to text data
+ * Handles decoding of color sequences back to text and binary data
  */
 
-import { COLORS, START_SIGNAL, END_SIGNAL, SYNC_SIGNAL, COLOR_BITS } from './encoder.js';
+import {
+    COLORS,
+    START_SIGNAL,
+    END_SIGNAL,
+    SYNC_SIGNAL,
+    ESCAPE_SIGNAL,
+    CALIBRATION_COLORS,
+    COLOR_BITS,
+    MAX_HEADER_BITS,
+    getLineCodingAlphabet,
+    parseHeaderBinary
+} from './encoder.js';
+import { bytesToText, binaryToBytes } from './binaryHexConverter.js';
+import { createErrorCorrection } from './errorCorrection.js';
+import { deinterleave } from './interleaver.js';
+import { CRC_BITS, computeCrc } from './crc.js';
+import { getPalette } from './palettes.js';
+import { differentialLength, differentialDecode } from './lineCoding.js';
 
 /**
- * Converts a color to its index in the COLORS array
+ * Error raised when a frame fails one of its integrity checks
+ * `check` names the failed check: 'error-correction', 'length' or 'crc'
+ */
+class IntegrityError extends Error {
+    constructor(message, check) {
+        super(message);
+        this.name = 'IntegrityError';
+        this.check = check;
+    }
+}
+
+/**
+ * Converts a color to its index in a palette
  * @param {string} color - The color hex code
+ * @param {string[]} [palette=COLORS] - Palette colors (the standard palette by default)
  * @returns {number} - The index of the color, or -1 if not found
  */
-function colorToIndex(color) {
-    return COLORS.indexOf(color);
+function colorToIndex(color, palette = COLORS) {
+    return palette.indexOf(color);
 }
 
 /**
  * Converts a sequence of color indexes to binary
  * @param {number[]} colorIndexes - Array of color indexes
+ * @param {number} [bitsPerColor=COLOR_BITS] - Bits carried by each color of the palette
  * @returns {string} - Binary string
  */
-function colorIndexesToBinary(colorIndexes) {
+function colorIndexesToBinary(colorIndexes, bitsPerColor = COLOR_BITS) {
     return colorIndexes
-        .map(index => index.toString(2).padStart(COLOR_BITS, '0'))
+        .map(index => index.toString(2).padStart(bitsPerColor, '0'))
         .join('');
 }
 
 /**
- * Converts binary to text
+ * Converts binary to text (UTF-8)
  * @param {string} binary - Binary string
  * @returns {string} - Decoded text
  */
 function binaryToText(binary) {
-    const bytes = [];
+    // Pad a trailing partial byte rather than dropping it
+    const padded = binary.padEnd(Math.ceil(binary.length / 8) * 8, '0');
+    return bytesToText(binaryToBytes(padded));
+}
 
-    // Process binary data in chunks of 8 bits (1 byte)
-    for (let i = 0; i < binary.length; i += 8) {
-        const byte = binary.slice(i, i + 8).padEnd(8, '0');
-        bytes.push(parseInt(byte, 2));
+/**
+ * Verifies the CRC of decoded payload bytes
+ * @param {Uint8Array} bytes - Decoded payload bytes
+ * @param {string} crcType - CRC type from the header ('crc16' or 'crc32')
+ * @param {string} crcBinary - Received CRC bits (padding beyond the CRC width is ignored)
+ * @returns {boolean} - Whether the CRC matches
+ */
+function verifyCrc(bytes, crcType, crcBinary) {
+    const receivedCrc = parseInt(crcBinary.slice(0, CRC_BITS[crcType]), 2);
+    return computeCrc(bytes, crcType) === receivedCrc;
+}
+
+/**
+ * Checks a decoded payload against the frame's error correction result, declared length and CRC
+ * @param {Object} corrected - Codec decode result { data, valid }
+ * @param {Object} header - Parsed header { length, crcType }
+ * @param {string} crcBinary - Received CRC bits
+ * @param {string} [prefix=''] - Prefix for error messages
+ * @returns {Uint8Array} - Payload bytes trimmed to the declared length
+ * @throws {IntegrityError} - Naming the first check that failed
+ */
+function verifyPayload(corrected, header, crcBinary, prefix = '') {
+    if (!corrected.valid) {
+        throw new IntegrityError(`${prefix}error correction failed`, 'error-correction');
+    }
+
+    // A short payload means symbols were lost, which the codec cannot make up for
+    const data = corrected.data.slice(0, header.length);
+    if (data.length !== header.length) {
+        throw new IntegrityError(
+            `${prefix}payload length (${data.length}) doesn't match expected length (${header.length})`,
+            'length'
+        );
+    }
+
+    // The CRC covers the original payload, so it catches anything the codec miscorrected
+    if (!verifyCrc(data, header.crcType, crcBinary)) {
+        throw new IntegrityError(`${prefix}${header.crcType.toUpperCase()} verification failed`, 'crc');
     }
 
-    // Convert bytes to characters
-    return String.fromCharCode(...bytes);
+    return data;
 }
 
 /**
- * Verifies checksum for a sequence of color indexes
- * @param {number[]} colorIndexes - Array of color indexes
- * @param {number} receivedChecksum - The received checksum
- * @returns {boolean} - Whether the checksum is valid
+ * Recovers payload bytes from a received bitstream: de-interleaving, then error correction
+ * @param {string} binary - Received payload binary string
+ * @param {Object} errorCorrection - Error correction settings { mode, strength }
+ * @param {number} interleaveDepth - Interleave depth from the header
+ * @param {Object} [options] - Extra codec decode options
+ * @param {number[]} [options.confidence] - Per-bit reliability (0-1), in received order
+ * @returns {Object} - Codec decode result { data, errors, corrected, valid }
  */
-function verifyChecksum(colorIndexes, receivedChecksum) {
-    const calculatedSum = colorIndexes.reduce((acc, index) => acc + index, 0);
-    const calculatedChecksum = calculatedSum % 8;
+function decodePayload(binary, errorCorrection, interleaveDepth, options = {}) {
+    // Symbol padding past the last whole byte was never interleaved
+    const bitCount = Math.floor(binary.length / 8) * 8;
+    const encodedBinary = deinterleave(binary.slice(0, bitCount), interleaveDepth);
+
+    const decodeOptions = {};
+    if (options.confidence) {
+        decodeOptions.confidence = deinterleave(options.confidence.slice(0, bitCount), interleaveDepth);
+        decodeOptions.symbolBits = 1;
+    }
 
-    return calculatedChecksum === receivedChecksum;
+    const codec = createErrorCorrection({ ...errorCorrection, adaptive: false });
+    return codec.decode(binaryToBytes(encodedBinary), decodeOptions);
 }
 
 /**
- * Extracts the message length from the metadata header
- * @param {string[]} colorSequence - The color sequence to decode
- * @returns {number|null} - The message length or null if invalid
+ * Finds the first frame in a color sequence and removes its escaping
+ * Escaped colors are taken literally, so only unescaped start and end signals delimit the frame.
+ * @param {string[]} colorSequence - Received color sequence
+ * @returns {Object|null} - { colors, complete } with the literal colors between start and end
+ *                          (complete is false if no end signal was found), or null if there is no start signal
  */
-function extractMessageLength(colorSequence) {
-    // Look for start signal and sync signal
+function unframeColors(colorSequence) {
     const startIndex = colorSequence.indexOf(START_SIGNAL);
     if (startIndex === -1) return null;
 
-    const syncIndex = colorSequence.indexOf(SYNC_SIGNAL, startIndex + 1);
-    if (syncIndex === -1) return null;
+    const colors = [];
+    let escaped = false;
+
+    for (let i = startIndex + 1; i < colorSequence.length; i++) {
+        const color = colorSequence[i];
+
+        if (escaped) {
+            colors.push(color);
+            escaped = false;
+        } else if (color === ESCAPE_SIGNAL) {
+            escaped = true;
+        } else if (color === END_SIGNAL) {
+            return { colors, complete: true };
+        } else {
+            colors.push(color);
+        }
+    }
+
+    return { colors, complete: false };
+}
 
-    // Extract metadata colors (between start and sync signals)
-    const metadataColors = colorSequence.slice(startIndex + 1, syncIndex);
-    if (metadataColors.length === 0) return null;
+/**
+ * Extracts the protocol version, message length, error correction and interleave settings from the metadata header
+ * @param {string[]} colorSequence - The color sequence to decode
+ * @returns {Object|null} - Header fields (see parseHeaderBinary) plus `calibrationColors` (length of the
+ *                          calibration preamble, 0 if there is none) and `headerColors`, or null if invalid
+ * @throws {Error} - If the frame was written with an unsupported protocol version
+ */
+function extractMetadata(colorSequence) {
+    // The header starts right after the start signal and the calibration preamble, if any;
+    // its length depends on the length field
+    const frame = unframeColors(colorSequence);
+    if (!frame) return null;
+
+    const calibrationColors = frame.colors[0] === SYNC_SIGNAL ? CALIBRATION_COLORS.length : 0;
+    const maxHeaderColors = Math.ceil(MAX_HEADER_BITS / COLOR_BITS);
+    const metadataColors = frame.colors.slice(calibrationColors, calibrationColors + maxHeaderColors);
+
+    // Convert to indexes and then binary; the header is always in the standard palette,
+    // so stop at the first color outside it (payload colors of a larger palette)
+    const metadataIndexes = metadataColors.map(color => colorToIndex(color));
+    const unknownIndex = metadataIndexes.indexOf(-1);
+    if (unknownIndex !== -1) {
+        metadataIndexes.splice(unknownIndex);
+    }
 
-    // Convert to indexes and then binary
-    const metadataIndexes = metadataColors.map(colorToIndex);
-    const metadataBinary = colorIndexesToBinary(metadataIndexes);
+    // Split into header fields
+    const header = parseHeaderBinary(colorIndexesToBinary(metadataIndexes));
+    if (!header) return null;
 
-    // Extract message length (first 8 bits)
-    const lengthBinary = metadataBinary.slice(0, 8);
-    return parseInt(lengthBinary, 2);
+    return {
+        ...header,
+        calibrationColors,
+        headerColors: Math.ceil(header.headerBits / COLOR_BITS)
+    };
 }
 
 /**
- * Decodes a color sequence back to text
+ * Decodes a color sequence back to its payload
+ * Text payloads are decoded from UTF-8 into `text`; binary payloads leave `text` null.
+ * The raw payload bytes are always returned in `data`.
  * @param {string[]} colorSequence - The color sequence to decode
- * @returns {object} - Decoded data and metadata
+ * @returns {object} - Decoded text, payload bytes and metadata
  */
 function decode(colorSequence) {
     if (!colorSequence || colorSequence.length < 5) {
         throw new Error('Invalid color sequence: too short');
     }
 
-    // Check for start and end signals
-    const startIndex = colorSequence.indexOf(START_SIGNAL);
-    if (startIndex === -1) {
+    // Check for start and end signals and undo the escaping in between
+    const frame = unframeColors(colorSequence);
+    if (!frame) {
         throw new Error('Invalid color sequence: no start signal found');
     }
 
-    const endIndex = colorSequence.lastIndexOf(END_SIGNAL);
-    if (endIndex === -1) {
+    if (!frame.complete) {
         throw new Error('Invalid color sequence: no end signal found');
     }
+    const frameColors = frame.colors;
 
-    // Extract message length from metadata
-    const expectedLength = extractMessageLength(colorSequence);
+    // Extract message length and error correction settings from metadata
+    const metadata = extractMetadata(colorSequence);
+    if (!metadata) {
+        throw new Error('Invalid color sequence: malformed metadata header');
+    }
 
-    // Find the sync signal after metadata
-    const syncIndex = colorSequence.indexOf(SYNC_SIGNAL, startIndex + 1);
-    if (syncIndex === -1) {
+    // The sync signal follows the calibration preamble and the metadata header
+    const syncIndex = metadata.calibrationColors + metadata.headerColors;
+    if (frameColors[syncIndex] !== SYNC_SIGNAL) {
         throw new Error('Invalid color sequence: no sync signal found');
     }
 
-    // Find the sync signal before the end signal
-    const lastSyncIndex = colorSequence.lastIndexOf(SYNC_SIGNAL, endIndex - 1);
-    if (lastSyncIndex === -1) {
+    // The final sync signal comes right before the end signal
+    const lastSyncIndex = frameColors.length - 1;
+    if (lastSyncIndex <= syncIndex || frameColors[lastSyncIndex] !== SYNC_SIGNAL) {
         throw new Error('Invalid color sequence: no final sync signal found');
     }
 
     // Extract data colors (between first sync and last sync)
-    const dataColors = colorSequence.slice(syncIndex + 1, lastSyncIndex);
-
-    // Extract checksum (the color before the last sync)
-    const checksumColor = dataColors.pop();
-    const checksumIndex = colorToIndex(checksumColor);
+    const dataColors = frameColors.slice(syncIndex + 1, lastSyncIndex);
+
+    // The payload and CRC are sent in the palette declared by the header, or in its line coding alphabet
+    const palette = getPalette(metadata.paletteSize);
+    const differential = metadata.lineCoding === 'differential';
+    const alphabet = differential ? getLineCodingAlphabet(metadata.paletteSize) : palette.colors;
+
+    // Extract the CRC (the colors before the last sync)
+    const crcBits = CRC_BITS[metadata.crcType];
+    const crcColorCount = differential
+        ? differentialLength(crcBits, alphabet.length)
+        : Math.ceil(crcBits / palette.bits);
+    if (dataColors.length <= crcColorCount) {
+        throw new Error('Invalid color sequence: payload too short');
+    }
+    const crcColors = dataColors.splice(dataColors.length - crcColorCount);
 
     // Convert colors to indexes
-    const colorIndexes = dataColors.map(colorToIndex);
+    const colorIndexes = dataColors.map(color => colorToIndex(color, alphabet));
+    const crcIndexes = crcColors.map(color => colorToIndex(color, alphabet));
+    if (colorIndexes.includes(-1) || crcIndexes.includes(-1)) {
+        throw new Error('Invalid color sequence: unknown color in payload');
+    }
 
-    // Verify checksum
-    const checksumValid = verifyChecksum(colorIndexes, checksumIndex);
-    if (!checksumValid) {
-        throw new Error('Invalid color sequence: checksum verification failed');
+    // Map the indexes back to bits; differential CRC colors carry on from the last payload color
+    let payloadBinary;
+    let crcBinary;
+    if (differential) {
+        payloadBinary = differentialDecode(colorIndexes, alphabet.length);
+        crcBinary = differentialDecode(crcIndexes, alphabet.length, colorIndexes[colorIndexes.length - 1]);
+        if (payloadBinary === null || crcBinary === null) {
+            throw new Error('Invalid color sequence: repeated color in line-coded payload');
+        }
+    } else {
+        payloadBinary = colorIndexesToBinary(colorIndexes, palette.bits);
+        crcBinary = colorIndexesToBinary(crcIndexes, palette.bits);
     }
 
-    // Convert to binary
-    const binary = colorIndexesToBinary(colorIndexes);
+    // De-interleave and run the payload through the codec named in the header
+    const corrected = decodePayload(payloadBinary, metadata.errorCorrection, metadata.interleaveDepth);
 
-    // Convert binary to text
-    const text = binaryToText(binary);
+    // Check error correction, length and CRC in turn
+    const data = verifyPayload(corrected, metadata, crcBinary, 'Invalid color sequence: ');
+    const expectedLength = metadata.length;
 
-    // Verify length if we have the metadata
-    if (expectedLength !== null && text.length !== expectedLength) {
-        console.warn(`Warning: Decoded text length (${text.length}) doesn't match expected length (${expectedLength})`);
-    }
+    // Only text payloads are interpreted; binary data is handed back untouched
+    const text = metadata.contentType === 'text' ? bytesToText(data) : null;
 
     return {
         text,
+        data,
         metadata: {
-            checksumValid,
+            protocolVersion: metadata.version,
+            crcType: metadata.crcType,
+            paletteSize: metadata.paletteSize,
+            calibrated: metadata.calibrationColors > 0,
+            grid: metadata.grid,
+            lineCoding: metadata.lineCoding,
+            contentType: metadata.contentType,
             expectedLength,
-            actualLength: text.length,
-            colorCount: colorSequence.length
+            actualLength: data.length,
+            colorCount: colorSequence.length,
+            interleaveDepth: metadata.interleaveDepth,
+            errorCorrection: {
+                ...metadata.errorCorrection,
+                errors: corrected.errors,
+                corrected: corrected.corrected
+            }
         }
     };
 }
@@ -167,6 +327,7 @@ function processReceivedColor(state, color) {
     if (!state) {
         state = {
             collecting: false,
+            escaped: false,
             colors: [],
             complete: false,
             message: null,
@@ -174,11 +335,21 @@ function processReceivedColor(state, color) {
         };
     }
 
+    // A color following an escape signal is payload, never a start or end signal
+    if (state.collecting && state.escaped) {
+        return {
+            ...state,
+            escaped: false,
+            colors: [...state.colors, color]
+        };
+    }
+
     // Update state based on the received color
     if (color === START_SIGNAL) {
         // Start new transmission
         return {
             collecting: true,
+            escaped: false,
             colors: [color],
             complete: false,
             message: null,
@@ -194,6 +365,7 @@ function processReceivedColor(state, color) {
                 const result = decode(updatedColors);
                 return {
                     collecting: false,
+                    escaped: false,
                     colors: updatedColors,
                     complete: true,
                     message: result,
@@ -202,6 +374,7 @@ function processReceivedColor(state, color) {
             } catch (err) {
                 return {
                     collecting: false,
+                    escaped: false,
                     colors: updatedColors,
                     complete: true,
                     message: null,
@@ -213,6 +386,7 @@ function processReceivedColor(state, color) {
         // Continue collecting
         return {
             ...state,
+            escaped: color === ESCAPE_SIGNAL,
             colors: updatedColors
         };
     }
@@ -223,9 +397,14 @@ function processReceivedColor(state, color) {
 
 export {
     decode,
+    unframeColors,
+    extractMetadata,
+    decodePayload,
     colorToIndex,
     colorIndexesToBinary,
     binaryToText,
-    verifyChecksum,
+    verifyCrc,
+    verifyPayload,
+    IntegrityError,
     processReceivedColor
 }; 
\ No newline at end of file
@@ -1,50 +1,105 @@
 /**
  * DialUp Encoder Module
- * Handles encoding of text data into color sequences for visual transmission
- */
-
-// Color configuration - 8 colors (representing 3 bits each)
-const COLORS = [
-    '#FF0000', // Red (000)
-    '#00FF00', // Green (001)
-    '#0000FF', // Blue (010)
-    '#FFFF00', // Yellow (011)
-    '#FF00FF', // Magenta (100)
-    '#00FFFF', // Cyan (101)
-    '#FFFFFF', // White (110)
-    '#000000'  // Black (111)
-];
+ * Handles encoding of text and binary data into color sequences for visual transmission
+ */
+
+import { ERROR_CORRECTION_MODES, createErrorCorrection } from './errorCorrection.js';
+import { textToBytes, bytesToBinary } from './binaryHexConverter.js';
+import { CRC_TYPES, CRC_BITS, computeCrc } from './crc.js';
+import { MIN_INTERLEAVE_DEPTH, MAX_INTERLEAVE_DEPTH, interleave } from './interleaver.js';
+import { STANDARD_PALETTE, PALETTE_SIZES, DEFAULT_PALETTE_SIZE, getPalette } from './palettes.js';
+import { LINE_CODINGS, differentialEncode } from './lineCoding.js';
+
+// Color configuration - the standard 8-color palette (3 bits each), used for frame headers
+const COLORS = STANDARD_PALETTE;
 
 // Special signals
-const START_SIGNAL = '#FF00FF'; // Magenta
-const END_SIGNAL = '#0000FF';   // Blue
-const SYNC_SIGNAL = '#FFFFFF';  // White
+const START_SIGNAL = '#FF00FF';  // Magenta
+const END_SIGNAL = '#0000FF';    // Blue
+const SYNC_SIGNAL = '#FFFFFF';   // White
+const ESCAPE_SIGNAL = '#000000'; // Black
+
+// Data colors that would be read as framing signals; inside a frame they are sent
+// as ESCAPE_SIGNAL followed by the literal color. Sync signals sit at fixed positions
+// in the frame, so white needs no escaping.
+const ESCAPED_COLORS = [START_SIGNAL, END_SIGNAL, ESCAPE_SIGNAL];
+const CONTROL_COLORS = [START_SIGNAL, END_SIGNAL, SYNC_SIGNAL, ESCAPE_SIGNAL];
+
+// Calibration preamble - every standard color once, so the receiver can learn how this screen and
+// camera render them. It opens with the sync color, which never starts a header and so marks the
+// preamble. The escape color is left out: it already appears in front of the escaped start and end
+// colors, and an escaped escape would show the same color twice in a row.
+const CALIBRATION_COLORS = [
+    SYNC_SIGNAL,
+    ...COLORS.filter(color => color !== SYNC_SIGNAL && color !== ESCAPE_SIGNAL)
+];
+
+// Timing preamble - white and black alternating ahead of the start signal, from which receivers recover
+// the sender's symbol duration. It comes before the frame, so decoders skip it like any color before a start.
+const TIMING_COLORS = [SYNC_SIGNAL, ESCAPE_SIGNAL];
+const TIMING_PREAMBLE_LENGTH = 12;
+const TIMING_PREAMBLE = Array.from({ length: TIMING_PREAMBLE_LENGTH }, (_, index) => TIMING_COLORS[index % 2]);
 
 // Encoding configuration
 const COLOR_BITS = 3; // 3 bits per color (8 colors)
 
+// Error correction strength range carried in the header
+const MAX_FEC_STRENGTH = 8;
+const DEFAULT_INTERLEAVE_DEPTH = 8;
+const DEFAULT_CRC_TYPE = 'crc32';
+
+// Grid mode: each frame shows up to 8x8 cells of payload colors
+const MIN_GRID_SIZE = 1;
+const MAX_GRID_SIZE = 8;
+
+// Payload content types; the index is the header content type code
+const CONTENT_TYPES = ['text', 'binary'];
+
+// Frame format version written at the start of every header; receivers reject other versions
+const PROTOCOL_VERSION = 1;
+
+// Metadata header layout: protocol version (4 bits), length in bytes (1-3 groups of 8 bits),
+// content type (1 bit), CRC type (1 bit), palette (2 bits), FEC mode (2 bits),
+// FEC strength - 1 (3 bits), interleave depth - 1 (4 bits), grid columns - 1 (3 bits), grid rows - 1 (3 bits),
+// line coding (1 bit)
+const HEADER_VERSION_BITS = 4;
+const HEADER_LENGTH_GROUP_BITS = 8; // Continuation flag + 7 length bits
+const HEADER_MAX_LENGTH_GROUPS = 3;
+const HEADER_CONTENT_TYPE_BITS = 1;
+const HEADER_CRC_TYPE_BITS = 1;
+const HEADER_PALETTE_BITS = 2;
+const HEADER_FEC_MODE_BITS = 2;
+const HEADER_FEC_STRENGTH_BITS = 3;
+const HEADER_INTERLEAVE_BITS = 4;
+const HEADER_GRID_BITS = 3; // Per dimension
+const HEADER_LINE_CODING_BITS = 1;
+const HEADER_FIXED_BITS = HEADER_VERSION_BITS + HEADER_CONTENT_TYPE_BITS + HEADER_CRC_TYPE_BITS +
+    HEADER_PALETTE_BITS + HEADER_FEC_MODE_BITS + HEADER_FEC_STRENGTH_BITS + HEADER_INTERLEAVE_BITS +
+    2 * HEADER_GRID_BITS + HEADER_LINE_CODING_BITS;
+const MAX_HEADER_BITS = HEADER_FIXED_BITS + HEADER_MAX_LENGTH_GROUPS * HEADER_LENGTH_GROUP_BITS;
+const MAX_PAYLOAD_BYTES = 2 ** (HEADER_MAX_LENGTH_GROUPS * (HEADER_LENGTH_GROUP_BITS - 1)) - 1;
+
 /**
- * Converts text to binary representation
+ * Converts text to binary representation (UTF-8)
  * @param {string} text - The text to convert
  * @returns {string} - Binary representation of the text
  */
 function textToBinary(text) {
-    return Array.from(text)
-        .map(char => char.charCodeAt(0).toString(2).padStart(8, '0'))
-        .join('');
+    return bytesToBinary(textToBytes(text));
 }
 
 /**
  * Converts binary data to a sequence of color indexes
  * @param {string} binary - Binary string
+ * @param {number} [bitsPerColor=COLOR_BITS] - Bits carried by each color of the palette
  * @returns {number[]} - Array of color indexes
  */
-function binaryToColorIndexes(binary) {
+function binaryToColorIndexes(binary, bitsPerColor = COLOR_BITS) {
     const colorIndexes = [];
 
-    // Process binary data in chunks of COLOR_BITS
-    for (let i = 0; i < binary.length; i += COLOR_BITS) {
-        const chunk = binary.slice(i, i + COLOR_BITS).padEnd(COLOR_BITS, '0');
+    // Process binary data in chunks of bitsPerColor
+    for (let i = 0; i < binary.length; i += bitsPerColor) {
+        const chunk = binary.slice(i, i + bitsPerColor).padEnd(bitsPerColor, '0');
         const index = parseInt(chunk, 2);
         colorIndexes.push(index);
     }
@@ -53,90 +108,540 @@ function binaryToColorIndexes(binary) {
 }
 
 /**
- * Calculates checksum for a sequence of color indexes
- * @param {number[]} colorIndexes - Array of color indexes
- * @returns {number} - Checksum value (0-7)
+ * Calculates the CRC of the payload bytes as a binary string
+ * @param {Uint8Array} bytes - Payload bytes (before error correction)
+ * @param {string} crcType - CRC type ('crc16' or 'crc32')
+ * @returns {string} - CRC binary string (16 or 32 bits)
+ */
+function createCrcBinary(bytes, crcType) {
+    return computeCrc(bytes, crcType).toString(2).padStart(CRC_BITS[crcType], '0');
+}
+
+/**
+ * Lists every color a receiver may see in a frame using the given palette
+ * (the palette itself plus the control signals)
+ * @param {number} [paletteSize=8] - Payload palette size (4, 8, 16 or 64)
+ * @returns {string[]} - Detectable colors
+ */
+function getDetectableColors(paletteSize = DEFAULT_PALETTE_SIZE) {
+    const { colors } = getPalette(paletteSize);
+    return [...colors, ...CONTROL_COLORS.filter(color => !colors.includes(color))];
+}
+
+/**
+ * Lists the colors differentially line-coded payloads are sent in: the palette without the control colors,
+ * so line-coded payloads never need escaping and never repeat the sync signals around them
+ * @param {number} [paletteSize=8] - Payload palette size (4, 8, 16 or 64)
+ * @returns {string[]} - Line coding alphabet
+ */
+function getLineCodingAlphabet(paletteSize = DEFAULT_PALETTE_SIZE) {
+    return getPalette(paletteSize).colors.filter(color => !CONTROL_COLORS.includes(color));
+}
+
+/**
+ * Escapes the colors inside a frame so none of them can be mistaken for a start or end signal
+ * @param {string[]} colors - Literal frame colors (everything between start and end)
+ * @returns {string[]} - Escaped colors
+ */
+function escapeColors(colors) {
+    const escaped = [];
+    for (const color of colors) {
+        if (ESCAPED_COLORS.includes(color)) {
+            escaped.push(ESCAPE_SIGNAL);
+        }
+        escaped.push(color);
+    }
+    return escaped;
+}
+
+/**
+ * Wraps literal frame colors in start and end signals, escaping them as needed
+ * @param {string[]} colors - Literal frame colors (header, sync, payload, CRC, sync)
+ * @returns {string[]} - Complete transmittable color sequence
+ */
+function frameColors(colors) {
+    return [
+        START_SIGNAL,
+        ...escapeColors(colors),
+        END_SIGNAL
+    ];
+}
+
+/**
+ * Normalizes a message into payload bytes and the content type the header carries
+ * Strings are sent as UTF-8 text; Uint8Array and ArrayBuffer data is sent as raw binary
+ * @param {string|Uint8Array|ArrayBuffer} message - Message to send
+ * @returns {Object} - Payload { bytes, contentType }
+ */
+function resolvePayload(message) {
+    let payload;
+    if (typeof message === 'string') {
+        payload = { bytes: textToBytes(message), contentType: 'text' };
+    } else if (message instanceof Uint8Array) {
+        payload = { bytes: message, contentType: 'binary' };
+    } else if (message instanceof ArrayBuffer) {
+        payload = { bytes: new Uint8Array(message), contentType: 'binary' };
+    } else {
+        throw new Error('Message must be a string, Uint8Array or ArrayBuffer');
+    }
+
+    if (payload.bytes.length === 0) {
+        throw new Error('Cannot encode empty message');
+    }
+    if (payload.bytes.length > MAX_PAYLOAD_BYTES) {
+        throw new Error(`Message too long: ${payload.bytes.length} bytes (maximum ${MAX_PAYLOAD_BYTES})`);
+    }
+
+    return payload;
+}
+
+/**
+ * Normalizes error correction options into a mode and strength the header can carry
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrectionMode] - Error correction mode
+ * @param {number} [options.errorCorrectionStrength=1] - Error correction strength (1-8)
+ * @param {string} [defaultMode='hamming'] - Mode to use when none is given
+ * @returns {Object} - Error correction settings { mode, strength }
+ */
+function resolveErrorCorrection(options = {}, defaultMode = 'hamming') {
+    const mode = options.errorCorrectionMode || defaultMode;
+    if (!ERROR_CORRECTION_MODES.includes(mode)) {
+        throw new Error(`Unsupported error correction mode: ${mode}`);
+    }
+
+    const strength = Math.min(Math.max(Math.round(options.errorCorrectionStrength || 1), 1), MAX_FEC_STRENGTH);
+
+    return { mode, strength };
+}
+
+/**
+ * Validates the requested payload CRC type
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.crcType='crc32'] - CRC type ('crc16' or 'crc32')
+ * @returns {string} - CRC type
+ */
+function resolveCrcType(options = {}) {
+    const crcType = options.crcType || DEFAULT_CRC_TYPE;
+    if (!CRC_TYPES.includes(crcType)) {
+        throw new Error(`Unsupported CRC type: ${crcType}`);
+    }
+
+    return crcType;
+}
+
+/**
+ * Validates the requested payload palette size
+ * @param {Object} [options] - Encoding options
+ * @param {number} [options.paletteSize=8] - Palette size (4, 8, 16 or 64)
+ * @returns {number} - Palette size
+ */
+function resolvePaletteSize(options = {}) {
+    const paletteSize = options.paletteSize !== undefined ? Number(options.paletteSize) : DEFAULT_PALETTE_SIZE;
+    if (!PALETTE_SIZES.includes(paletteSize)) {
+        throw new Error(`Unsupported palette size: ${options.paletteSize}`);
+    }
+
+    return paletteSize;
+}
+
+/**
+ * Picks the error correction strength for adaptive error correction from how dense the symbols are
+ * Each bit per color beyond the 8-color palette and each doubling of the cells per frame is misread
+ * more often, and adds a step of strength
+ * @param {Object} [options] - Encoding options
+ * @param {number} [options.paletteSize=8] - Palette size (4, 8, 16 or 64)
+ * @param {Object} [options.grid] - Cells per frame { columns, rows }
+ * @returns {number} - Error correction strength (1-8)
+ */
+function getAdaptiveStrength(options = {}) {
+    const colorBits = Math.log2(resolvePaletteSize(options));
+    const { columns, rows } = resolveGrid(options);
+    const strength = 1 + Math.max(colorBits - COLOR_BITS, 0) + Math.round(Math.log2(columns * rows));
+
+    return Math.min(strength, MAX_FEC_STRENGTH);
+}
+
+/**
+ * Clamps the requested interleave depth to the range the header can carry
+ * @param {Object} [options] - Encoding options
+ * @param {number} [options.interleaveDepth=8] - Interleave depth (1 disables interleaving)
+ * @returns {number} - Interleave depth (1-16)
+ */
+function resolveInterleaveDepth(options = {}) {
+    const depth = options.interleaveDepth !== undefined ? options.interleaveDepth : DEFAULT_INTERLEAVE_DEPTH;
+    return Math.min(Math.max(Math.round(depth), MIN_INTERLEAVE_DEPTH), MAX_INTERLEAVE_DEPTH);
+}
+
+/**
+ * Clamps the requested grid dimensions to the range the header can carry
+ * @param {Object} [options] - Encoding options
+ * @param {Object} [options.grid] - Grid dimensions { columns, rows } (1x1 sends one color per frame)
+ * @returns {Object} - Grid dimensions { columns, rows }, each 1-8
+ */
+function resolveGrid(options = {}) {
+    const grid = options.grid || {};
+    const clamp = size => Math.min(Math.max(Math.round(size || MIN_GRID_SIZE), MIN_GRID_SIZE), MAX_GRID_SIZE);
+
+    return {
+        columns: clamp(grid.columns),
+        rows: clamp(grid.rows)
+    };
+}
+
+/**
+ * Validates the requested payload line coding
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.lineCoding='none'] - Line coding ('none' or 'differential')
+ * @returns {string} - Line coding
+ */
+function resolveLineCoding(options = {}) {
+    const lineCoding = options.lineCoding || 'none';
+    if (!LINE_CODINGS.includes(lineCoding)) {
+        throw new Error(`Unsupported line coding: ${lineCoding}`);
+    }
+
+    return lineCoding;
+}
+
+/**
+ * Encodes a payload length as big-endian groups of a continuation flag and 7 value bits
+ * Lengths below 128 take one group, below 16384 two, and so on up to HEADER_MAX_LENGTH_GROUPS
+ * @param {number} length - Payload length in bytes
+ * @returns {string} - Length field binary string
+ * @private
+ */
+function encodeLengthField(length) {
+    const valueBits = HEADER_LENGTH_GROUP_BITS - 1;
+    const groups = [];
+    let remaining = length;
+
+    do {
+        groups.unshift(remaining % (1 << valueBits));
+        remaining = Math.floor(remaining / (1 << valueBits));
+    } while (remaining > 0);
+
+    return groups
+        .map((value, index) => (index < groups.length - 1 ? '1' : '0') + value.toString(2).padStart(valueBits, '0'))
+        .join('');
+}
+
+/**
+ * Decodes a length field written by encodeLengthField
+ * @param {string} binary - Binary string starting at the length field
+ * @returns {Object|null} - { length, bits } or null if the field is truncated or too long
+ * @private
+ */
+function decodeLengthField(binary) {
+    let length = 0;
+
+    for (let group = 0; group < HEADER_MAX_LENGTH_GROUPS; group++) {
+        const offset = group * HEADER_LENGTH_GROUP_BITS;
+        const bits = binary.slice(offset, offset + HEADER_LENGTH_GROUP_BITS);
+        if (bits.length < HEADER_LENGTH_GROUP_BITS) {
+            return null;
+        }
+
+        length = length * (1 << (HEADER_LENGTH_GROUP_BITS - 1)) + parseInt(bits.slice(1), 2);
+        if (bits[0] === '0') {
+            return { length, bits: offset + HEADER_LENGTH_GROUP_BITS };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Builds the metadata header bitstream shared by the visual and audio codecs
+ * @param {Object} header - Header fields
+ * @param {number} header.length - Payload length in bytes
+ * @param {string} header.contentType - Payload content type ('text' or 'binary')
+ * @param {string} header.crcType - Payload CRC type ('crc16' or 'crc32')
+ * @param {number} [header.paletteSize=8] - Payload palette size (4, 8, 16 or 64)
+ * @param {Object} header.errorCorrection - Error correction settings { mode, strength }
+ * @param {number} header.interleaveDepth - Interleave depth (1-16)
+ * @param {Object} [header.grid] - Grid dimensions { columns, rows } (1-8 each, 1x1 by default)
+ * @param {string} [header.lineCoding='none'] - Payload line coding ('none' or 'differential')
+ * @returns {string} - Header binary string
  */
-function calculateChecksum(colorIndexes) {
-    const sum = colorIndexes.reduce((acc, index) => acc + index, 0);
-    return sum % 8; // Keep in the range 0-7 for our 8 colors
+function createHeaderBinary({
+    length,
+    contentType,
+    crcType,
+    paletteSize = DEFAULT_PALETTE_SIZE,
+    errorCorrection,
+    interleaveDepth,
+    grid = { columns: 1, rows: 1 },
+    lineCoding = 'none'
+}) {
+    // Protocol version first, so receivers can reject frames they don't understand
+    const versionBinary = PROTOCOL_VERSION.toString(2).padStart(HEADER_VERSION_BITS, '0');
+
+    // Encode payload length as a variable number of byte groups
+    const lengthBinary = encodeLengthField(length);
+
+    // Encode content type so the receiver knows whether to decode UTF-8
+    const contentTypeBinary = CONTENT_TYPES.indexOf(contentType)
+        .toString(2).padStart(HEADER_CONTENT_TYPE_BITS, '0');
+
+    // Encode CRC type so the receiver knows how many trailing CRC bits to expect
+    const crcTypeBinary = CRC_TYPES.indexOf(crcType)
+        .toString(2).padStart(HEADER_CRC_TYPE_BITS, '0');
+
+    // Encode the palette the payload is sent in (the header itself always uses the standard one)
+    const paletteBinary = PALETTE_SIZES.indexOf(paletteSize)
+        .toString(2).padStart(HEADER_PALETTE_BITS, '0');
+
+    // Encode error correction mode and strength so the receiver can pick the same codec
+    const modeBinary = ERROR_CORRECTION_MODES.indexOf(errorCorrection.mode)
+        .toString(2).padStart(HEADER_FEC_MODE_BITS, '0');
+    const strengthBinary = (errorCorrection.strength - 1)
+        .toString(2).padStart(HEADER_FEC_STRENGTH_BITS, '0');
+
+    // Encode interleave depth so the receiver can de-interleave
+    const depthBinary = (interleaveDepth - 1).toString(2).padStart(HEADER_INTERLEAVE_BITS, '0');
+
+    // Encode grid dimensions so the receiver knows how many cells to sample per frame
+    const gridBinary = (grid.columns - 1).toString(2).padStart(HEADER_GRID_BITS, '0') +
+        (grid.rows - 1).toString(2).padStart(HEADER_GRID_BITS, '0');
+
+    // Encode the line coding so the receiver knows how to map payload colors back to bits
+    const lineCodingBinary = LINE_CODINGS.indexOf(lineCoding)
+        .toString(2).padStart(HEADER_LINE_CODING_BITS, '0');
+
+    return versionBinary + lengthBinary + contentTypeBinary + crcTypeBinary + paletteBinary +
+        modeBinary + strengthBinary + depthBinary + gridBinary + lineCodingBinary;
 }
 
 /**
- * Encodes text into a full color sequence including start/end signals and checksum
- * @param {string} text - Text to encode
+ * Parses a metadata header bitstream
+ * Trailing bits after the header are ignored; `headerBits` says where the header ended.
+ * @param {string} binary - Binary string starting at the header
+ * @returns {Object|null} - Header fields { version, length, contentType, crcType, paletteSize, errorCorrection,
+ *                          interleaveDepth, grid, lineCoding, headerBits }
+ *                          or null if the header is truncated or malformed
+ * @throws {Error} - If the frame was written with an unsupported protocol version
+ */
+function parseHeaderBinary(binary) {
+    if (binary.length < HEADER_VERSION_BITS) {
+        return null;
+    }
+
+    const version = parseInt(binary.slice(0, HEADER_VERSION_BITS), 2);
+    if (version !== PROTOCOL_VERSION) {
+        throw new Error(`Unsupported protocol version: ${version}`);
+    }
+
+    const lengthField = decodeLengthField(binary.slice(HEADER_VERSION_BITS));
+    if (!lengthField) {
+        return null;
+    }
+
+    const headerBits = HEADER_FIXED_BITS + lengthField.bits;
+    if (binary.length < headerBits) {
+        return null;
+    }
+
+    let offset = HEADER_VERSION_BITS + lengthField.bits;
+    const readField = bits => {
+        const value = parseInt(binary.slice(offset, offset + bits), 2);
+        offset += bits;
+        return value;
+    };
+
+    const contentType = CONTENT_TYPES[readField(HEADER_CONTENT_TYPE_BITS)];
+    const crcType = CRC_TYPES[readField(HEADER_CRC_TYPE_BITS)];
+    const paletteSize = PALETTE_SIZES[readField(HEADER_PALETTE_BITS)];
+    const mode = ERROR_CORRECTION_MODES[readField(HEADER_FEC_MODE_BITS)];
+    const strength = readField(HEADER_FEC_STRENGTH_BITS) + 1;
+    const interleaveDepth = readField(HEADER_INTERLEAVE_BITS) + 1;
+    const columns = readField(HEADER_GRID_BITS) + 1;
+    const rows = readField(HEADER_GRID_BITS) + 1;
+    const lineCoding = LINE_CODINGS[readField(HEADER_LINE_CODING_BITS)];
+
+    if (!mode) {
+        return null;
+    }
+
+    return {
+        version,
+        length: lengthField.length,
+        contentType,
+        crcType,
+        paletteSize,
+        errorCorrection: { mode, strength },
+        interleaveDepth,
+        grid: { columns, rows },
+        lineCoding,
+        headerBits
+    };
+}
+
+/**
+ * Protects payload bytes for transmission: error correction, then interleaving
+ * @param {Uint8Array} bytes - Payload bytes
+ * @param {Object} errorCorrection - Error correction settings { mode, strength }
+ * @param {number} interleaveDepth - Interleave depth (1-16)
+ * @returns {string} - Binary string ready for symbol mapping
+ */
+function encodePayload(bytes, errorCorrection, interleaveDepth) {
+    const codec = createErrorCorrection({ ...errorCorrection, adaptive: false });
+    return interleave(bytesToBinary(codec.encode(bytes)), interleaveDepth);
+}
+
+/**
+ * Encodes payload bytes into the payload part of a color sequence, including CRC and sync signals
+ * @param {Uint8Array} bytes - Payload bytes
+ * @param {Object} errorCorrection - Error correction settings { mode, strength }
+ * @param {number} interleaveDepth - Interleave depth (1-16)
+ * @param {string} crcType - CRC type ('crc16' or 'crc32')
+ * @param {number} paletteSize - Payload palette size (4, 8, 16 or 64)
+ * @param {string} [lineCoding='none'] - Line coding ('none' or 'differential')
  * @returns {string[]} - Array of color hex codes
  */
-function encodeText(text) {
-    // Convert text to binary
-    const binary = textToBinary(text);
+function encodeBytes(bytes, errorCorrection, interleaveDepth, crcType, paletteSize, lineCoding = 'none') {
+    // Run the bytes through the selected codec and interleave
+    const payloadBinary = encodePayload(bytes, errorCorrection, interleaveDepth);
 
-    // Convert binary to color indexes
-    const colorIndexes = binaryToColorIndexes(binary);
+    // Calculate the CRC over the original payload bytes
+    const crcBinary = createCrcBinary(bytes, crcType);
 
-    // Calculate checksum
-    const checksum = calculateChecksum(colorIndexes);
+    let colorSequence;
+    let crcSequence;
+    if (lineCoding === 'differential') {
+        // Every color differs from the one before it; the CRC carries on from the last payload color
+        const alphabet = getLineCodingAlphabet(paletteSize);
+        const colorIndexes = differentialEncode(payloadBinary, alphabet.length);
+        const crcIndexes = differentialEncode(crcBinary, alphabet.length, colorIndexes[colorIndexes.length - 1]);
 
-    // Convert indexes to actual colors
-    const colorSequence = colorIndexes.map(index => COLORS[index]);
+        colorSequence = colorIndexes.map(index => alphabet[index]);
+        crcSequence = crcIndexes.map(index => alphabet[index]);
+    } else {
+        const palette = getPalette(paletteSize);
 
-    // Add start signal, sync signal, and end signal
-    const fullSequence = [
-        START_SIGNAL,
+        // Convert the protected bitstream and the CRC to color indexes, then to actual colors
+        colorSequence = binaryToColorIndexes(payloadBinary, palette.bits).map(index => palette.colors[index]);
+        crcSequence = binaryToColorIndexes(crcBinary, palette.bits).map(index => palette.colors[index]);
+    }
+
+    // Add sync signals around the payload
+    return [
         SYNC_SIGNAL,
         ...colorSequence,
-        COLORS[checksum], // Add checksum color
-        SYNC_SIGNAL,
-        END_SIGNAL
+        ...crcSequence, // Add CRC colors
+        SYNC_SIGNAL
     ];
-
-    return fullSequence;
 }
 
 /**
  * Creates a metadata header with information about the message
- * @param {string} text - Original text message
+ * @param {Object} header - Header fields (see createHeaderBinary)
  * @returns {string[]} - Color sequence for the metadata header
  */
-function createMetadataHeader(text) {
-    // Encode message length as 8-bit binary (supports up to 255 characters)
-    const lengthBinary = text.length.toString(2).padStart(8, '0');
-
+function createMetadataHeader(header) {
     // Convert to color indexes
-    const lengthColorIndexes = binaryToColorIndexes(lengthBinary);
+    const headerColorIndexes = binaryToColorIndexes(createHeaderBinary(header));
 
     // Convert to colors
-    return lengthColorIndexes.map(index => COLORS[index]);
+    return headerColorIndexes.map(index => COLORS[index]);
 }
 
 /**
- * Encodes text into a complete transmission sequence with metadata
- * @param {string} text - Text to encode
- * @returns {object} - Object containing color sequence and metadata
+ * Lays a transmittable color sequence out as grid frames
+ * Everything up to and including the sync after the header fills the whole grid, so receivers read it
+ * like a single-color frame until they know the grid size. The rest (payload, CRC, final sync and end)
+ * is sent cell by cell in row-major order, with the last frame padded with end signals.
+ * @param {string[]} sequence - Complete transmittable color sequence
+ * @param {number} gridStart - Index of the first color sent cell by cell
+ * @param {Object} grid - Grid dimensions { columns, rows }
+ * @returns {string[][]} - Frames, each an array of columns x rows colors
  */
-function encode(text) {
-    if (!text || text.length === 0) {
+function createGridFrames(sequence, gridStart, grid) {
+    const cellCount = grid.columns * grid.rows;
+    const frames = sequence.slice(0, gridStart).map(color => new Array(cellCount).fill(color));
+
+    for (let i = gridStart; i < sequence.length; i += cellCount) {
+        const cells = sequence.slice(i, i + cellCount);
+        frames.push(cells.concat(new Array(cellCount - cells.length).fill(END_SIGNAL)));
+    }
+
+    return frames;
+}
+
+/**
+ * Encodes a message into a complete transmission sequence with metadata
+ * @param {string|Uint8Array|ArrayBuffer} message - Text (sent as UTF-8) or binary data to encode
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrectionMode='hamming'] - Error correction mode ('none', 'hamming', 'reed-solomon', 'convolutional')
+ * @param {number} [options.errorCorrectionStrength=1] - Error correction strength (1-8)
+ * @param {number} [options.interleaveDepth=8] - Interleave depth (1-16, 1 disables interleaving)
+ * @param {string} [options.crcType='crc32'] - Payload CRC type ('crc16' or 'crc32')
+ * @param {number} [options.paletteSize=8] - Payload palette size (4, 8, 16 or 64)
+ * @param {boolean} [options.calibration=false] - Open the frame with the calibration preamble
+ * @param {boolean} [options.timing=false] - Send the timing preamble ahead of the frame
+ * @param {Object} [options.grid] - Grid dimensions { columns, rows } (1-8 each) for sending several colors per frame
+ * @param {string} [options.lineCoding='none'] - Payload line coding; 'differential' changes color on every symbol
+ * @returns {object} - Object containing color sequence, grid frames and metadata
+ */
+function encode(message, options = {}) {
+    if (!message) {
         throw new Error('Cannot encode empty message');
     }
 
-    const metadataHeader = createMetadataHeader(text);
-    const messageSequence = encodeText(text);
+    const { bytes, contentType } = resolvePayload(message);
+    const errorCorrection = resolveErrorCorrection(options);
+    const interleaveDepth = resolveInterleaveDepth(options);
+    const crcType = resolveCrcType(options);
+    const paletteSize = resolvePaletteSize(options);
+    const calibrated = Boolean(options.calibration);
+    const timed = Boolean(options.timing);
+    const grid = resolveGrid(options);
+    const lineCoding = resolveLineCoding(options);
+    const metadataHeader = createMetadataHeader({
+        length: bytes.length,
+        contentType,
+        crcType,
+        paletteSize,
+        errorCorrection,
+        interleaveDepth,
+        grid,
+        lineCoding
+    });
+    const messageSequence = encodeBytes(bytes, errorCorrection, interleaveDepth, crcType, paletteSize, lineCoding);
 
-    // Combine metadata and message
+    // Combine calibration, metadata and message, then frame with escaped start and end signals
+    const timingPreamble = timed ? TIMING_PREAMBLE : [];
+    const preamble = [...(calibrated ? CALIBRATION_COLORS : []), ...metadataHeader];
     const fullSequence = [
-        START_SIGNAL,
-        ...metadataHeader,
-        SYNC_SIGNAL,
-        ...messageSequence.slice(1) // Skip the START_SIGNAL already included
+        ...timingPreamble,
+        ...frameColors([
+            ...preamble,
+            ...messageSequence
+        ])
     ];
 
+    // Grid cells start after the timing preamble, the start signal, the escaped preamble and header, and the sync
+    const gridStart = timingPreamble.length + escapeColors(preamble).length + 2;
+    const frames = createGridFrames(fullSequence, gridStart, grid);
+
     return {
         colors: fullSequence,
+        frames,
         metadata: {
-            originalText: text,
-            textLength: text.length,
-            binaryLength: textToBinary(text).length,
-            colorCount: messageSequence.length
+            originalText: contentType === 'text' ? message : null,
+            textLength: contentType === 'text' ? message.length : null,
+            byteLength: bytes.length,
+            binaryLength: bytes.length * 8,
+            contentType,
+            colorCount: fullSequence.length,
+            crcType,
+            paletteSize,
+            calibrated,
+            timed,
+            grid,
+            lineCoding,
+            frameCount: frames.length,
+            errorCorrection,
+            interleaveDepth
         }
     };
 }
@@ -146,9 +651,36 @@ export {
     START_SIGNAL,
     END_SIGNAL,
     SYNC_SIGNAL,
+    ESCAPE_SIGNAL,
+    ESCAPED_COLORS,
+    CALIBRATION_COLORS,
+    TIMING_COLORS,
+    TIMING_PREAMBLE,
     COLOR_BITS,
+    CONTENT_TYPES,
+    PROTOCOL_VERSION,
+    MAX_GRID_SIZE,
+    MAX_HEADER_BITS,
+    MAX_PAYLOAD_BYTES,
     encode,
+    escapeColors,
+    frameColors,
+    createGridFrames,
+    getDetectableColors,
+    getLineCodingAlphabet,
     textToBinary,
     binaryToColorIndexes,
-    calculateChecksum
+    createCrcBinary,
+    createMetadataHeader,
+    createHeaderBinary,
+    parseHeaderBinary,
+    encodePayload,
+    resolvePayload,
+    resolveErrorCorrection,
+    getAdaptiveStrength,
+    resolveInterleaveDepth,
+    resolveCrcType,
+    resolvePaletteSize,
+    resolveGrid,
+    resolveLineCoding
 }; 
\ No newline at end of file
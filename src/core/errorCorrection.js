@@ -3,10 +3,101 @@
  * Provides error detection and correction capabilities
  */
 
+import { MAX_BLOCK_LENGTH, ReedSolomonError, encodeBlock, decodeBlock } from './reedSolomon.js';
+import { TAIL_BITS, encodeBits, viterbiDecode } from './convolutional.js';
+
+// Supported error correction modes (the index is the mode's code in frame headers)
+const ERROR_CORRECTION_MODES = ['none', 'hamming', 'reed-solomon', 'convolutional'];
+
+// Hamming codeword decode outcomes
+const HAMMING_OK = 0;
+const HAMMING_CORRECTED = 1;
+const HAMMING_UNCORRECTABLE = 2;
+
+/**
+ * Encodes a nibble as an extended Hamming(8,4) codeword
+ * Bit n of the result holds codeword position n: position 0 is the overall parity,
+ * positions 1, 2 and 4 are Hamming parity bits and 3, 5, 6, 7 carry the data bits
+ * @param {number} nibble - 4-bit value
+ * @returns {number} - 8-bit codeword
+ * @private
+ */
+function hammingEncodeNibble(nibble) {
+    const d1 = (nibble >> 3) & 1;
+    const d2 = (nibble >> 2) & 1;
+    const d3 = (nibble >> 1) & 1;
+    const d4 = nibble & 1;
+
+    const p1 = d1 ^ d2 ^ d4;
+    const p2 = d1 ^ d3 ^ d4;
+    const p3 = d2 ^ d3 ^ d4;
+
+    const codeword = (p1 << 1) | (p2 << 2) | (d1 << 3) | (p3 << 4) | (d2 << 5) | (d3 << 6) | (d4 << 7);
+    return codeword | (countBits(codeword) & 1);
+}
+
+/**
+ * Decodes an extended Hamming(8,4) codeword
+ * @param {number} codeword - 8-bit received codeword
+ * @returns {Object} - Recovered nibble and decode status
+ * @private
+ */
+function hammingDecodeCodeword(codeword) {
+    const bit = position => (codeword >> position) & 1;
+
+    // The syndrome is the position of a single flipped bit (0 if none of 1-7)
+    const syndrome =
+        (bit(1) ^ bit(3) ^ bit(5) ^ bit(7)) |
+        ((bit(2) ^ bit(3) ^ bit(6) ^ bit(7)) << 1) |
+        ((bit(4) ^ bit(5) ^ bit(6) ^ bit(7)) << 2);
+    const parityError = countBits(codeword) & 1;
+
+    let status = HAMMING_OK;
+    let corrected = codeword;
+
+    if (syndrome !== 0 && parityError) {
+        // Single error within positions 1-7
+        corrected ^= 1 << syndrome;
+        status = HAMMING_CORRECTED;
+    } else if (syndrome === 0 && parityError) {
+        // Single error in the overall parity bit - data is intact
+        status = HAMMING_CORRECTED;
+    } else if (syndrome !== 0) {
+        // Even number of flips with a non-zero syndrome - double error
+        status = HAMMING_UNCORRECTABLE;
+    }
+
+    const nibble =
+        (((corrected >> 3) & 1) << 3) |
+        (((corrected >> 5) & 1) << 2) |
+        (((corrected >> 6) & 1) << 1) |
+        ((corrected >> 7) & 1);
+
+    return { nibble, status };
+}
+
+/**
+ * Counts the set bits in a byte
+ * @param {number} value - Byte value
+ * @returns {number} - Number of set bits
+ * @private
+ */
+function countBits(value) {
+    let count = 0;
+    for (let v = value; v; v >>= 1) {
+        count += v & 1;
+    }
+    return count;
+}
+
+// Lookup tables - 16 nibble codewords and all 256 received bytes
+const HAMMING_ENCODE_TABLE = Array.from({ length: 16 }, (_, nibble) => hammingEncodeNibble(nibble));
+const HAMMING_DECODE_TABLE = Array.from({ length: 256 }, (_, codeword) => hammingDecodeCodeword(codeword));
+
 /**
  * Creates an error correction module with configurable algorithms
  * @param {Object} options - Configuration options
- * @param {string} [options.mode='hamming'] - Error correction mode ('none', 'hamming', 'reed-solomon')
+ * @param {string} [options.mode='hamming'] - Error correction mode ('none', 'hamming', 'reed-solomon', 'convolutional')
  * @param {number} [options.strength=1] - Error correction strength (higher = more overhead but better correction)
  * @param {boolean} [options.adaptive=true] - Whether to adaptively adjust error correction based on channel quality
  * @returns {Object} - Error correction module
@@ -82,25 +173,22 @@ function createErrorCorrection(options = {}) {
     }
 
     /**
-     * Encodes data with Hamming code for error correction
+     * Encodes data with an extended Hamming(8,4) SECDED code
+     * Each byte of the bitstream is split into two nibbles, each becoming one codeword byte
      * @param {Uint8Array} data - Data to encode
      * @returns {Uint8Array} - Encoded data with Hamming codes
      */
     function hammingEncode(data) {
-        // For simplicity, we'll just add parity bits
-        // In a real implementation, this would be a proper Hamming code
         const encoded = new Uint8Array(data.length * 2);
         for (let i = 0; i < data.length; i++) {
-            // Copy original byte
-            encoded[i * 2] = data[i];
-            // Calculate parity byte
-            encoded[i * 2 + 1] = calculateParity(data[i], config.strength);
+            encoded[i * 2] = HAMMING_ENCODE_TABLE[data[i] >> 4];
+            encoded[i * 2 + 1] = HAMMING_ENCODE_TABLE[data[i] & 0x0F];
         }
         return encoded;
     }
 
     /**
-     * Decodes Hamming-encoded data and corrects errors
+     * Decodes Hamming-encoded data, correcting single-bit and flagging double-bit errors
      * @param {Uint8Array} encoded - Hamming-encoded data
      * @returns {Object} - Decoded data and error information
      */
@@ -111,19 +199,22 @@ function createErrorCorrection(options = {}) {
 
         const decoded = new Uint8Array(encoded.length / 2);
         let errorCount = 0;
+        let correctedCount = 0;
 
         for (let i = 0; i < decoded.length; i++) {
-            const dataByte = encoded[i * 2];
-            const parityByte = encoded[i * 2 + 1];
-            const expectedParity = calculateParity(dataByte, config.strength);
-
-            if (parityByte !== expectedParity) {
-                errorCount++;
-                // In a proper implementation, this would attempt to correct the error
-                // For simplicity, we'll just use the data byte as-is
-            }
-
-            decoded[i] = dataByte;
+            const high = HAMMING_DECODE_TABLE[encoded[i * 2]];
+            const low = HAMMING_DECODE_TABLE[encoded[i * 2 + 1]];
+
+            [high, low].forEach(({ status }) => {
+                if (status !== HAMMING_OK) {
+                    errorCount++;
+                }
+                if (status === HAMMING_CORRECTED) {
+                    correctedCount++;
+                }
+            });
+
+            decoded[i] = (high.nibble << 4) | low.nibble;
         }
 
         updateErrorStats(errorCount > 0);
@@ -131,97 +222,168 @@ function createErrorCorrection(options = {}) {
         return {
             data: decoded,
             errors: errorCount,
-            corrected: 0, // In a real implementation, this would be the number of corrected errors
-            valid: true
+            corrected: correctedCount,
+            valid: errorCount === correctedCount
         };
     }
 
     /**
-     * Calculates a parity byte for Hamming code
-     * @param {number} byte - Input byte
-     * @param {number} strength - Error correction strength
-     * @returns {number} - Parity byte
+     * Gets the number of Reed-Solomon parity symbols for the current strength
+     * @returns {number} - Parity symbols per block (corrects half as many byte errors)
      * @private
      */
-    function calculateParity(byte, strength) {
-        // Simple implementation - for a real Hamming code, this would be more complex
-        let parity = byte;
-
-        // Apply additional parity operations based on strength
-        for (let i = 0; i < strength; i++) {
-            parity = (parity ^ (parity << 1)) & 0xFF;
-        }
-
-        return parity;
+    function getParitySymbols() {
+        return Math.min(config.strength * 4, 64);
     }
 
     /**
-     * Encodes data with Reed-Solomon algorithm (simplified)
+     * Encodes data with a GF(256) Reed-Solomon code
+     * Data is split into blocks of up to 255 - paritySymbols bytes, each followed by its parity
      * @param {Uint8Array} data - Data to encode
      * @returns {Uint8Array} - Reed-Solomon encoded data
      */
     function reedSolomonEncode(data) {
-        // In a real implementation, this would be a proper Reed-Solomon encoding
-        // For simplicity, we'll append checksum bytes proportional to strength
-        const checksumLength = Math.min(32, data.length / 4 * config.strength);
-        const encoded = new Uint8Array(data.length + checksumLength);
+        const paritySymbols = getParitySymbols();
+        const blockDataLength = MAX_BLOCK_LENGTH - paritySymbols;
+        const blockCount = Math.ceil(data.length / blockDataLength);
+        const encoded = new Uint8Array(data.length + blockCount * paritySymbols);
+
+        for (let block = 0; block < blockCount; block++) {
+            const chunk = data.subarray(block * blockDataLength, (block + 1) * blockDataLength);
+            encoded.set(encodeBlock(chunk, paritySymbols), block * MAX_BLOCK_LENGTH);
+        }
 
-        // Copy original data
-        encoded.set(data);
+        return encoded;
+    }
 
-        // Calculate and append checksums
-        let checksum = 0;
-        for (let i = 0; i < data.length; i++) {
-            checksum = ((checksum << 8) ^ data[i]) & 0xFFFFFFFF;
-            if (checksum > 0x80000000) {
-                checksum = (checksum ^ 0x104C11DB7) & 0xFFFFFFFF;
+    /**
+     * Decodes Reed-Solomon encoded data and corrects errors and erasures
+     * @param {Uint8Array} encoded - Reed-Solomon encoded data
+     * @param {number[]} [erasures=[]] - Indexes into the encoded data of bytes known to be unreliable
+     * @returns {Object} - Decoded data and error information
+     */
+    function reedSolomonDecode(encoded, erasures = []) {
+        const paritySymbols = getParitySymbols();
+        const blockCount = Math.ceil(encoded.length / MAX_BLOCK_LENGTH);
+        const blocks = [];
+        let errorCount = 0;
+        let correctedCount = 0;
+        let valid = true;
+
+        for (let block = 0; block < blockCount; block++) {
+            const offset = block * MAX_BLOCK_LENGTH;
+            const codeword = encoded.subarray(offset, offset + MAX_BLOCK_LENGTH);
+            const blockErasures = erasures
+                .filter(index => index >= offset && index < offset + codeword.length)
+                .map(index => index - offset);
+
+            try {
+                const result = decodeBlock(codeword, paritySymbols, blockErasures);
+                blocks.push(result.data);
+                errorCount += result.corrected;
+                correctedCount += result.corrected;
+            } catch (error) {
+                if (!(error instanceof ReedSolomonError)) {
+                    throw error;
+                }
+
+                // Uncorrectable block - pass the systematic bytes through untouched
+                blocks.push(codeword.slice(0, Math.max(0, codeword.length - paritySymbols)));
+                errorCount += Math.max(1, blockErasures.length);
+                valid = false;
             }
         }
 
-        // Distribute checksum across multiple bytes
-        for (let i = 0; i < checksumLength; i++) {
-            encoded[data.length + i] = (checksum >> (i * 8)) & 0xFF;
+        const decoded = new Uint8Array(blocks.reduce((total, b) => total + b.length, 0));
+        let position = 0;
+        for (const b of blocks) {
+            decoded.set(b, position);
+            position += b.length;
         }
 
+        updateErrorStats(errorCount > 0);
+
+        return {
+            data: decoded,
+            errors: errorCount,
+            corrected: correctedCount,
+            valid
+        };
+    }
+
+    /**
+     * Encodes data with a rate 1/2, K=7 convolutional code
+     * The tail bits make the output 2 bytes longer than twice the input
+     * @param {Uint8Array} data - Data to encode
+     * @returns {Uint8Array} - Convolutionally encoded data
+     */
+    function convolutionalEncode(data) {
+        const bits = [];
+        for (const byte of data) {
+            for (let bit = 7; bit >= 0; bit--) {
+                bits.push((byte >> bit) & 1);
+            }
+        }
+
+        const encodedBits = encodeBits(bits);
+        const encoded = new Uint8Array(Math.ceil(encodedBits.length / 8));
+        encodedBits.forEach((bit, i) => {
+            encoded[i >> 3] |= bit << (7 - (i & 7));
+        });
+
         return encoded;
     }
 
     /**
-     * Decodes Reed-Solomon encoded data and corrects errors
-     * @param {Uint8Array} encoded - Reed-Solomon encoded data
+     * Decodes convolutionally encoded data with soft-decision Viterbi decoding
+     * @param {Uint8Array} encoded - Convolutionally encoded data
+     * @param {number[]} [confidence] - Reliability (0-1) of each received symbol; omitted means hard decisions
+     * @param {number} [symbolBits=1] - Number of encoded bits covered by each confidence value
      * @returns {Object} - Decoded data and error information
      */
-    function reedSolomonDecode(encoded) {
-        // In a real implementation, this would properly decode Reed-Solomon
-        // For simplicity, we'll check checksums
-
-        const checksumLength = Math.min(32, (encoded.length / 5) * config.strength);
-        const dataLength = encoded.length - checksumLength;
-        const data = encoded.slice(0, dataLength);
-
-        // Calculate expected checksum
-        let expectedChecksum = 0;
-        for (let i = 0; i < dataLength; i++) {
-            expectedChecksum = ((expectedChecksum << 8) ^ data[i]) & 0xFFFFFFFF;
-            if (expectedChecksum > 0x80000000) {
-                expectedChecksum = (expectedChecksum ^ 0x104C11DB7) & 0xFFFFFFFF;
-            }
+    function convolutionalDecode(encoded, confidence, symbolBits = 1) {
+        const byteCount = Math.floor((encoded.length * 8 / 2 - TAIL_BITS) / 8);
+        if (byteCount < 0) {
+            throw new Error('Invalid convolutional encoded data length');
         }
 
-        // Extract actual checksum
-        let actualChecksum = 0;
-        for (let i = 0; i < checksumLength; i++) {
-            actualChecksum |= (encoded[dataLength + i] << (i * 8));
+        // Map each received bit to a soft value whose magnitude is its reliability
+        const receivedBits = [];
+        const softBits = [];
+        for (let i = 0; i < encoded.length * 8; i++) {
+            const bit = (encoded[i >> 3] >> (7 - (i & 7))) & 1;
+            const symbolConfidence = confidence ? confidence[Math.floor(i / symbolBits)] : undefined;
+            const reliability = symbolConfidence !== undefined
+                ? Math.min(Math.max(symbolConfidence, 0), 1)
+                : 1;
+            receivedBits.push(bit);
+            softBits.push(bit ? reliability : -reliability);
         }
 
-        const hasError = (expectedChecksum & 0xFFFFFFFF) !== (actualChecksum & 0xFFFFFFFF);
-        updateErrorStats(hasError);
+        const { bits } = viterbiDecode(softBits, byteCount * 8);
+
+        const decoded = new Uint8Array(byteCount);
+        bits.forEach((bit, i) => {
+            decoded[i >> 3] |= bit << (7 - (i & 7));
+        });
+
+        // Re-encode to count how many received bits the decoder overruled
+        const expectedBits = encodeBits(bits);
+        let correctedCount = 0;
+        expectedBits.forEach((bit, i) => {
+            if (bit !== receivedBits[i]) {
+                correctedCount++;
+            }
+        });
 
+        updateErrorStats(correctedCount > 0);
+
+        // Residual errors are not detectable here; the frame CRC covers them
         return {
-            data,
-            errors: hasError ? 1 : 0,
-            corrected: 0, // In a real implementation, this might be non-zero
-            valid: !hasError
+            data: decoded,
+            errors: correctedCount,
+            corrected: correctedCount,
+            valid: true
         };
     }
 
@@ -236,6 +398,8 @@ function createErrorCorrection(options = {}) {
                 return hammingEncode(data);
             case 'reed-solomon':
                 return reedSolomonEncode(data);
+            case 'convolutional':
+                return convolutionalEncode(data);
             case 'none':
             default:
                 return data;
@@ -245,14 +409,20 @@ function createErrorCorrection(options = {}) {
     /**
      * Decodes data with the selected error correction algorithm
      * @param {Uint8Array} encoded - Encoded data
+     * @param {Object} [options] - Decoding options
+     * @param {number[]} [options.erasures] - Indexes of encoded bytes known to be unreliable (Reed-Solomon only)
+     * @param {number[]} [options.confidence] - Per-symbol reliability (0-1) for soft decoding (convolutional only)
+     * @param {number} [options.symbolBits=1] - Encoded bits per confidence value (convolutional only)
      * @returns {Object} - Decoded data and error information
      */
-    function decode(encoded) {
+    function decode(encoded, options = {}) {
         switch (config.mode) {
             case 'hamming':
                 return hammingDecode(encoded);
             case 'reed-solomon':
-                return reedSolomonDecode(encoded);
+                return reedSolomonDecode(encoded, options.erasures);
+            case 'convolutional':
+                return convolutionalDecode(encoded, options.confidence, options.symbolBits);
             case 'none':
             default:
                 return { data: encoded, errors: 0, corrected: 0, valid: true };
@@ -308,5 +478,6 @@ function createErrorCorrection(options = {}) {
 }
 
 export {
+    ERROR_CORRECTION_MODES,
     createErrorCorrection
 }; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * DialUp Interleaver Module
+ * Block interleaving that spreads burst errors across the error-corrected bitstream
+ */
+
+// Interleave depth range (rows of the block); depth 1 leaves the stream untouched
+const MIN_INTERLEAVE_DEPTH = 1;
+const MAX_INTERLEAVE_DEPTH = 16;
+
+/**
+ * Computes the read order of a block interleaver
+ * Items are written row by row into `depth` rows and read back column by column;
+ * a short final column is skipped so the output keeps the input length
+ * @param {number} length - Number of items
+ * @param {number} depth - Number of rows
+ * @returns {number[]} - Source index of each output position
+ * @private
+ */
+function interleaveOrder(length, depth) {
+    const columns = Math.ceil(length / depth);
+    const order = [];
+
+    for (let column = 0; column < columns; column++) {
+        for (let row = 0; row < depth; row++) {
+            const index = row * columns + column;
+            if (index < length) {
+                order.push(index);
+            }
+        }
+    }
+
+    return order;
+}
+
+/**
+ * Validates an interleave depth
+ * @param {number} depth - Requested depth
+ * @private
+ */
+function validateDepth(depth) {
+    if (!Number.isInteger(depth) || depth < MIN_INTERLEAVE_DEPTH || depth > MAX_INTERLEAVE_DEPTH) {
+        throw new Error(`Invalid interleave depth: ${depth}`);
+    }
+}
+
+/**
+ * Interleaves a bitstream (or any sequence) so adjacent items end up far apart
+ * @param {string|Array} items - Binary string or array to interleave
+ * @param {number} depth - Interleave depth (1-16)
+ * @returns {string|Array} - Interleaved sequence of the same type
+ */
+function interleave(items, depth) {
+    validateDepth(depth);
+
+    const source = Array.from(items);
+    const output = interleaveOrder(source.length, depth).map(index => source[index]);
+
+    return typeof items === 'string' ? output.join('') : output;
+}
+
+/**
+ * Reverses interleave() for a sequence of the same length and depth
+ * @param {string|Array} items - Interleaved binary string or array
+ * @param {number} depth - Interleave depth used by the sender (1-16)
+ * @returns {string|Array} - De-interleaved sequence of the same type
+ */
+function deinterleave(items, depth) {
+    validateDepth(depth);
+
+    const source = Array.from(items);
+    const output = new Array(source.length);
+    interleaveOrder(source.length, depth).forEach((index, position) => {
+        output[index] = source[position];
+    });
+
+    return typeof items === 'string' ? output.join('') : output;
+}
+
+export {
+    MIN_INTERLEAVE_DEPTH,
+    MAX_INTERLEAVE_DEPTH,
+    interleave,
+    deinterleave
+};
\ No newline at end of file
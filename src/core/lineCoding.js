@@ -0,0 +1,182 @@
+/**
+ * DialUp Line Coding Module
+ * Differential symbol coding that guarantees a transition on every symbol, so receivers that only see
+ * color changes never lose repeated symbols
+ */
+
+// Line codings; the index is the header line coding code
+const LINE_CODINGS = ['none', 'differential'];
+
+// Most symbols packed into one block; keeps block values within safe integers for any alphabet up to 64
+const MAX_BLOCK_SYMBOLS = 8;
+
+/**
+ * Finds the most bits that fit in a number of symbols of a base
+ * @param {number} base - Values per symbol
+ * @param {number} symbols - Number of symbols
+ * @returns {number} - Largest k with 2^k <= base^symbols
+ * @private
+ */
+function bitsInSymbols(base, symbols) {
+    const capacity = base ** symbols;
+    let bits = 0;
+    while (2 ** (bits + 1) <= capacity) {
+        bits++;
+    }
+    return bits;
+}
+
+/**
+ * Chooses the block size that wastes the least capacity for a base
+ * Every symbol is an offset of 1 to alphabetSize - 1 from the previous one, so it carries one of
+ * alphabetSize - 1 values; bits are packed into blocks of base-(alphabetSize - 1) digits.
+ * @param {number} base - Values per symbol
+ * @returns {Object} - Block { bits, symbols }
+ * @private
+ */
+function blockSize(base) {
+    let best = { bits: bitsInSymbols(base, 1), symbols: 1 };
+
+    for (let symbols = 2; symbols <= MAX_BLOCK_SYMBOLS; symbols++) {
+        const bits = bitsInSymbols(base, symbols);
+        if (bits * best.symbols > best.bits * symbols) {
+            best = { bits, symbols };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Validates a line coding alphabet size
+ * @param {number} alphabetSize - Number of symbols in the alphabet
+ * @private
+ */
+function validateAlphabet(alphabetSize) {
+    if (!Number.isInteger(alphabetSize) || alphabetSize < 3 || alphabetSize > 64) {
+        throw new Error(`Invalid line coding alphabet size: ${alphabetSize}`);
+    }
+}
+
+/**
+ * Splits a binary string into base digits, block by block
+ * A short final block uses as few symbols as can hold it, padded with zero bits to their full capacity.
+ * @param {string} binary - Binary string
+ * @param {number} base - Values per symbol
+ * @returns {number[]} - Digits (0 to base - 1), most significant first within each block
+ * @private
+ */
+function binaryToDigits(binary, base) {
+    const block = blockSize(base);
+    const digits = [];
+
+    for (let i = 0; i < binary.length; i += block.bits) {
+        let bits = binary.slice(i, i + block.bits);
+        let symbols = block.symbols;
+
+        if (bits.length < block.bits) {
+            symbols = 1;
+            while (bitsInSymbols(base, symbols) < bits.length) {
+                symbols++;
+            }
+            bits = bits.padEnd(bitsInSymbols(base, symbols), '0');
+        }
+
+        let value = parseInt(bits, 2);
+        const blockDigits = new Array(symbols);
+        for (let symbol = symbols - 1; symbol >= 0; symbol--) {
+            blockDigits[symbol] = value % base;
+            value = Math.floor(value / base);
+        }
+        digits.push(...blockDigits);
+    }
+
+    return digits;
+}
+
+/**
+ * Joins base digits written by binaryToDigits back into a binary string
+ * A short final block yields every bit its symbols can hold, so padding bits may follow the data.
+ * @param {number[]} digits - Digits (0 to base - 1)
+ * @param {number} base - Values per symbol
+ * @returns {string} - Binary string
+ * @private
+ */
+function digitsToBinary(digits, base) {
+    const block = blockSize(base);
+    let binary = '';
+
+    for (let i = 0; i < digits.length; i += block.symbols) {
+        const blockDigits = digits.slice(i, i + block.symbols);
+        const bits = bitsInSymbols(base, blockDigits.length);
+        const value = blockDigits.reduce((total, digit) => total * base + digit, 0);
+
+        // Values past the block capacity can only come from misread symbols; keep the low bits
+        binary += (value % 2 ** bits).toString(2).padStart(bits, '0');
+    }
+
+    return binary;
+}
+
+/**
+ * Counts the symbols differential coding needs for a number of bits
+ * @param {number} bitCount - Number of bits
+ * @param {number} alphabetSize - Number of symbols in the alphabet (3-64)
+ * @returns {number} - Number of symbols
+ */
+function differentialLength(bitCount, alphabetSize) {
+    validateAlphabet(alphabetSize);
+    return binaryToDigits('0'.repeat(bitCount), alphabetSize - 1).length;
+}
+
+/**
+ * Encodes a bitstream as symbol indexes that change on every symbol
+ * Each symbol is 1 + digit positions after the previous one (wrapping around the alphabet), so it is
+ * never the same as the symbol before it.
+ * @param {string} binary - Binary string
+ * @param {number} alphabetSize - Number of symbols in the alphabet (3-64)
+ * @param {number} [reference=0] - Index of the symbol sent before the first one
+ * @returns {number[]} - Symbol indexes (0 to alphabetSize - 1)
+ */
+function differentialEncode(binary, alphabetSize, reference = 0) {
+    validateAlphabet(alphabetSize);
+
+    let previous = reference;
+    return binaryToDigits(binary, alphabetSize - 1).map(digit => {
+        previous = (previous + 1 + digit) % alphabetSize;
+        return previous;
+    });
+}
+
+/**
+ * Reverses differentialEncode()
+ * @param {number[]} indexes - Received symbol indexes (0 to alphabetSize - 1)
+ * @param {number} alphabetSize - Number of symbols in the alphabet (3-64)
+ * @param {number} [reference=0] - Index of the symbol sent before the first one
+ * @returns {string|null} - Binary string (possibly followed by padding bits), or null if a symbol
+ *                          repeats the one before it, which the sender never does
+ */
+function differentialDecode(indexes, alphabetSize, reference = 0) {
+    validateAlphabet(alphabetSize);
+
+    const digits = [];
+    let previous = reference;
+    for (const index of indexes) {
+        const offset = (index - previous + alphabetSize) % alphabetSize;
+        if (offset === 0) {
+            return null;
+        }
+
+        digits.push(offset - 1);
+        previous = index;
+    }
+
+    return digitsToBinary(digits, alphabetSize - 1);
+}
+
+export {
+    LINE_CODINGS,
+    differentialLength,
+    differentialEncode,
+    differentialDecode
+};
\ No newline at end of file
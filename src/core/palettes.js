@@ -0,0 +1,81 @@
+/**
+ * DialUp Palettes Module
+ * Color palettes for visual transmission, trading range for throughput
+ */
+
+// Standard palette - 8 colors (representing 3 bits each); also used for every frame header
+const STANDARD_PALETTE = [
+    '#FF0000', // Red (000)
+    '#00FF00', // Green (001)
+    '#0000FF', // Blue (010)
+    '#FFFF00', // Yellow (011)
+    '#FF00FF', // Magenta (100)
+    '#00FFFF', // Cyan (101)
+    '#FFFFFF', // White (110)
+    '#000000'  // Black (111)
+];
+
+// High-contrast palette - 4 saturated colors (2 bits each) for poor cameras and long range.
+// None of them is a control color, so payloads never need escaping.
+const HIGH_CONTRAST_PALETTE = [
+    '#FF0000', // Red (00)
+    '#00FF00', // Green (01)
+    '#FFFF00', // Yellow (10)
+    '#00FFFF'  // Cyan (11)
+];
+
+// Extended palette - 16 colors (4 bits each): the standard colors plus half-intensity ones
+const EXTENDED_PALETTE = [
+    ...STANDARD_PALETTE,
+    '#800000', // Maroon (1000)
+    '#008000', // Dark green (1001)
+    '#000080', // Navy (1010)
+    '#808000', // Olive (1011)
+    '#800080', // Purple (1100)
+    '#008080', // Teal (1101)
+    '#808080', // Gray (1110)
+    '#FF8000'  // Orange (1111)
+];
+
+// Dense palette - 64 colors (6 bits each): 4 levels per channel, index bits are RRGGBB
+const CHANNEL_LEVELS = ['00', '55', 'AA', 'FF'];
+const DENSE_PALETTE = Array.from({ length: 64 }, (_, index) =>
+    '#' + CHANNEL_LEVELS[index >> 4] + CHANNEL_LEVELS[(index >> 2) & 3] + CHANNEL_LEVELS[index & 3]
+);
+
+// Palettes by color count
+const PALETTES = {
+    4: HIGH_CONTRAST_PALETTE,
+    8: STANDARD_PALETTE,
+    16: EXTENDED_PALETTE,
+    64: DENSE_PALETTE
+};
+
+// Supported palette sizes; the index is the header palette code (standard first)
+const PALETTE_SIZES = [8, 4, 16, 64];
+const DEFAULT_PALETTE_SIZE = 8;
+
+/**
+ * Looks up a palette by its size
+ * @param {number} size - Number of colors (4, 8, 16 or 64)
+ * @returns {Object} - Palette { size, bits, colors }
+ */
+function getPalette(size) {
+    const colors = PALETTES[size];
+    if (!colors) {
+        throw new Error(`Unsupported palette size: ${size}`);
+    }
+
+    return {
+        size,
+        bits: Math.log2(size),
+        colors
+    };
+}
+
+export {
+    STANDARD_PALETTE,
+    PALETTE_SIZES,
+    DEFAULT_PALETTE_SIZE,
+    getPalette
+};
\ No newline at end of file
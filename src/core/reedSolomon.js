@@ -0,0 +1,441 @@
+/**
+ * DialUp Reed-Solomon Module
+ * GF(256) Reed-Solomon encoding and decoding with error and erasure correction
+ */
+
+// Field configuration - GF(2^8) with the 0x11D primitive polynomial and generator 2
+const FIELD_SIZE = 256;
+const PRIMITIVE_POLY = 0x11D;
+const MAX_BLOCK_LENGTH = FIELD_SIZE - 1; // Longest codeword the field supports
+
+// Exponent and logarithm tables (exp is doubled so products never need a modulo)
+const GF_EXP = new Uint8Array(MAX_BLOCK_LENGTH * 2);
+const GF_LOG = new Uint8Array(FIELD_SIZE);
+
+(function initTables() {
+    let x = 1;
+    for (let i = 0; i < MAX_BLOCK_LENGTH; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & FIELD_SIZE) {
+            x ^= PRIMITIVE_POLY;
+        }
+    }
+    for (let i = MAX_BLOCK_LENGTH; i < GF_EXP.length; i++) {
+        GF_EXP[i] = GF_EXP[i - MAX_BLOCK_LENGTH];
+    }
+})();
+
+/**
+ * Error raised when a codeword holds more errors than the parity can correct
+ */
+class ReedSolomonError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReedSolomonError';
+    }
+}
+
+/**
+ * Multiplies two field elements
+ * @param {number} x - First element
+ * @param {number} y - Second element
+ * @returns {number} - Product in GF(256)
+ */
+function gfMul(x, y) {
+    if (x === 0 || y === 0) {
+        return 0;
+    }
+    return GF_EXP[GF_LOG[x] + GF_LOG[y]];
+}
+
+/**
+ * Divides two field elements
+ * @param {number} x - Dividend
+ * @param {number} y - Divisor (non-zero)
+ * @returns {number} - Quotient in GF(256)
+ */
+function gfDiv(x, y) {
+    if (y === 0) {
+        throw new ReedSolomonError('Division by zero in GF(256)');
+    }
+    if (x === 0) {
+        return 0;
+    }
+    return GF_EXP[(GF_LOG[x] + MAX_BLOCK_LENGTH - GF_LOG[y]) % MAX_BLOCK_LENGTH];
+}
+
+/**
+ * Raises a field element to an integer power
+ * @param {number} x - Base element
+ * @param {number} power - Exponent (may be negative)
+ * @returns {number} - x^power in GF(256)
+ */
+function gfPow(x, power) {
+    const exponent = ((GF_LOG[x] * power) % MAX_BLOCK_LENGTH + MAX_BLOCK_LENGTH) % MAX_BLOCK_LENGTH;
+    return GF_EXP[exponent];
+}
+
+/**
+ * Returns the multiplicative inverse of a field element
+ * @param {number} x - Non-zero element
+ * @returns {number} - x^-1 in GF(256)
+ */
+function gfInverse(x) {
+    return GF_EXP[MAX_BLOCK_LENGTH - GF_LOG[x]];
+}
+
+/**
+ * Multiplies every coefficient of a polynomial by a scalar
+ * @param {number[]} p - Polynomial (highest degree first)
+ * @param {number} x - Scalar
+ * @returns {number[]} - Scaled polynomial
+ * @private
+ */
+function polyScale(p, x) {
+    return p.map(coef => gfMul(coef, x));
+}
+
+/**
+ * Adds two polynomials (XOR of aligned coefficients)
+ * @param {number[]} p - First polynomial (highest degree first)
+ * @param {number[]} q - Second polynomial (highest degree first)
+ * @returns {number[]} - Sum polynomial
+ * @private
+ */
+function polyAdd(p, q) {
+    const result = new Array(Math.max(p.length, q.length)).fill(0);
+    for (let i = 0; i < p.length; i++) {
+        result[i + result.length - p.length] = p[i];
+    }
+    for (let i = 0; i < q.length; i++) {
+        result[i + result.length - q.length] ^= q[i];
+    }
+    return result;
+}
+
+/**
+ * Multiplies two polynomials
+ * @param {number[]} p - First polynomial (highest degree first)
+ * @param {number[]} q - Second polynomial (highest degree first)
+ * @returns {number[]} - Product polynomial
+ * @private
+ */
+function polyMul(p, q) {
+    const result = new Array(p.length + q.length - 1).fill(0);
+    for (let j = 0; j < q.length; j++) {
+        for (let i = 0; i < p.length; i++) {
+            result[i + j] ^= gfMul(p[i], q[j]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Evaluates a polynomial at a point using Horner's scheme
+ * @param {number[]|Uint8Array} p - Polynomial (highest degree first)
+ * @param {number} x - Point to evaluate at
+ * @returns {number} - p(x) in GF(256)
+ * @private
+ */
+function polyEval(p, x) {
+    let y = p[0];
+    for (let i = 1; i < p.length; i++) {
+        y = gfMul(y, x) ^ p[i];
+    }
+    return y;
+}
+
+// Generator polynomials are reused across blocks, so cache them by parity length
+const generatorCache = new Map();
+
+/**
+ * Builds the generator polynomial for a given number of parity symbols
+ * @param {number} paritySymbols - Number of parity symbols
+ * @returns {number[]} - Generator polynomial (highest degree first)
+ * @private
+ */
+function generatorPoly(paritySymbols) {
+    if (!generatorCache.has(paritySymbols)) {
+        let g = [1];
+        for (let i = 0; i < paritySymbols; i++) {
+            g = polyMul(g, [1, gfPow(2, i)]);
+        }
+        generatorCache.set(paritySymbols, g);
+    }
+    return generatorCache.get(paritySymbols);
+}
+
+/**
+ * Encodes a single block, appending parity symbols to the message
+ * @param {Uint8Array} message - Message bytes (at most 255 - paritySymbols)
+ * @param {number} paritySymbols - Number of parity symbols to append
+ * @returns {Uint8Array} - Systematic codeword (message followed by parity)
+ */
+function encodeBlock(message, paritySymbols) {
+    if (message.length + paritySymbols > MAX_BLOCK_LENGTH) {
+        throw new ReedSolomonError(`Block too long: ${message.length + paritySymbols} > ${MAX_BLOCK_LENGTH}`);
+    }
+
+    const gen = generatorPoly(paritySymbols);
+    const output = new Uint8Array(message.length + paritySymbols);
+    output.set(message);
+
+    // Synthetic division by the generator; the remainder is the parity
+    for (let i = 0; i < message.length; i++) {
+        const coef = output[i];
+        if (coef !== 0) {
+            for (let j = 1; j < gen.length; j++) {
+                output[i + j] ^= gfMul(gen[j], coef);
+            }
+        }
+    }
+
+    output.set(message);
+    return output;
+}
+
+/**
+ * Calculates the syndromes of a codeword
+ * @param {number[]} codeword - Received codeword
+ * @param {number} paritySymbols - Number of parity symbols
+ * @returns {number[]} - Syndromes, padded with a leading zero
+ * @private
+ */
+function calculateSyndromes(codeword, paritySymbols) {
+    const syndromes = [0];
+    for (let i = 0; i < paritySymbols; i++) {
+        syndromes.push(polyEval(codeword, gfPow(2, i)));
+    }
+    return syndromes;
+}
+
+/**
+ * Builds the errata locator polynomial from known coefficient positions
+ * @param {number[]} coefPositions - Positions as polynomial coefficient degrees
+ * @returns {number[]} - Errata locator polynomial
+ * @private
+ */
+function findErrataLocator(coefPositions) {
+    let locator = [1];
+    for (const pos of coefPositions) {
+        locator = polyMul(locator, polyAdd([1], [gfPow(2, pos), 0]));
+    }
+    return locator;
+}
+
+/**
+ * Computes the error evaluator polynomial (syndromes * locator mod x^(n+1))
+ * @param {number[]} syndromes - Syndrome polynomial
+ * @param {number[]} locator - Errata locator polynomial
+ * @param {number} paritySymbols - Degree bound
+ * @returns {number[]} - Error evaluator polynomial
+ * @private
+ */
+function findErrorEvaluator(syndromes, locator, paritySymbols) {
+    const product = polyMul(syndromes, locator);
+    return product.slice(product.length - (paritySymbols + 1));
+}
+
+/**
+ * Corrects errata at known positions using the Forney algorithm
+ * @param {number[]} codeword - Received codeword
+ * @param {number[]} syndromes - Syndromes of the codeword
+ * @param {number[]} errataPositions - Indexes of erroneous symbols
+ * @returns {number[]} - Corrected codeword
+ * @private
+ */
+function correctErrata(codeword, syndromes, errataPositions) {
+    const coefPositions = errataPositions.map(p => codeword.length - 1 - p);
+    const locator = findErrataLocator(coefPositions);
+    const evaluator = findErrorEvaluator([...syndromes].reverse(), locator, locator.length - 1).reverse();
+
+    const X = coefPositions.map(pos => gfPow(2, pos));
+    const magnitudes = new Array(codeword.length).fill(0);
+
+    X.forEach((Xi, i) => {
+        const XiInverse = gfInverse(Xi);
+
+        // Formal derivative of the locator evaluated at Xi^-1
+        let locatorPrime = 1;
+        for (let j = 0; j < X.length; j++) {
+            if (j !== i) {
+                locatorPrime = gfMul(locatorPrime, 1 ^ gfMul(XiInverse, X[j]));
+            }
+        }
+
+        if (locatorPrime === 0) {
+            throw new ReedSolomonError('Could not find error magnitude');
+        }
+
+        const y = gfMul(Xi, polyEval([...evaluator].reverse(), XiInverse));
+        magnitudes[errataPositions[i]] = gfDiv(y, locatorPrime);
+    });
+
+    return polyAdd(codeword, magnitudes);
+}
+
+/**
+ * Finds the error locator polynomial with the Berlekamp-Massey algorithm
+ * @param {number[]} syndromes - (Forney) syndromes
+ * @param {number} paritySymbols - Number of parity symbols
+ * @param {number} erasureCount - Number of known erasures
+ * @returns {number[]} - Error locator polynomial
+ * @private
+ */
+function findErrorLocator(syndromes, paritySymbols, erasureCount) {
+    let locator = [1];
+    let oldLocator = [1];
+    const shift = syndromes.length > paritySymbols ? syndromes.length - paritySymbols : 0;
+
+    for (let i = 0; i < paritySymbols - erasureCount; i++) {
+        const k = i + shift;
+
+        // Discrepancy between the syndrome and the current locator's prediction
+        let delta = syndromes[k];
+        for (let j = 1; j < locator.length; j++) {
+            delta ^= gfMul(locator[locator.length - 1 - j], syndromes[k - j]);
+        }
+
+        oldLocator = [...oldLocator, 0];
+
+        if (delta !== 0) {
+            if (oldLocator.length > locator.length) {
+                const newLocator = polyScale(oldLocator, delta);
+                oldLocator = polyScale(locator, gfInverse(delta));
+                locator = newLocator;
+            }
+            locator = polyAdd(locator, polyScale(oldLocator, delta));
+        }
+    }
+
+    while (locator.length && locator[0] === 0) {
+        locator.shift();
+    }
+
+    const errorCount = locator.length - 1;
+    if (errorCount * 2 + erasureCount > paritySymbols) {
+        throw new ReedSolomonError('Too many errors to correct');
+    }
+
+    return locator;
+}
+
+/**
+ * Finds error positions from the locator polynomial (Chien search)
+ * @param {number[]} locator - Error locator polynomial (lowest degree first)
+ * @param {number} length - Codeword length
+ * @returns {number[]} - Error positions within the codeword
+ * @private
+ */
+function findErrors(locator, length) {
+    const positions = [];
+    for (let i = 0; i < length; i++) {
+        if (polyEval(locator, gfPow(2, i)) === 0) {
+            positions.push(length - 1 - i);
+        }
+    }
+
+    if (positions.length !== locator.length - 1) {
+        throw new ReedSolomonError('Too many errors to correct');
+    }
+
+    return positions;
+}
+
+/**
+ * Computes Forney syndromes, removing the contribution of known erasures
+ * @param {number[]} syndromes - Syndromes of the codeword
+ * @param {number[]} erasurePositions - Indexes of erased symbols
+ * @param {number} length - Codeword length
+ * @returns {number[]} - Forney syndromes
+ * @private
+ */
+function forneySyndromes(syndromes, erasurePositions, length) {
+    const result = syndromes.slice(1);
+    for (const pos of erasurePositions) {
+        const x = gfPow(2, length - 1 - pos);
+        for (let j = 0; j < result.length - 1; j++) {
+            result[j] = gfMul(result[j], x) ^ result[j + 1];
+        }
+    }
+    return result;
+}
+
+/**
+ * Decodes a single block, correcting errors and erasures
+ * @param {Uint8Array} codeword - Received codeword (message followed by parity)
+ * @param {number} paritySymbols - Number of parity symbols in the codeword
+ * @param {number[]} [erasurePositions=[]] - Indexes of symbols known to be unreliable
+ * @returns {Object} - Decoded message and the number of corrected symbols
+ * @throws {ReedSolomonError} - If the block cannot be corrected
+ */
+function decodeBlock(codeword, paritySymbols, erasurePositions = []) {
+    if (codeword.length > MAX_BLOCK_LENGTH) {
+        throw new ReedSolomonError(`Block too long: ${codeword.length} > ${MAX_BLOCK_LENGTH}`);
+    }
+    if (codeword.length <= paritySymbols) {
+        throw new ReedSolomonError('Block shorter than its parity');
+    }
+    if (erasurePositions.length > paritySymbols) {
+        throw new ReedSolomonError('Too many erasures to correct');
+    }
+
+    let corrected = Array.from(codeword);
+    erasurePositions.forEach(pos => {
+        corrected[pos] = 0;
+    });
+
+    let syndromes = calculateSyndromes(corrected, paritySymbols);
+    if (syndromes.every(s => s === 0)) {
+        return {
+            data: Uint8Array.from(corrected.slice(0, -paritySymbols)),
+            corrected: countDifferences(codeword, corrected)
+        };
+    }
+
+    const fsynd = forneySyndromes(syndromes, erasurePositions, corrected.length);
+    const locator = findErrorLocator(fsynd, paritySymbols, erasurePositions.length);
+    const errorPositions = findErrors([...locator].reverse(), corrected.length);
+
+    corrected = correctErrata(corrected, syndromes, [...erasurePositions, ...errorPositions]);
+
+    syndromes = calculateSyndromes(corrected, paritySymbols);
+    if (syndromes.some(s => s !== 0)) {
+        throw new ReedSolomonError('Could not correct message');
+    }
+
+    return {
+        data: Uint8Array.from(corrected.slice(0, -paritySymbols)),
+        corrected: countDifferences(codeword, corrected)
+    };
+}
+
+/**
+ * Counts positions where two equal-length sequences differ
+ * @param {ArrayLike<number>} a - First sequence
+ * @param {ArrayLike<number>} b - Second sequence
+ * @returns {number} - Number of differing positions
+ * @private
+ */
+function countDifferences(a, b) {
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            count++;
+        }
+    }
+    return count;
+}
+
+export {
+    MAX_BLOCK_LENGTH,
+    ReedSolomonError,
+    gfMul,
+    gfDiv,
+    gfPow,
+    gfInverse,
+    encodeBlock,
+    decodeBlock
+};
\ No newline at end of file
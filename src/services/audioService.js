@@ -3,9 +3,10 @@
  * Integrates audio encoding/decoding with the application
  */
 
-import { transmitAudio, isChannelBusy } from '../audio/audioEncoder.js';
+import { transmitAudio, isChannelBusy, getAudioProfile, DEFAULT_AUDIO_PROFILE } from '../audio/audioEncoder.js';
 import { createAudioDecoder } from '../audio/audioDecoder.js';
 import { addMessage } from '../store/slices/messageSlice.js';
+import { bytesToHex } from '../core/binaryHexConverter.js';
 
 // Audio service state
 let audioDecoder = null;
@@ -43,13 +44,14 @@ export const initializeAudioService = (dispatch) => {
 
 /**
  * Starts audio transmission
- * @param {string} message - Message to transmit
+ * @param {string|Uint8Array} message - Text or binary data to transmit
  * @param {function} dispatch - Redux dispatch function
  * @param {function} onComplete - Callback when transmission completes
  * @param {function} onError - Callback when transmission fails
+ * @param {Object} [options] - Encoding options, such as the audio profile (see encodeText)
  * @returns {Promise<void>}
  */
-export const startAudioTransmission = async (message, dispatch, onComplete, onError) => {
+export const startAudioTransmission = async (message, dispatch, onComplete, onError, options = {}) => {
     if (isTransmitting) {
         if (onError) onError('Already transmitting');
         return;
@@ -58,18 +60,18 @@ export const startAudioTransmission = async (message, dispatch, onComplete, onEr
     try {
         isTransmitting = true;
 
-        // Check if channel is busy
-        const busy = await isChannelBusy();
+        // Check if channel is busy in the band the message will be sent in
+        const busy = await isChannelBusy(getAudioProfile(options.audioProfile || DEFAULT_AUDIO_PROFILE));
         if (busy) {
             throw new Error('Audio channel is busy');
         }
 
         // Transmit the message
-        await transmitAudio(message);
+        await transmitAudio(message, options);
 
-        // Add to message history
+        // Add to message history, binary data as hex
         dispatch(addMessage({
-            text: message,
+            text: typeof message === 'string' ? message : bytesToHex(message),
             sender: 'You (Audio)',
             timestamp: new Date().toISOString()
         }));
@@ -13,7 +13,15 @@ const defaultSettings = {
     // Transmission Settings
     transmissionMode: TransmissionMode.VISUAL,
     visualEnabled: true,
+    paletteSize: 8, // 4, 8, 16 or 64 colors per visual symbol
+    lineCoding: 'none', // 'none' or 'differential' (a color change on every payload symbol)
+    calibrationPreamble: true, // Open visual frames with the color calibration preamble
+    timingPreamble: true, // Lead visual frames with the timing preamble the receiver recovers symbol timing from
+    gridColumns: 1, // Visual grid mode: 1-8 cells across each frame
+    gridRows: 1, // Visual grid mode: 1-8 cells down each frame
     audioEnabled: true,
+    audioProfile: 'fsk8', // 'fsk8', 'mfsk16', 'mfsk32', 'ofdm' or 'ultrasonic' (17-20 kHz); announced in the start marker
+    audioPulseShape: 'raised-cosine', // 'none', 'raised-cosine' or 'hann' envelope on each audio symbol
     autoSelectMode: true,
 
     // Input Settings
@@ -21,9 +29,11 @@ const defaultSettings = {
     maxMessageSize: 1024,
 
     // Error Correction
-    errorCorrectionMode: 'hamming', // 'none', 'hamming', 'reed-solomon'
+    errorCorrectionMode: 'hamming', // 'none', 'hamming', 'reed-solomon', 'convolutional'
     errorCorrectionStrength: 1,
-    adaptiveErrorCorrection: true,
+    adaptiveErrorCorrection: true, // Strength follows the palette size and grid instead
+    interleaveDepth: 8, // 1 (off) to 16 rows of block interleaving
+    crcType: 'crc32', // 'crc16', 'crc32'
 
     // Network Settings
     peerDiscoveryEnabled: true,
@@ -31,7 +41,8 @@ const defaultSettings = {
 
     // Advanced Settings
     diagnosticsEnabled: true,
-    colorThreshold: 50,
+    colorThreshold: 50, // RGB distance, or ΔE2000 with 'lab' matching
+    colorMatching: 'rgb', // 'rgb' (Euclidean), 'lab' (CIELAB ΔE2000)
     minChangeTime: 50,
     samplesRequired: 3
 };
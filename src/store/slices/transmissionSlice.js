@@ -3,6 +3,7 @@ import { createSlice } from '@reduxjs/toolkit';
 const initialState = {
     isTransmitting: false,
     colorSequence: [],
+    grid: { columns: 1, rows: 1 }, // Cells per frame; colorSequence holds grid frames
     currentIndex: 0,
     frameDuration: 200, // ms
     progress: 0,
@@ -16,12 +17,14 @@ export const transmissionSlice = createSlice({
         startTransmission: (state, action) => {
             state.isTransmitting = true;
             state.colorSequence = action.payload.sequence;
+            state.grid = action.payload.grid || { columns: 1, rows: 1 };
             state.currentIndex = 0;
             state.progress = 0;
         },
         stopTransmission: (state) => {
             state.isTransmitting = false;
             state.colorSequence = [];
+            state.grid = { columns: 1, rows: 1 };
             state.currentIndex = 0;
             state.progress = 0;
         },
@@ -36,24 +36,6 @@ function createReceiverUI({
     let isCameraActive = false;
     let messageHistory = [];
 
-    /**
-     * Defines the region of interest in the video frame
-     * @private
-     * @returns {Object} - Region coordinates
-     */
-    function getRegionOfInterest() {
-        // Default to top area of video (where navbar would be)
-        const videoWidth = videoElement.videoWidth || 640;
-        const videoHeight = videoElement.videoHeight || 480;
-
-        return {
-            x: 0,
-            y: 0,
-            width: videoWidth,
-            height: Math.min(60, Math.floor(videoHeight * 0.15)) // Top 15% or 60px
-        };
-    }
-
     /**
      * Updates the UI based on current state
      * @private
@@ -85,18 +67,29 @@ function createReceiverUI({
     /**
      * Processes frames from the camera
      * @param {ImageData} frame - Video frame data
+     * @param {number} timestamp - Time the frame was captured (ms)
      * @private
      */
-    function processFrame(frame) {
-        // Get region of interest for color detection
-        const roi = getRegionOfInterest();
+    function processFrame(frame, timestamp) {
+        // Get region of interest for color detection (tracks the sender's screen)
+        const roi = camera.getRegionOfInterest();
+
+        // Once a frame's header has declared a grid, read every cell
+        const { gridActive, grid } = tracker.getState();
+        if (gridActive) {
+            const cellColors = camera.getGridAverageColors(roi, grid);
+            if (cellColors) {
+                tracker.processCells(cellColors, timestamp);
+            }
+            return;
+        }
 
         // Get average color in the region
         const avgColor = camera.getRegionAverageColor(roi);
 
         if (avgColor) {
             // Pass to color tracker
-            tracker.processColor(avgColor);
+            tracker.processColor(avgColor, timestamp);
         }
     }
 
@@ -231,7 +224,7 @@ function createReceiverUI({
             tracker.onStatusChange(handleTrackerStatus);
 
             // Set frame processor
-            camera.setFrameProcessor(processFrame, 10); // Process 10 frames per second
+            camera.setFrameProcessor(processFrame); // Process every camera frame
 
             isCameraActive = true;
             updateUI();